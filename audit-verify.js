@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * Verify the hash chain of the MCP server's audit log
+ *
+ * Usage:
+ *   node audit-verify.js [--log file] [--expect-hash hash]
+ *
+ * Reads IBMZ_AUDIT_LOG (default ~/.ibmz-mcp/audit.jsonl) unless --log is
+ * given. Prints the entry count and the hash of the last entry; keep that
+ * hash elsewhere and pass it as --expect-hash next time to also detect
+ * entries removed from the end. Exits 2 when the chain is broken.
+ */
+
+import { parseArgs } from "util";
+import { verifyAuditLog, DEFAULT_AUDIT_LOG } from "./lib/audit.js";
+
+const { values } = parseArgs({
+  options: {
+    log: { type: "string" },
+    "expect-hash": { type: "string" },
+  },
+});
+
+const file = values.log || process.env.IBMZ_AUDIT_LOG || DEFAULT_AUDIT_LOG;
+
+try {
+  const result = await verifyAuditLog(file);
+  if (result.valid && values["expect-hash"] && result.lastHash !== values["expect-hash"]) {
+    Object.assign(result, { valid: false, reason: `last hash is ${result.lastHash}, expected ${values["expect-hash"]}` });
+  }
+  process.stdout.write(`${JSON.stringify({ log: file, ...result }, null, 2)}\n`);
+  if (!result.valid) {
+    console.error(`Audit log ${file} failed verification${result.line ? ` at line ${result.line}` : ""}: ${result.reason}`);
+    process.exit(2);
+  }
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
@@ -7,6 +7,14 @@
  * Provides access to:
  * - Key Protect: HSM-backed key management (FIPS 140-2 Level 3)
  * - z/OS Connect: REST APIs to mainframe programs (CICS, IMS, batch)
+ * - z/OSMF: batch jobs and spool output, datasets and z/OS UNIX files
+ * - CICS: regions and resources through CMCI (status, use counts, enable/disable, newcopy)
+ * - COBOL copybooks: JSON Schema and EBCDIC record encode/decode
+ *
+ * Key metadata, key policies, service OpenAPI documents and z/OS Connect
+ * health are also MCP resources with polling-based subscriptions.
+ *
+ * Every tool call is recorded in a hash-chained audit log.
  */
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
@@ -14,90 +22,482 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ErrorCode,
 } from "@modelcontextprotocol/sdk/types.js";
-import IbmKeyProtectApiV2 from "@ibm-cloud/ibm-key-protect/ibm-key-protect-api/v2.js";
-import { IamAuthenticator } from "ibm-cloud-sdk-core";
+import { readFile, writeFile, chmod, stat } from "fs/promises";
+import {
+  generateDek,
+  encryptWithDek,
+  decryptWithDek,
+  buildEnvelope,
+  parseEnvelope,
+} from "./lib/envelope.js";
+import {
+  getKeyProtect,
+  listProfiles,
+  getKeyPolicies,
+  getInstancePolicies,
+  policyCollection,
+  resolveKeyId,
+  keyStateTransition,
+  describeKeyImpact,
+  listRegistrations,
+  listAllKeys,
+  groupRegistrations,
+  KEY_STATE_NAMES,
+} from "./lib/key-protect.js";
+import { confirmationRequired, consumeConfirmation } from "./lib/confirmation.js";
+import {
+  SECRET_POLICY,
+  storeSecret,
+  readSecret,
+  releaseSecret,
+  keyMaterialArgument,
+} from "./lib/secret-vault.js";
+import {
+  loadRewrapItems,
+  loadCheckpoint,
+  appendCheckpoint,
+  mapWithConcurrency,
+  writeRewrapResults,
+} from "./lib/rewrap.js";
+import { buildKeyReport, renderReport, writeReport } from "./lib/key-report.js";
+import {
+  buildServiceTools,
+  checkServiceName,
+  discoverServiceDocuments,
+  fetchServiceDocument,
+  findOperation,
+  normalizeOperationPath,
+  serviceEndpoint,
+  serviceNames,
+  serviceRequest,
+  validateServiceRequest,
+} from "./lib/zos-connect-tools.js";
+import {
+  parseCopybook,
+  describeLayout,
+  toJsonSchema,
+  samplePayload,
+  encodeRecord,
+  decodeRecord,
+} from "./lib/copybook.js";
+import { CODE_PAGE_NAMES } from "./lib/ebcdic.js";
+import { zosConnectConfig, createZosConnectClient } from "./lib/zos-connect-client.js";
+import { trackBackendCalls, summarizeCalls, describeBackends } from "./lib/resilience.js";
+import { toolError, errorResult, describeError } from "./lib/errors.js";
+import { createAuditLog, redactArguments, verifyAuditLog, queryAuditLog, DEFAULT_AUDIT_LOG } from "./lib/audit.js";
+import { loadAccessPolicy } from "./lib/access-policy.js";
+import { httpConfig, startHttpTransport } from "./lib/http-transport.js";
+import { confinePaths } from "./lib/local-paths.js";
+import { zosmfConfig, createZosmfClient } from "./lib/zosmf-client.js";
+import {
+  submitJob,
+  getJob,
+  waitForJob,
+  describeJob,
+  listJobs,
+  listSpoolFiles,
+  readSpoolFile,
+  cancelJob,
+  purgeJob,
+} from "./lib/zosmf-jobs.js";
+import {
+  datasetEndpoint,
+  ussEndpoint,
+  listDatasets,
+  listMembers,
+  readContent,
+  contentBytes,
+  contentDigest,
+  existingContent,
+  writeContent,
+  allocateDataset,
+  deleteDataset,
+  listUssFiles,
+} from "./lib/zosmf-files.js";
+import { cmciConfig, createCmciClient } from "./lib/cmci-client.js";
+import {
+  describeResource,
+  listRegions,
+  queryResources,
+  actOnResource,
+  cicsTargets,
+  linkServiceResources,
+} from "./lib/cics-resources.js";
+import {
+  RESOURCE_MIME_TYPE,
+  RESOURCE_TEMPLATES,
+  ZOS_HEALTH_URI,
+  parseResourceUri,
+  keyUri,
+  serviceOpenApiUri,
+  digest,
+  keyFingerprint,
+  healthFingerprint,
+  createResourceWatcher,
+} from "./lib/resources.js";
 
-// Key Protect configuration
-const IBM_CLOUD_API_KEY = process.env.IBM_CLOUD_API_KEY;
-const KEY_PROTECT_INSTANCE_ID = process.env.KEY_PROTECT_INSTANCE_ID;
-const KEY_PROTECT_URL = process.env.KEY_PROTECT_URL || "https://us-south.kms.cloud.ibm.com";
+// Audit log of every tool call (IBMZ_AUDIT_LOG=off disables it)
+const IBMZ_AUDIT_LOG = process.env.IBMZ_AUDIT_LOG || DEFAULT_AUDIT_LOG;
+const auditLog = IBMZ_AUDIT_LOG === "off" ? null : createAuditLog(IBMZ_AUDIT_LOG);
+
+// Access policy from IBMZ_POLICY_FILE; refuse to start with an invalid one
+let accessPolicies;
+try {
+  accessPolicies = loadAccessPolicy();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// Directory that HTTP clients' file path arguments are kept in; without it they are refused
+const IBMZ_HTTP_FILE_ROOT = process.env.IBMZ_HTTP_FILE_ROOT;
 
 // z/OS Connect configuration (requires mainframe access)
+// Authentication and TLS settings are read by lib/zos-connect-client.js
 const ZOS_CONNECT_URL = process.env.ZOS_CONNECT_URL;
-const ZOS_CONNECT_USERNAME = process.env.ZOS_CONNECT_USERNAME;
-const ZOS_CONNECT_PASSWORD = process.env.ZOS_CONNECT_PASSWORD;
-
-// Initialize Key Protect client
-let keyProtectClient = null;
-
-function getKeyProtectClient() {
-  if (!keyProtectClient && IBM_CLOUD_API_KEY && KEY_PROTECT_INSTANCE_ID) {
-    keyProtectClient = new IbmKeyProtectApiV2({
-      authenticator: new IamAuthenticator({
-        apikey: IBM_CLOUD_API_KEY,
-      }),
-      serviceUrl: KEY_PROTECT_URL,
-    });
-  }
-  return keyProtectClient;
+// ZOS_CONNECT_SERVICE_TOOLS=false turns off per-operation tool generation
+const ZOS_CONNECT_SERVICE_TOOLS = process.env.ZOS_CONNECT_SERVICE_TOOLS !== "false";
+
+let zosConnectClient = null;
+
+// How often subscribed resources are read again to detect changes
+const IBMZ_RESOURCE_POLL_MS = Number(process.env.IBMZ_RESOURCE_POLL_SECONDS || 60) * 1000;
+
+function keyProtectNotConfigured() {
+  return toolError("Key Protect not configured. Set KEY_PROTECT_PROFILES to a profiles file, or IBM_CLOUD_API_KEY and KEY_PROTECT_INSTANCE_ID environment variables, or KEY_PROTECT_BACKEND=local for the offline emulator.", {
+    category: "configuration",
+    backend: "Key Protect",
+    topic: "`Missing environment variable`",
+  });
+}
+
+function zosNotConfigured() {
+  return toolError("z/OS Connect not configured. Set ZOS_CONNECT_URL environment variable. This requires access to an IBM mainframe with z/OS Connect EE installed.", {
+    category: "configuration",
+    backend: "z/OS Connect",
+    topic: "`Missing environment variable`",
+  });
 }
 
 // z/OS Connect API helper
 async function callZosConnect(endpoint, method = "GET", body = null) {
   if (!ZOS_CONNECT_URL) {
-    throw new Error("z/OS Connect not configured. Set ZOS_CONNECT_URL environment variable.");
+    throw zosNotConfigured();
+  }
+  if (!zosConnectClient) {
+    try {
+      zosConnectClient = createZosConnectClient(zosConnectConfig());
+    } catch (error) {
+      throw toolError(error.message, {
+        category: "configuration",
+        backend: "z/OS Connect",
+        topic: /^ZOS_CONNECT_AUTH/.test(error.message) ? "`ZOS_CONNECT_AUTH=... needs ...`" : "SSL certificate errors",
+      });
+    }
   }
+  return zosConnectClient.request(endpoint, method, body);
+}
 
-  const url = `${ZOS_CONNECT_URL}${endpoint}`;
-  const headers = {
-    "Content-Type": "application/json",
-    "Accept": "application/json",
-  };
+// z/OSMF configuration (jobs and files); authentication and TLS settings are read by lib/zosmf-client.js
+const ZOSMF_URL = process.env.ZOSMF_URL;
 
-  // Basic auth for z/OS Connect
-  if (ZOS_CONNECT_USERNAME && ZOS_CONNECT_PASSWORD) {
-    const auth = Buffer.from(`${ZOS_CONNECT_USERNAME}:${ZOS_CONNECT_PASSWORD}`).toString("base64");
-    headers["Authorization"] = `Basic ${auth}`;
+let zosmfClient = null;
+
+function getZosmf() {
+  if (!ZOSMF_URL) {
+    throw toolError("z/OSMF not configured. Set ZOSMF_URL (e.g. https://zos.example.com:443) and ZOSMF_USERNAME / ZOSMF_PASSWORD or a client certificate.", {
+      category: "configuration",
+      backend: "z/OSMF",
+      topic: "`Missing environment variable`",
+    });
   }
+  if (!zosmfClient) {
+    try {
+      zosmfClient = createZosmfClient(zosmfConfig());
+    } catch (error) {
+      throw toolError(error.message, {
+        category: "configuration",
+        backend: "z/OSMF",
+        topic: /^ZOSMF_AUTH/.test(error.message) ? "`ZOSMF_AUTH=... needs ...`" : "SSL certificate errors",
+      });
+    }
+  }
+  return zosmfClient;
+}
+
+// CICS CMCI configuration; authentication and TLS settings are read by lib/cmci-client.js
+const CICS_CMCI_URL = process.env.CICS_CMCI_URL;
 
-  const options = { method, headers };
-  if (body && (method === "POST" || method === "PUT" || method === "PATCH")) {
-    options.body = JSON.stringify(body);
+let cmciClient = null;
+
+function getCmci() {
+  if (!CICS_CMCI_URL) {
+    throw toolError("CICS CMCI not configured. Set CICS_CMCI_URL (e.g. https://cicswui.example.com:1490), CICS_CMCI_CONTEXT (the CICSplex) and CICS_CMCI_USERNAME / CICS_CMCI_PASSWORD or a client certificate.", {
+      category: "configuration",
+      backend: "CICS CMCI",
+      topic: "`Missing environment variable`",
+    });
+  }
+  if (!cmciClient) {
+    try {
+      cmciClient = createCmciClient(cmciConfig());
+    } catch (error) {
+      throw toolError(error.message, {
+        category: "configuration",
+        backend: "CICS CMCI",
+        topic: /^CICS_CMCI_(AUTH|CONTEXT)/.test(error.message) ? "`CICS_CMCI_AUTH=... needs ...`" : "SSL certificate errors",
+      });
+    }
   }
+  return cmciClient;
+}
 
-  const response = await fetch(url, options);
+// z/OS Connect reports running services as Started
+const HEALTHY_SERVICE_STATUS = /^(started|up|available|active)$/i;
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`z/OS Connect error ${response.status}: ${errorText}`);
+/**
+ * The CICS resources behind each service that health reports as not started,
+ * and behind `serviceName`, by service. Undefined when CMCI is not configured
+ * (and no service was asked for) or there is nothing to link.
+ */
+async function linkCics(health, serviceName, accessPolicy) {
+  if (serviceName) {
+    checkServiceName(serviceName);
+    accessPolicy.enforce(accessPolicy.zosDenial({ service: serviceName }));
+  }
+  const failing = Array.isArray(health?.services)
+    ? health.services.filter(s => s.name && !HEALTHY_SERVICE_STATUS.test(s.status || "")).map(s => s.name)
+    : [];
+  const services = [...new Set([...failing, ...(serviceName ? [serviceName] : [])])]
+    .filter(service => !accessPolicy.zosDenial({ service }));
+  if (!services.length || (!CICS_CMCI_URL && !serviceName)) {
+    return undefined;
+  }
+  if (!CICS_CMCI_URL) {
+    return { note: "Set CICS_CMCI_URL and CICS_CMCI_CONTEXT to link services to their CICS resources" };
+  }
+  const denial = accessPolicy.toolDenial("cics_query_resources");
+  if (denial) {
+    return { note: `Not linked: ${denial}` };
   }
 
-  const contentType = response.headers.get("content-type");
-  if (contentType && contentType.includes("application/json")) {
-    return response.json();
+  const linked = {};
+  for (const service of services) {
+    try {
+      const targets = cicsTargets(await callZosConnect(`/zosConnect/services/${encodeURIComponent(service)}`));
+      linked[service] = targets
+        ? await linkServiceResources(getCmci(), targets, { allowRegion: region => !accessPolicy.cicsRegionDenial(region) })
+        : { note: "The service definition names no CICS program or transaction" };
+    } catch (error) {
+      linked[service] = { error: error.message };
+    }
   }
-  return response.text();
+  return linked;
 }
 
-// Create MCP server
-const server = new Server(
-  {
-    name: "ibmz-mcp-server",
-    version: "1.0.0",
-  },
-  {
-    capabilities: {
-      tools: {},
+// Connected MCP servers: the stdio one, or one per HTTP session
+const servers = new Set();
+
+function createMcpServer() {
+  const server = new Server(
+    {
+      name: "ibmz-mcp-server",
+      version: "1.0.0",
     },
+    {
+      capabilities: {
+        tools: { listChanged: true },
+        resources: { subscribe: true, listChanged: true },
+      },
+    }
+  );
+  server.setRequestHandler(ListToolsRequestSchema, listTools);
+  server.setRequestHandler(CallToolRequestSchema, callTool);
+  server.setRequestHandler(ListResourcesRequestSchema, listResources);
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: RESOURCE_TEMPLATES }));
+  server.setRequestHandler(ReadResourceRequestSchema, readResource);
+  server.setRequestHandler(SubscribeRequestSchema, async (request, extra) => {
+    try {
+      await resourceWatcher.subscribe(server, request.params.uri, clientContext(extra));
+    } catch (error) {
+      throw resourceError(error);
+    }
+    return {};
+  });
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    resourceWatcher.unsubscribe(server, request.params.uri);
+    return {};
+  });
+  server.onclose = () => {
+    servers.delete(server);
+    resourceWatcher.drop(server);
+  };
+  servers.add(server);
+  return server;
+}
+
+// Who is calling: the authenticated HTTP client, or the local stdio user
+function clientContext(extra) {
+  const client = extra?.authInfo?.clientId || "stdio";
+  return { client, remote: Boolean(extra?.authInfo), accessPolicy: accessPolicies.forClient(client) };
+}
+
+// Service documents by name, filled by discovery and on first use
+const zosServiceDocs = new Map();
+
+async function getServiceDocument(serviceName) {
+  if (!zosServiceDocs.has(serviceName)) {
+    zosServiceDocs.set(serviceName, await fetchServiceDocument(callZosConnect, serviceName));
+  }
+  return zosServiceDocs.get(serviceName);
+}
+
+// Per-operation tools generated from z/OS Connect service documents
+let zosServiceTools = new Map();
+let zosDiscovery = { discoveredAt: null, services: [], errors: [] };
+
+const toolSignature = (tools) => JSON.stringify([...tools.values()].map(entry => entry.tool));
+
+// Rediscover services and notify clients when the generated tool set changes
+async function discoverZosServiceTools() {
+  const { services, errors } = await discoverServiceDocuments(callZosConnect);
+  const tools = buildServiceTools(services);
+  zosServiceDocs.clear();
+  for (const { name, doc } of services) {
+    zosServiceDocs.set(name, doc);
+  }
+  const changed = toolSignature(tools) !== toolSignature(zosServiceTools);
+  const servicesChanged = JSON.stringify(services.map(s => s.name)) !== JSON.stringify(zosDiscovery.services.map(s => s.name));
+
+  zosServiceTools = tools;
+  zosDiscovery = {
+    discoveredAt: new Date().toISOString(),
+    services: services.map(s => ({
+      name: s.name,
+      tools: [...tools.values()].filter(t => t.service === s.name).map(t => t.tool.name),
+    })),
+    errors,
+  };
+  if (changed) {
+    await Promise.all([...servers].map(server => server.sendToolListChanged().catch(() => {})));
+  }
+  if (servicesChanged) {
+    await Promise.all([...servers].map(server => server.sendResourceListChanged().catch(() => {})));
+  }
+  return { changed, ...zosDiscovery };
+}
+
+// Key Protect tools that run locally, without an instance
+const LOCAL_KEY_PROTECT_TOOLS = ["key_protect_list_profiles", "key_protect_write_secret", "key_protect_release_secret"];
+
+// Every other Key Protect tool can target a named instance
+function withInstanceArgument(tools) {
+  const instance = {
+    type: "string",
+    description: "Key Protect instance profile to use (default: the default profile, see key_protect_list_profiles)",
+  };
+  return tools.map(tool => tool.name.startsWith("key_protect_") && !LOCAL_KEY_PROTECT_TOOLS.includes(tool.name)
+    ? { ...tool, inputSchema: { ...tool.inputSchema, properties: { ...tool.inputSchema.properties, instance } } }
+    : tool);
+}
+
+// Hide tools, and generated service operations, that the access policy denies
+function toolVisible(tool, accessPolicy) {
+  const serviceTool = zosServiceTools.get(tool.name);
+  return !accessPolicy.toolDenial(tool.name) && !(serviceTool && accessPolicy.zosDenial({
+    service: serviceTool.service,
+    path: serviceTool.operation.path,
+    method: serviceTool.operation.method,
+  }));
+}
+
+// Key ring and key name prefix limits of the access policy
+async function enforceKeyAccess(kp, keyId, accessPolicy) {
+  if (!accessPolicy.limitsKeys) {
+    return;
+  }
+  const response = await kp.client.getKeyMetadata({
+    bluemixInstance: kp.instanceId,
+    id: keyId,
+  });
+  accessPolicy.enforce(accessPolicy.keyDenial(response.result.resources?.[0] || { id: keyId }));
+}
+
+// Plaintext key material may only be returned when KEY_PROTECT_ALLOW_PLAINTEXT permits it
+function refusePlaintext(asHandle) {
+  if (!asHandle && !SECRET_POLICY.allowPlaintext) {
+    throw toolError("Returning plaintext key material is not allowed (KEY_PROTECT_ALLOW_PLAINTEXT=false). Call again without as_handle: false to get a secret handle.", {
+      category: "authorization",
+      topic: "`Returning plaintext key material is not allowed`",
+    });
+  }
+}
+
+// Files written by key_protect_write_secret in this process, by device and inode
+const secretFiles = new Set();
+
+async function fileIdentity(filePath) {
+  const { dev, ino } = await stat(filePath);
+  return `${dev}:${ino}`;
+}
+
+// While plaintext is forbidden, tools may not read key material back from a key_protect_write_secret file
+async function refuseSecretFile(filePath) {
+  if (SECRET_POLICY.allowPlaintext || !secretFiles.size) {
+    return;
+  }
+  const identity = await fileIdentity(filePath).catch(() => null);
+  if (identity && secretFiles.has(identity)) {
+    throw toolError(`${filePath} holds key material written by key_protect_write_secret and cannot be read by other tools (KEY_PROTECT_ALLOW_PLAINTEXT=false)`, {
+      category: "authorization",
+      topic: "`Returning plaintext key material is not allowed`",
+    });
+  }
+}
+
+/**
+ * A key resource as a tool result. The `payload` of an extractable key is
+ * moved into the secret vault and replaced by `payloadHandle` unless
+ * plaintext was asked for and is allowed.
+ */
+function keyResult(key, { asHandle = SECRET_POLICY.secureMode, client }) {
+  if (!key?.payload) {
+    return key;
   }
-);
+  refusePlaintext(asHandle);
+  if (!asHandle) {
+    return key;
+  }
+  const { payload, ...rest } = key;
+  const bytes = Buffer.from(payload, "base64");
+  try {
+    return { ...rest, payloadHandle: storeSecret(bytes, { keyId: key.id, keyVersion: key.keyVersion?.id, owner: client }) };
+  } finally {
+    bytes.fill(0);
+  }
+}
 
 // Define available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+async function listTools(request, extra) {
+  const { accessPolicy } = clientContext(extra);
   return {
-    tools: [
+    tools: withInstanceArgument([
       // ============ Key Protect Tools ============
+      {
+        name: "key_protect_list_profiles",
+        description: "List the configured Key Protect instance profiles (instance ID, region, endpoint, private endpoint flag, API key variable and whether it is set)",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
       {
         name: "key_protect_list_keys",
         description: "List encryption keys from IBM Key Protect (HSM-backed on IBM Z infrastructure, FIPS 140-2 Level 3 certified)",
@@ -119,6 +519,10 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               items: { type: "number" },
               description: "Filter by key states: 1=Active, 2=Suspended, 3=Deactivated, 5=Destroyed",
             },
+            key_ring: {
+              type: "string",
+              description: "Only list keys in this key ring",
+            },
           },
         },
       },
@@ -149,26 +553,164 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             payload: {
               type: "string",
-              description: "Optional: Base64-encoded key material to import (for BYOK scenarios)",
+              description: "Optional: Base64-encoded key material to import (for BYOK scenarios), or a secret handle",
+            },
+            aliases: {
+              type: "array",
+              items: { type: "string" },
+              description: "Optional: up to 5 aliases that can be used in place of the key ID",
+            },
+            key_ring: {
+              type: "string",
+              description: "Key ring to create the key in (default: default)",
             },
           },
           required: ["name"],
         },
       },
+      {
+        name: "key_protect_create_key_alias",
+        description: "Add an alias to a key. Aliases (max 5 per key) can be used in place of the key ID in every key_protect_* tool.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key_id: {
+              type: "string",
+              description: "ID, alias or unique name of the key",
+            },
+            alias: {
+              type: "string",
+              description: "Alias to add (alphanumeric, '-' and '_'; must not look like a UUID)",
+            },
+          },
+          required: ["key_id", "alias"],
+        },
+      },
+      {
+        name: "key_protect_delete_key_alias",
+        description: "Remove an alias from a key",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key_id: {
+              type: "string",
+              description: "ID, alias or unique name of the key",
+            },
+            alias: {
+              type: "string",
+              description: "Alias to remove",
+            },
+          },
+          required: ["key_id", "alias"],
+        },
+      },
+      {
+        name: "key_protect_list_key_rings",
+        description: "List the key rings in the Key Protect instance",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "key_protect_create_key_ring",
+        description: "Create a key ring for grouping keys (and scoping IAM access)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key_ring_id: {
+              type: "string",
+              description: "ID of the new key ring (2-100 characters: letters, digits and '-')",
+            },
+          },
+          required: ["key_ring_id"],
+        },
+      },
+      {
+        name: "key_protect_delete_key_ring",
+        description: "Delete an empty key ring. With force, deleted (destroyed) keys still in the ring are moved to the default ring first.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key_ring_id: {
+              type: "string",
+              description: "ID of the key ring to delete",
+            },
+            force: {
+              type: "boolean",
+              description: "Move destroyed keys to the default ring so the ring can be deleted",
+              default: false,
+            },
+          },
+          required: ["key_ring_id"],
+        },
+      },
+      {
+        name: "key_protect_move_key",
+        description: "Move a key to another key ring",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key_id: {
+              type: "string",
+              description: "ID, alias or unique name of the key",
+            },
+            key_ring_id: {
+              type: "string",
+              description: "ID of the destination key ring",
+            },
+          },
+          required: ["key_id", "key_ring_id"],
+        },
+      },
       {
         name: "key_protect_get_key",
-        description: "Get metadata and details of a specific key from IBM Key Protect",
+        description: "Get metadata and details of a specific key from IBM Key Protect. The key material of an extractable (standard) key comes back as a secret handle in secure mode.",
         inputSchema: {
           type: "object",
           properties: {
             key_id: {
               type: "string",
-              description: "The unique ID of the key",
+              description: "ID, alias or unique name of the key",
+            },
+            include_registrations: {
+              type: "boolean",
+              description: "Also return how many cloud resources are registered against the key, by service",
+              default: false,
+            },
+            as_handle: {
+              type: "boolean",
+              description: `Return a secret handle instead of the key material of a standard key (default: ${SECRET_POLICY.secureMode})`,
             },
           },
           required: ["key_id"],
         },
       },
+      {
+        name: "key_protect_list_registrations",
+        description: "List the cloud resources (COS buckets, databases, other services) registered against a key, or against every key in the instance, grouped by service instance CRN",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key_id: {
+              type: "string",
+              description: "ID, alias or unique name of the key (default: all keys in the instance)",
+            },
+            key_ring: {
+              type: "string",
+              description: "Only include registrations for keys in this key ring",
+            },
+            crn_query: {
+              type: "string",
+              description: "Filter by resource CRN; * matches any segment value and a trailing * does a prefix search, e.g. crn:v1:bluemix:public:cloud-object-storage:*",
+            },
+            prevent_key_deletion: {
+              type: "boolean",
+              description: "Only return registrations with (true) or without (false) a retention policy that blocks key deletion",
+            },
+          },
+        },
+      },
       {
         name: "key_protect_wrap_key",
         description: "Wrap (encrypt) a data encryption key using a root key. Used for envelope encryption - protects DEKs with a KEK stored in HSM.",
@@ -177,11 +719,11 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             key_id: {
               type: "string",
-              description: "ID of the root key to use for wrapping",
+              description: "ID, alias or unique name of the root key to use for wrapping",
             },
             plaintext: {
               type: "string",
-              description: "Base64-encoded plaintext data encryption key (DEK) to wrap",
+              description: "Base64-encoded plaintext data encryption key (DEK) to wrap, or a secret handle from key_protect_unwrap_key",
             },
             aad: {
               type: "array",
@@ -194,13 +736,13 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "key_protect_unwrap_key",
-        description: "Unwrap (decrypt) a wrapped data encryption key using a root key",
+        description: "Unwrap (decrypt) a wrapped data encryption key using a root key. In secure mode the DEK stays on the server and a short-lived secret handle is returned instead, usable wherever a tool takes key material.",
         inputSchema: {
           type: "object",
           properties: {
             key_id: {
               type: "string",
-              description: "ID of the root key used to wrap the DEK",
+              description: "ID, alias or unique name of the root key used to wrap the DEK",
             },
             ciphertext: {
               type: "string",
@@ -211,6 +753,10 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               items: { type: "string" },
               description: "Additional authenticated data (must match what was used during wrap)",
             },
+            as_handle: {
+              type: "boolean",
+              description: `Return a secret handle instead of the plaintext DEK (default: ${SECRET_POLICY.secureMode})`,
+            },
           },
           required: ["key_id", "ciphertext"],
         },
@@ -223,84 +769,481 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             key_id: {
               type: "string",
-              description: "ID of the root key to rotate",
+              description: "ID, alias or unique name of the root key to rotate",
             },
             payload: {
               type: "string",
-              description: "Optional: Base64-encoded new key material for BYOK rotation",
+              description: "Optional: Base64-encoded new key material for BYOK rotation (requires confirmation), or a secret handle",
+            },
+            confirmation_token: {
+              type: "string",
+              description: "Token from a previous call's impact summary. BYOK rotation only happens when this is supplied.",
             },
           },
           required: ["key_id"],
         },
       },
+      {
+        name: "key_protect_rewrap_keys",
+        description: "Batch rewrap wrapped DEKs to the latest root key version after a rotation. Accepts inline items or a JSON/CSV/NDJSON file, runs with bounded concurrency, reports per-item old -> new keyVersion and can resume a partially completed run from a checkpoint file.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key_id: {
+              type: "string",
+              description: "ID, alias or unique name of the root key the DEKs were wrapped with (items may override with their own key_id)",
+            },
+            items: {
+              type: "array",
+              items: {
+                type: ["string", "object"],
+                properties: {
+                  id: { type: "string", description: "Caller's identifier for this wrapped DEK" },
+                  ciphertext: { type: "string", description: "Wrapped DEK returned by key_protect_wrap_key" },
+                  key_id: { type: "string", description: "Root key for this item" },
+                  aad: { type: "array", items: { type: "string" } },
+                },
+              },
+              description: "Wrapped DEKs: ciphertext strings or objects with ciphertext and optional id, key_id, aad",
+            },
+            file_path: {
+              type: "string",
+              description: "Local JSON array, NDJSON or CSV file (header with ciphertext and optional id, key_id, aad separated by ';')",
+            },
+            format: {
+              type: "string",
+              enum: ["json", "ndjson", "csv"],
+              description: "File format (default: from the file extension)",
+            },
+            concurrency: {
+              type: "number",
+              description: "Maximum rewraps in flight (1-16, default: 4)",
+              default: 4,
+            },
+            checkpoint_path: {
+              type: "string",
+              description: "NDJSON checkpoint file. Completed items recorded here are skipped when the run is repeated; failed items are retried.",
+            },
+            output_path: {
+              type: "string",
+              description: "Write every item result (including new ciphertexts) to this file (.json array, otherwise NDJSON) and return only the summary and failures",
+            },
+          },
+        },
+      },
       {
         name: "key_protect_delete_key",
-        description: "Delete a key from IBM Key Protect. WARNING: This is irreversible and data encrypted with this key becomes unrecoverable.",
+        description: "Delete a key from IBM Key Protect. WARNING: This is irreversible and data encrypted with this key becomes unrecoverable. Refused while cloud resources are registered against the key unless force is set. Two-phase: the first call returns an impact summary and a confirmation token; call again with confirmation_token to delete. Keys with a dual authorization policy are set for deletion and must be deleted by a second user.",
         inputSchema: {
           type: "object",
           properties: {
             key_id: {
               type: "string",
-              description: "ID of the key to delete",
+              description: "ID, alias or unique name of the key to delete",
             },
             force: {
               type: "boolean",
-              description: "Force delete even if key has associated resources",
+              description: "Delete even though cloud resources are registered against the key. Without it, deletion is refused and the registrations are listed. Resources with a retention policy (preventKeyDeletion) always block deletion.",
               default: false,
             },
+            confirmation_token: {
+              type: "string",
+              description: "Token from the impact summary returned by a previous call. The key is only deleted when this is supplied.",
+            },
           },
           required: ["key_id"],
         },
       },
       {
-        name: "key_protect_get_key_policies",
-        description: "Get policies applied to a key (rotation, dual authorization)",
+        name: "key_protect_disable_key",
+        description: "Disable (suspend) a key during an incident. Wrap/unwrap and encrypt/decrypt fail until it is re-enabled. Two-phase: returns an impact summary and confirmation token first. State 1=Active -> 2=Suspended.",
         inputSchema: {
           type: "object",
           properties: {
             key_id: {
               type: "string",
-              description: "ID of the key",
+              description: "ID, alias or unique name of the key to disable",
+            },
+            confirmation_token: {
+              type: "string",
+              description: "Token from the impact summary returned by a previous call",
             },
           },
           required: ["key_id"],
         },
       },
-
-      // ============ z/OS Connect Tools ============
       {
-        name: "zos_connect_list_services",
-        description: "List all available z/OS Connect services (REST APIs exposing mainframe programs). Each service maps to CICS transactions, IMS programs, or batch jobs.",
+        name: "key_protect_enable_key",
+        description: "Re-enable a disabled key. State 2=Suspended -> 1=Active.",
         inputSchema: {
           type: "object",
-          properties: {},
+          properties: {
+            key_id: {
+              type: "string",
+              description: "ID, alias or unique name of the key to enable",
+            },
+          },
+          required: ["key_id"],
         },
       },
       {
-        name: "zos_connect_get_service",
-        description: "Get detailed information about a z/OS Connect service including its OpenAPI specification and endpoint mappings",
+        name: "key_protect_set_key_for_deletion",
+        description: "Authorize deletion of a key with a dual authorization policy (first approval). A different user must then delete the key within 7 days. Two-phase: returns an impact summary and confirmation token first.",
         inputSchema: {
           type: "object",
           properties: {
-            service_name: {
+            key_id: {
               type: "string",
-              description: "Name of the z/OS Connect service",
+              description: "ID, alias or unique name of the key",
+            },
+            confirmation_token: {
+              type: "string",
+              description: "Token from the impact summary returned by a previous call",
             },
           },
-          required: ["service_name"],
+          required: ["key_id"],
         },
       },
       {
-        name: "zos_connect_call_service",
-        description: "Call a z/OS Connect REST API to interact with mainframe programs. Maps JSON to COBOL copybooks automatically.",
+        name: "key_protect_unset_key_for_deletion",
+        description: "Cancel a pending dual authorization deletion for a key",
         inputSchema: {
           type: "object",
           properties: {
-            service_name: {
+            key_id: {
               type: "string",
-              description: "Name of the z/OS Connect service to invoke",
+              description: "ID, alias or unique name of the key",
             },
-            operation: {
+          },
+          required: ["key_id"],
+        },
+      },
+      {
+        name: "key_protect_restore_key",
+        description: "Restore a deleted key within its 30-day restore window. State 5=Destroyed -> 1=Active. Imported keys need their original key material.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key_id: {
+              type: "string",
+              description: "ID, alias or unique name of the deleted key",
+            },
+            payload: {
+              type: "string",
+              description: "Base64-encoded key material, or a secret handle; required for keys that were imported (BYOK)",
+            },
+          },
+          required: ["key_id"],
+        },
+      },
+      {
+        name: "key_protect_purge_key",
+        description: "Permanently purge a deleted key (at least 4 hours after deletion). Removes all metadata; the key can never be restored. Two-phase: returns an impact summary and confirmation token first.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key_id: {
+              type: "string",
+              description: "ID, alias or unique name of the deleted key to purge",
+            },
+            confirmation_token: {
+              type: "string",
+              description: "Token from the impact summary returned by a previous call",
+            },
+          },
+          required: ["key_id"],
+        },
+      },
+      {
+        name: "key_protect_list_key_versions",
+        description: "List the versions of a root key with their creation dates (one version per rotation)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key_id: {
+              type: "string",
+              description: "ID, alias or unique name of the key",
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of versions to return (default: 200)",
+              default: 200,
+            },
+            offset: {
+              type: "number",
+              description: "Number of versions to skip for pagination",
+              default: 0,
+            },
+          },
+          required: ["key_id"],
+        },
+      },
+      {
+        name: "key_protect_get_key_policies",
+        description: "Get the rotation and dual authorization delete policies applied to a key",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key_id: {
+              type: "string",
+              description: "ID, alias or unique name of the key",
+            },
+          },
+          required: ["key_id"],
+        },
+      },
+      {
+        name: "key_protect_set_key_policies",
+        description: "Set a key's rotation policy (interval in months, enabled flag) and/or dual authorization delete policy. Returns the policies before and after the change.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key_id: {
+              type: "string",
+              description: "ID, alias or unique name of the key",
+            },
+            rotation_interval_months: {
+              type: "number",
+              minimum: 1,
+              maximum: 12,
+              description: "Automatic rotation interval in months (1-12, root keys only)",
+            },
+            rotation_enabled: {
+              type: "boolean",
+              description: "Enable or disable automatic rotation (keeps the current interval if none is given)",
+            },
+            dual_auth_delete: {
+              type: "boolean",
+              description: "Require two authorized users to delete this key",
+            },
+          },
+          required: ["key_id"],
+        },
+      },
+      {
+        name: "key_protect_get_instance_policies",
+        description: "Get instance-level Key Protect policies: allowed networks, dual authorization delete, key create/import access, allowed IPs and metrics",
+        inputSchema: {
+          type: "object",
+          properties: {
+            policy: {
+              type: "string",
+              enum: ["allowedNetwork", "dualAuthDelete", "keyCreateImportAccess", "allowedIP", "metrics"],
+              description: "Only return this policy type (default: all)",
+            },
+          },
+        },
+      },
+      {
+        name: "key_protect_set_instance_policies",
+        description: "Set instance-level Key Protect policies. Only the policies you pass are changed. Returns the policies before and after the change.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            allowed_network: {
+              type: "string",
+              enum: ["public-and-private", "private-only", "disabled"],
+              description: "Network access to the instance",
+            },
+            dual_auth_delete: {
+              type: "boolean",
+              description: "Require dual authorization to delete keys created in this instance",
+            },
+            key_create_import_access: {
+              type: "object",
+              description: "Restrict which key types can be created or imported",
+              properties: {
+                enabled: { type: "boolean" },
+                create_root_key: { type: "boolean" },
+                create_standard_key: { type: "boolean" },
+                import_root_key: { type: "boolean" },
+                import_standard_key: { type: "boolean" },
+                enforce_token: { type: "boolean", description: "Require an import token for key imports" },
+              },
+            },
+            allowed_ips: {
+              type: "array",
+              items: { type: "string" },
+              description: "Allowed IPv4/IPv6 CIDR ranges; an empty array disables the allowed IP policy",
+            },
+            metrics: {
+              type: "boolean",
+              description: "Enable operational metrics for the instance",
+            },
+          },
+        },
+      },
+      {
+        name: "key_protect_compliance_report",
+        description: "Audit every key in the instance against a compliance rule set (rotation age, extractable keys, missing descriptions, missing rotation policy, suspended/deactivated/destroyed or pending-deletion keys) and return the findings as JSON, Markdown or CSV",
+        inputSchema: {
+          type: "object",
+          properties: {
+            rules: {
+              type: "object",
+              description: "Rule overrides merged over the defaults, e.g. {\"rotationAge\": {\"maxDays\": 30}, \"missingDescription\": false}. Rules: rotationAge (maxDays), extractable, missingDescription, rotationPolicyAbsent, state (states, pendingDeletion); each accepts enabled and severity (low, medium, high, critical).",
+            },
+            key_ring: {
+              type: "string",
+              description: "Only report on keys in this key ring",
+            },
+            format: {
+              type: "string",
+              enum: ["json", "markdown", "csv"],
+              description: "Report format (default: json)",
+            },
+            output_path: {
+              type: "string",
+              description: "Write the report to this file instead of returning it in full",
+            },
+          },
+        },
+      },
+      {
+        name: "key_protect_encrypt_data",
+        description: "Envelope-encrypt data in one call: generates a fresh AES-256-GCM DEK, encrypts the data locally, wraps the DEK with a root key and returns a self-describing JSON envelope.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key_id: {
+              type: "string",
+              description: "ID, alias or unique name of the root key used to wrap the generated DEK",
+            },
+            plaintext: {
+              type: "string",
+              description: "Data to encrypt (interpreted according to encoding)",
+            },
+            encoding: {
+              type: "string",
+              enum: ["utf8", "base64"],
+              description: "Encoding of plaintext; also used to return the data on decrypt",
+              default: "utf8",
+            },
+            file_path: {
+              type: "string",
+              description: "Local file to encrypt instead of plaintext (read as binary)",
+            },
+            aad: {
+              type: "array",
+              items: { type: "string" },
+              description: "Additional authenticated data bound to both the DEK wrap and the data encryption",
+            },
+            dek: {
+              type: "string",
+              description: "Optional: secret handle of a 256-bit DEK to use instead of generating a new one",
+            },
+            output_path: {
+              type: "string",
+              description: "Optional: write the envelope JSON to this local file instead of returning it inline",
+            },
+          },
+          required: ["key_id"],
+        },
+      },
+      {
+        name: "key_protect_decrypt_data",
+        description: "Decrypt an envelope produced by key_protect_encrypt_data: unwraps the DEK through Key Protect and decrypts the data locally.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            envelope: {
+              type: ["object", "string"],
+              description: "Envelope JSON (object or string) returned by key_protect_encrypt_data",
+            },
+            file_path: {
+              type: "string",
+              description: "Local file containing the envelope JSON, instead of envelope",
+            },
+            dek: {
+              type: "string",
+              description: "Optional: secret handle of the already unwrapped DEK, instead of unwrapping it through Key Protect",
+            },
+            output_path: {
+              type: "string",
+              description: "Optional: write the decrypted bytes to this local file instead of returning them inline",
+            },
+          },
+        },
+      },
+
+      {
+        name: "key_protect_write_secret",
+        description: "Write the key material behind a secret handle to a local file readable only by its owner (mode 0600), without returning it",
+        inputSchema: {
+          type: "object",
+          properties: {
+            handle: {
+              type: "string",
+              description: "Secret handle from key_protect_unwrap_key",
+            },
+            output_path: {
+              type: "string",
+              description: "Local file to write",
+            },
+            encoding: {
+              type: "string",
+              enum: ["binary", "base64"],
+              description: "Write the raw key bytes or their base64 text",
+              default: "binary",
+            },
+            overwrite: {
+              type: "boolean",
+              description: "Replace output_path if it already exists",
+              default: false,
+            },
+          },
+          required: ["handle", "output_path"],
+        },
+      },
+      {
+        name: "key_protect_release_secret",
+        description: "Zero and discard the key material behind a secret handle before its TTL expires",
+        inputSchema: {
+          type: "object",
+          properties: {
+            handle: {
+              type: "string",
+              description: "Secret handle from key_protect_unwrap_key",
+            },
+          },
+          required: ["handle"],
+        },
+      },
+
+      // ============ z/OS Connect Tools ============
+      {
+        name: "zos_connect_list_services",
+        description: "List all available z/OS Connect services (REST APIs exposing mainframe programs). Each service maps to CICS transactions, IMS programs, or batch jobs.",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "zos_connect_get_service",
+        description: "Get detailed information about a z/OS Connect service including its OpenAPI specification and endpoint mappings",
+        inputSchema: {
+          type: "object",
+          properties: {
+            service_name: {
+              type: "string",
+              description: "Name of the z/OS Connect service",
+            },
+          },
+          required: ["service_name"],
+        },
+      },
+      {
+        name: "zos_connect_call_service",
+        description: "Call a z/OS Connect REST API to interact with mainframe programs. Maps JSON to COBOL copybooks automatically. Path params, query params and payload are validated against the service's OpenAPI schema first; violations are returned without calling the mainframe.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            service_name: {
+              type: "string",
+              description: "Name of the z/OS Connect service to invoke",
+            },
+            operation: {
               type: "string",
               description: "API operation path (e.g., /accounts, /customers/{id})",
               default: "/",
@@ -323,6 +1266,11 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "object",
               description: "Query string parameters",
             },
+            validate_only: {
+              type: "boolean",
+              description: "Validate against the service's OpenAPI schema and return the final URL, method and body without calling the mainframe",
+              default: false,
+            },
           },
           required: ["service_name"],
         },
@@ -337,345 +1285,3042 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "zos_connect_health",
-        description: "Check the health status of the z/OS Connect server and connected subsystems",
+        description: "Check the health status of the z/OS Connect server and connected subsystems. When CICS CMCI is configured, services that are not started (and service_name) are linked to the CICS program and transaction behind them, with their status in each region.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            service_name: {
+              type: "string",
+              description: "Also link this service to its CICS resources, e.g. after a call failed with a CICS abend",
+            },
+            link_cics: {
+              type: "boolean",
+              description: "Look up the CICS resources behind failing services (default: true when CICS_CMCI_URL is set)",
+              default: true,
+            },
+          },
+        },
+      },
+      {
+        name: "zos_connect_refresh_tools",
+        description: "Rediscover z/OS Connect services and regenerate the per-operation zos_<service>_<operation> tools from their OpenAPI documents. Clients are notified when the tool list changes.",
         inputSchema: {
           type: "object",
           properties: {},
         },
       },
-    ],
-  };
-});
-
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  try {
-    // ============ Key Protect Tool Handlers ============
-    if (name.startsWith("key_protect_")) {
-      const kpClient = getKeyProtectClient();
-
-      if (!kpClient) {
-        return {
-          content: [{
-            type: "text",
-            text: "Error: Key Protect not configured. Set IBM_CLOUD_API_KEY and KEY_PROTECT_INSTANCE_ID environment variables.",
-          }],
-        };
-      }
-
-      switch (name) {
-        case "key_protect_list_keys": {
-          const response = await kpClient.getKeys({
-            bluemixInstance: KEY_PROTECT_INSTANCE_ID,
-            limit: args.limit || 100,
-            offset: args.offset || 0,
-            state: args.state,
-          });
 
-          const keys = response.result.resources?.map(k => ({
-            id: k.id,
-            name: k.name,
-            type: k.type,
-            state: k.state,
-            extractable: k.extractable,
-            crn: k.crn,
-            createdBy: k.createdBy,
+      // ============ z/OSMF Job Tools ============
+      {
+        name: "zosmf_submit_job",
+        description: "Submit a batch job through z/OSMF, from inline JCL or a dataset member. Returns the job name and ID; with wait, follows the job to completion and returns the return code or ABEND code per job and step.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            jcl: {
+              type: "string",
+              description: "JCL to submit, starting with the JOB statement (80-column records)",
+            },
+            dataset: {
+              type: "string",
+              description: "Dataset or member holding the JCL, e.g. PROD.JCL(NIGHTLY)",
+            },
+            symbols: {
+              type: "object",
+              additionalProperties: { type: "string" },
+              description: "JCL symbols to substitute, e.g. { \"HLQ\": \"TEST\" }",
+            },
+            wait: {
+              type: "boolean",
+              description: "Poll until the job ends, sending progress notifications, and return its return code or ABEND",
+              default: false,
+            },
+            timeout_seconds: {
+              type: "number",
+              description: "With wait, stop waiting after this long and return the job's current status (default: 300)",
+              default: 300,
+            },
+          },
+        },
+      },
+      {
+        name: "zosmf_get_job",
+        description: "Status of a batch job (INPUT, ACTIVE, OUTPUT), its phase, and once it has ended its return code or ABEND code per job and step",
+        inputSchema: {
+          type: "object",
+          properties: {
+            jobname: {
+              type: "string",
+              description: "Job name, e.g. PAYROLL1",
+            },
+            jobid: {
+              type: "string",
+              description: "Job ID, e.g. JOB01234",
+            },
+            wait: {
+              type: "boolean",
+              description: "Poll until the job ends, sending progress notifications, and return its return code or ABEND",
+              default: false,
+            },
+            timeout_seconds: {
+              type: "number",
+              description: "With wait, stop waiting after this long and return the job's current status (default: 300)",
+              default: 300,
+            },
+          },
+          required: ["jobname", "jobid"],
+        },
+      },
+      {
+        name: "zosmf_list_jobs",
+        description: "List batch jobs by owner and job name prefix (default: your own jobs), with status and return code",
+        inputSchema: {
+          type: "object",
+          properties: {
+            owner: {
+              type: "string",
+              description: "Owner user ID, or * for all owners",
+            },
+            prefix: {
+              type: "string",
+              description: "Job name prefix, e.g. PAY*",
+            },
+            active_only: {
+              type: "boolean",
+              description: "Only list jobs that are running",
+              default: false,
+            },
+            max_jobs: {
+              type: "number",
+              description: "Maximum number of jobs to return (default: 100)",
+              default: 100,
+            },
+          },
+        },
+      },
+      {
+        name: "zosmf_list_spool_files",
+        description: "List the spool files (JESMSGLG, JESJCL, SYSOUT, ...) of a job with their step, DD name and record count",
+        inputSchema: {
+          type: "object",
+          properties: {
+            jobname: {
+              type: "string",
+              description: "Job name, e.g. PAYROLL1",
+            },
+            jobid: {
+              type: "string",
+              description: "Job ID, e.g. JOB01234",
+            },
+          },
+          required: ["jobname", "jobid"],
+        },
+      },
+      {
+        name: "zosmf_read_spool_file",
+        description: "Read one page of a spool file. Returns nextStart to continue from, or null at the end.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            jobname: {
+              type: "string",
+              description: "Job name, e.g. PAYROLL1",
+            },
+            jobid: {
+              type: "string",
+              description: "Job ID, e.g. JOB01234",
+            },
+            file_id: {
+              type: "number",
+              description: "Spool file ID from zosmf_list_spool_files",
+            },
+            start: {
+              type: "number",
+              description: "First record to return, counting from 0",
+              default: 0,
+            },
+            records: {
+              type: "number",
+              description: "Number of records to return (default: 500, at most 5000)",
+              default: 500,
+            },
+          },
+          required: ["jobname", "jobid", "file_id"],
+        },
+      },
+      {
+        name: "zosmf_cancel_job",
+        description: "Cancel a running batch job, or with purge also delete it and its output. Two-phase: returns the job's status and a confirmation token first.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            jobname: {
+              type: "string",
+              description: "Job name, e.g. PAYROLL1",
+            },
+            jobid: {
+              type: "string",
+              description: "Job ID, e.g. JOB01234",
+            },
+            purge: {
+              type: "boolean",
+              description: "Also remove the job and its spool output (cannot be undone)",
+              default: false,
+            },
+            confirmation_token: {
+              type: "string",
+              description: "Token from the status summary returned by a previous call",
+            },
+          },
+          required: ["jobname", "jobid"],
+        },
+      },
+
+      // ============ z/OSMF Dataset and USS File Tools ============
+      {
+        name: "zosmf_list_datasets",
+        description: "List datasets matching a pattern (e.g. PROD.PAYROLL.** or PROD.*.JCL) with organization, record format, record length and volume. Returns nextStart to continue from when there are more.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pattern: {
+              type: "string",
+              description: "Dataset name pattern; * matches one qualifier (or part of it), ** any number of qualifiers",
+            },
+            start: {
+              type: "string",
+              description: "Dataset name to continue from (nextStart of the previous page)",
+            },
+            max_items: {
+              type: "number",
+              description: "Maximum number of datasets to return (default: 100)",
+              default: 100,
+            },
+          },
+          required: ["pattern"],
+        },
+      },
+      {
+        name: "zosmf_list_members",
+        description: "List the members of a PDS or PDSE, optionally matching a pattern, with ISPF statistics (version, changed date, user, lines) where present",
+        inputSchema: {
+          type: "object",
+          properties: {
+            dataset: {
+              type: "string",
+              description: "Partitioned dataset, e.g. PROD.COBOL.SOURCE",
+            },
+            pattern: {
+              type: "string",
+              description: "Member name pattern, e.g. PAY*",
+            },
+            start: {
+              type: "string",
+              description: "Member name to continue from (nextStart of the previous page)",
+            },
+            max_items: {
+              type: "number",
+              description: "Maximum number of members to return (default: 100)",
+              default: 100,
+            },
+          },
+          required: ["dataset"],
+        },
+      },
+      {
+        name: "zosmf_read_dataset",
+        description: "Read one page of a sequential dataset or PDS member. Text is converted from the dataset's code page to UTF-8 and paged by record (nextStart); binary is returned as base64 and paged by byte (nextOffset).",
+        inputSchema: {
+          type: "object",
+          properties: {
+            dataset: {
+              type: "string",
+              description: "Dataset or member, e.g. PROD.DATA or PROD.COBOL.SOURCE(PAYROLL)",
+            },
+            encoding: {
+              type: "string",
+              enum: ["text", "binary"],
+              description: "text: records converted to UTF-8; binary: raw bytes as base64",
+              default: "text",
+            },
+            codepage: {
+              type: "string",
+              description: "EBCDIC code page of the data for text, e.g. IBM-037 or 1140 (default: the z/OSMF default, usually IBM-1047)",
+            },
+            start: {
+              type: "number",
+              description: "Text: first record to return, counting from 0",
+              default: 0,
+            },
+            records: {
+              type: "number",
+              description: "Text: number of records to return (default: 500, at most 5000)",
+              default: 500,
+            },
+            offset: {
+              type: "number",
+              description: "Binary: first byte to return",
+              default: 0,
+            },
+            length: {
+              type: "number",
+              description: "Binary: number of bytes to return (default: 262144, at most 4194304)",
+            },
+          },
+          required: ["dataset"],
+        },
+      },
+      {
+        name: "zosmf_write_dataset",
+        description: "Replace the content of a sequential dataset or PDS member (a new member is created). Text is converted from UTF-8 to the code page; binary content is base64. Overwriting existing content is two-phase: the first call returns what would be replaced and a confirmation token.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            dataset: {
+              type: "string",
+              description: "Dataset or member, e.g. PROD.DATA or TEST.JCL(NIGHTLY)",
+            },
+            content: {
+              type: "string",
+              description: "New content: lines separated by newlines for text, base64 for binary",
+            },
+            encoding: {
+              type: "string",
+              enum: ["text", "binary"],
+              description: "text: convert to the code page; binary: write the decoded bytes as they are",
+              default: "text",
+            },
+            codepage: {
+              type: "string",
+              description: "EBCDIC code page to write text in, e.g. IBM-037 (default: the z/OSMF default, usually IBM-1047)",
+            },
+            confirmation_token: {
+              type: "string",
+              description: "Token from the summary returned by a previous call, to overwrite existing content",
+            },
+          },
+          required: ["dataset", "content"],
+        },
+      },
+      {
+        name: "zosmf_allocate_dataset",
+        description: "Allocate a sequential (PS) or partitioned (PO, a PDSE by default) dataset, from attributes or like an existing dataset. Defaults: PS, FB, LRECL 80, 1 track primary and secondary.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            dataset: {
+              type: "string",
+              description: "Fully qualified dataset name, e.g. TEST.PAYROLL.INPUT",
+            },
+            like: {
+              type: "string",
+              description: "Copy the attributes of this dataset instead",
+            },
+            dsorg: {
+              type: "string",
+              enum: ["PS", "PO"],
+              description: "Organization: PS (sequential) or PO (partitioned)",
+            },
+            recfm: {
+              type: "string",
+              description: "Record format, e.g. FB, VB, U",
+            },
+            lrecl: {
+              type: "number",
+              description: "Record length",
+            },
+            blksize: {
+              type: "number",
+              description: "Block size (default: derived from the record format and length)",
+            },
+            alcunit: {
+              type: "string",
+              enum: ["TRK", "CYL"],
+              description: "Space unit",
+            },
+            primary: {
+              type: "number",
+              description: "Primary space in alcunit",
+            },
+            secondary: {
+              type: "number",
+              description: "Secondary space in alcunit",
+            },
+            dirblk: {
+              type: "number",
+              description: "Directory blocks for PO datasets (default: 10)",
+            },
+            dsntype: {
+              type: "string",
+              enum: ["LIBRARY", "PDS", "BASIC", "LARGE"],
+              description: "Dataset type; PO datasets default to LIBRARY (PDSE)",
+            },
+            volser: {
+              type: "string",
+              description: "Volume serial, when the dataset is not SMS-managed",
+            },
+          },
+          required: ["dataset"],
+        },
+      },
+      {
+        name: "zosmf_delete_dataset",
+        description: "Delete a dataset, or one member of a PDS. Two-phase: returns what would be deleted and a confirmation token first.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            dataset: {
+              type: "string",
+              description: "Dataset or member, e.g. TEST.PAYROLL.INPUT or TEST.JCL(OLD)",
+            },
+            confirmation_token: {
+              type: "string",
+              description: "Token from the summary returned by a previous call",
+            },
+          },
+          required: ["dataset"],
+        },
+      },
+      {
+        name: "zosmf_list_uss_files",
+        description: "List a z/OS UNIX directory with file type, mode, size, owner and modification time",
+        inputSchema: {
+          type: "object",
+          properties: {
+            path: {
+              type: "string",
+              description: "Absolute directory path, e.g. /u/payroll",
+            },
+            max_items: {
+              type: "number",
+              description: "Maximum number of entries to return (default: 200)",
+              default: 200,
+            },
+          },
+          required: ["path"],
+        },
+      },
+      {
+        name: "zosmf_read_uss_file",
+        description: "Read one page of a z/OS UNIX file. Text is converted to UTF-8 and paged by line (nextStart); binary is returned as base64 and paged by byte (nextOffset).",
+        inputSchema: {
+          type: "object",
+          properties: {
+            path: {
+              type: "string",
+              description: "Absolute file path, e.g. /u/payroll/config.properties",
+            },
+            encoding: {
+              type: "string",
+              enum: ["text", "binary"],
+              description: "text: lines converted to UTF-8; binary: raw bytes as base64",
+              default: "text",
+            },
+            codepage: {
+              type: "string",
+              description: "Code page of the file for text, e.g. IBM-1047 or ISO8859-1 (default: the file's tag, else the z/OSMF default)",
+            },
+            start: {
+              type: "number",
+              description: "Text: first line to return, counting from 0",
+              default: 0,
+            },
+            records: {
+              type: "number",
+              description: "Text: number of lines to return (default: 500, at most 5000)",
+              default: 500,
+            },
+            offset: {
+              type: "number",
+              description: "Binary: first byte to return",
+              default: 0,
+            },
+            length: {
+              type: "number",
+              description: "Binary: number of bytes to return (default: 262144, at most 4194304)",
+            },
+          },
+          required: ["path"],
+        },
+      },
+      {
+        name: "zosmf_write_uss_file",
+        description: "Write a z/OS UNIX file, creating it if needed. Text is converted from UTF-8 to the code page; binary content is base64. Overwriting a non-empty file is two-phase: the first call returns what would be replaced and a confirmation token.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            path: {
+              type: "string",
+              description: "Absolute file path, e.g. /u/payroll/config.properties",
+            },
+            content: {
+              type: "string",
+              description: "New content: text, or base64 for binary",
+            },
+            encoding: {
+              type: "string",
+              enum: ["text", "binary"],
+              description: "text: convert to the code page; binary: write the decoded bytes as they are",
+              default: "text",
+            },
+            codepage: {
+              type: "string",
+              description: "Code page to write text in, e.g. IBM-1047 or ISO8859-1 (default: the z/OSMF default)",
+            },
+            confirmation_token: {
+              type: "string",
+              description: "Token from the summary returned by a previous call, to overwrite existing content",
+            },
+          },
+          required: ["path", "content"],
+        },
+      },
+
+      // ============ CICS Tools ============
+      {
+        name: "cics_list_regions",
+        description: "List the CICS regions of the CICSplex (or of a CICS system group) with APPLID, job name, z/OS image, CICS release, status and task counts",
+        inputSchema: {
+          type: "object",
+          properties: {
+            scope: {
+              type: "string",
+              description: "CICS system group to list instead of the whole CICSplex",
+            },
+          },
+        },
+      },
+      {
+        name: "cics_query_resources",
+        description: "Query CICS transactions, programs, files, TS/TD queues or URIMAPs by name pattern and attribute filters. Returns each matching resource per region with its enable status and use count.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            type: {
+              type: "string",
+              enum: ["transaction", "program", "file", "tsqueue", "tdqueue", "urimap"],
+              description: "Resource type",
+            },
+            name: {
+              type: "string",
+              description: "Name or pattern; * matches any characters, + one character (default: *)",
+            },
+            region: {
+              type: "string",
+              description: "Region or CICS system group to query (default: CICS_CMCI_SCOPE, else the whole CICSplex)",
+            },
+            filters: {
+              type: "object",
+              additionalProperties: { type: "string" },
+              description: "Other CMCI attributes to match, e.g. { \"status\": \"DISABLED\" } or { \"program\": \"PAY*\" }",
+            },
+            max_records: {
+              type: "number",
+              description: "Maximum number of records to return (default: 100)",
+              default: 100,
+            },
+          },
+          required: ["type"],
+        },
+      },
+      {
+        name: "cics_get_resource",
+        description: "Show one CICS resource in every region where it is installed: enable status, use count and all of its CMCI attributes",
+        inputSchema: {
+          type: "object",
+          properties: {
+            type: {
+              type: "string",
+              enum: ["transaction", "program", "file", "tsqueue", "tdqueue", "urimap"],
+              description: "Resource type",
+            },
+            name: {
+              type: "string",
+              description: "Resource name, e.g. PAYPGM01",
+            },
+            region: {
+              type: "string",
+              description: "Region or CICS system group (default: CICS_CMCI_SCOPE, else the whole CICSplex)",
+            },
+          },
+          required: ["type", "name"],
+        },
+      },
+      {
+        name: "cics_enable_resource",
+        description: "Enable a CICS transaction, program, file, TD queue or URIMAP in a region (or CICS system group)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            type: {
+              type: "string",
+              enum: ["transaction", "program", "file", "tdqueue", "urimap"],
+              description: "Resource type",
+            },
+            name: {
+              type: "string",
+              description: "Resource name (no wildcards)",
+            },
+            region: {
+              type: "string",
+              description: "Region or CICS system group to act in",
+            },
+          },
+          required: ["type", "name", "region"],
+        },
+      },
+      {
+        name: "cics_disable_resource",
+        description: "Disable a CICS transaction, program, file, TD queue or URIMAP in a region (or CICS system group). Two-phase: returns the resource's current status and use count and a confirmation token first.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            type: {
+              type: "string",
+              enum: ["transaction", "program", "file", "tdqueue", "urimap"],
+              description: "Resource type",
+            },
+            name: {
+              type: "string",
+              description: "Resource name (no wildcards)",
+            },
+            region: {
+              type: "string",
+              description: "Region or CICS system group to act in",
+            },
+            confirmation_token: {
+              type: "string",
+              description: "Token from the status summary returned by a previous call",
+            },
+          },
+          required: ["type", "name", "region"],
+        },
+      },
+      {
+        name: "cics_newcopy_program",
+        description: "Load a new copy of a CICS program from its library (NEWCOPY) in a region (or CICS system group), e.g. after a fixed load module is deployed",
+        inputSchema: {
+          type: "object",
+          properties: {
+            name: {
+              type: "string",
+              description: "Program name (no wildcards)",
+            },
+            region: {
+              type: "string",
+              description: "Region or CICS system group to act in",
+            },
+          },
+          required: ["name", "region"],
+        },
+      },
+
+      // ============ COBOL Copybook Tools ============
+      {
+        name: "cobol_copybook_to_schema",
+        description: "Parse a COBOL copybook (PIC X/9/S9/V, COMP, COMP-3, OCCURS, OCCURS DEPENDING ON, REDEFINES, level 88) into a JSON Schema, a sample payload and the field layout with offsets and lengths. Use it to prepare payloads for zos_connect_call_service.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            copybook: {
+              type: "string",
+              description: "Copybook source (fixed or free format)",
+            },
+            copybook_path: {
+              type: "string",
+              description: "Local copybook file, instead of copybook",
+            },
+            record: {
+              type: "string",
+              description: "01-level record to use when the copybook defines several (default: the first)",
+            },
+            naming: {
+              type: "string",
+              enum: ["cobol", "camel", "underscore"],
+              description: "JSON field names: COBOL names as-is (ACCT-ID), camelCase (acctId) or underscores (ACCT_ID)",
+              default: "cobol",
+            },
+          },
+        },
+      },
+      {
+        name: "cobol_encode_record",
+        description: "Encode a JSON value into the fixed-width EBCDIC record described by a copybook (text, zoned, packed decimal and binary fields), e.g. to build test data for a mainframe program.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            copybook: {
+              type: "string",
+              description: "Copybook source (fixed or free format)",
+            },
+            copybook_path: {
+              type: "string",
+              description: "Local copybook file, instead of copybook",
+            },
+            record: {
+              type: "string",
+              description: "01-level record to use when the copybook defines several (default: the first)",
+            },
+            naming: {
+              type: "string",
+              enum: ["cobol", "camel", "underscore"],
+              description: "JSON field names: COBOL names as-is (ACCT-ID), camelCase (acctId) or underscores (ACCT_ID)",
+              default: "cobol",
+            },
+            data: {
+              type: "object",
+              description: "JSON value for the record; missing fields get their VALUE clause, else spaces or zeros",
+            },
+            codepage: {
+              type: "string",
+              enum: CODE_PAGE_NAMES,
+              description: "EBCDIC code page for text and zoned fields",
+              default: "037",
+            },
+            encoding: {
+              type: "string",
+              enum: ["base64", "hex"],
+              description: "Encoding of the returned bytes",
+              default: "base64",
+            },
+            output_path: {
+              type: "string",
+              description: "Optional: write the record bytes to this local file instead of returning them inline",
+            },
+          },
+          required: ["data"],
+        },
+      },
+      {
+        name: "cobol_decode_record",
+        description: "Decode fixed-width EBCDIC record bytes into JSON using a copybook. Handles consecutive records in one buffer (e.g. a downloaded dataset) up to max_records.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            copybook: {
+              type: "string",
+              description: "Copybook source (fixed or free format)",
+            },
+            copybook_path: {
+              type: "string",
+              description: "Local copybook file, instead of copybook",
+            },
+            record: {
+              type: "string",
+              description: "01-level record to use when the copybook defines several (default: the first)",
+            },
+            naming: {
+              type: "string",
+              enum: ["cobol", "camel", "underscore"],
+              description: "JSON field names: COBOL names as-is (ACCT-ID), camelCase (acctId) or underscores (ACCT_ID)",
+              default: "cobol",
+            },
+            data: {
+              type: "string",
+              description: "Record bytes, encoded according to encoding",
+            },
+            encoding: {
+              type: "string",
+              enum: ["base64", "hex"],
+              description: "Encoding of data",
+              default: "base64",
+            },
+            file_path: {
+              type: "string",
+              description: "Local file with the record bytes (binary), instead of data",
+            },
+            codepage: {
+              type: "string",
+              enum: CODE_PAGE_NAMES,
+              description: "EBCDIC code page for text and zoned fields",
+              default: "037",
+            },
+            max_records: {
+              type: "number",
+              description: "Maximum number of records to decode",
+              default: 1,
+            },
+          },
+        },
+      },
+
+      // ============ Audit Tools ============
+      {
+        name: "ibmz_audit_query",
+        description: "Search the audit log of tool calls made through this server by tool, key ID, service, outcome or time range. Shows only your own calls unless the access policy allows all clients. Arguments are stored with plaintext, key material, secret handles and credentials redacted and ciphertexts and payloads hashed.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            client: {
+              type: "string",
+              description: "Client whose calls to show (default: yours; other clients need audit.allClients in the access policy)",
+            },
+            tool: {
+              type: "string",
+              description: "Tool name, or a prefix ending in * (e.g. key_protect_*)",
+            },
+            key_id: {
+              type: "string",
+              description: "Key ID, alias or name as passed to the Key Protect tool",
+            },
+            service: {
+              type: "string",
+              description: "z/OS Connect service name",
+            },
+            outcome: {
+              type: "string",
+              enum: ["success", "error"],
+              description: "Only successful or only failed calls",
+            },
+            since: {
+              type: "string",
+              description: "Start of the time range (ISO 8601, e.g. 2025-01-31 or 2025-01-31T08:00:00Z)",
+            },
+            until: {
+              type: "string",
+              description: "End of the time range (ISO 8601)",
+            },
+            limit: {
+              type: "number",
+              description: "Maximum entries to return, most recent matches",
+              default: 50,
+            },
+            verify: {
+              type: "boolean",
+              description: "Also check the hash chain of the whole log",
+              default: false,
+            },
+          },
+        },
+      },
+
+      // ============ Generated z/OS Connect Service Tools ============
+      ...[...zosServiceTools.values()].map(entry => entry.tool),
+    ]).filter(tool => toolVisible(tool, accessPolicy)),
+  };
+}
+
+// Handle tool calls for `client` under its access policy
+async function handleToolCall(name, args, { client, remote, accessPolicy, progress, signal }) {
+  try {
+    accessPolicy.enforce(accessPolicy.toolDenial(name, args));
+    if (remote) {
+      await confinePaths(args, IBMZ_HTTP_FILE_ROOT);
+    }
+    for (const argument of ["file_path", "copybook_path", "checkpoint_path"]) {
+      if (args?.[argument]) {
+        await refuseSecretFile(args[argument]);
+      }
+    }
+
+    // ============ Key Protect Tool Handlers ============
+    if (name.startsWith("key_protect_")) {
+      if (name === "key_protect_list_profiles") {
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({ profiles: listProfiles() }, null, 2),
+          }],
+        };
+      }
+
+      if (name === "key_protect_write_secret") {
+        const bytes = readSecret(args.handle, client);
+        try {
+          const data = args.encoding === "base64" ? bytes.toString("base64") : bytes;
+          await writeFile(args.output_path, data, { mode: 0o600, flag: args.overwrite ? "w" : "wx" });
+          // mode only applies when the file is created
+          await chmod(args.output_path, 0o600);
+          secretFiles.add(await fileIdentity(args.output_path));
+        } catch (error) {
+          if (error.code === "EEXIST") {
+            throw toolError(`${args.output_path} already exists. Pass overwrite: true to replace it.`, { category: "conflict" });
+          }
+          throw error;
+        } finally {
+          bytes.fill(0);
+        }
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              message: `Key material written to ${args.output_path} (mode 0600)`,
+              bytes: bytes.length,
+              encoding: args.encoding || "binary",
+            }, null, 2),
+          }],
+        };
+      }
+
+      if (name === "key_protect_release_secret") {
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              handle: args.handle,
+              released: releaseSecret(args.handle, client),
+            }, null, 2),
+          }],
+        };
+      }
+
+      const kp = getKeyProtect(args?.instance);
+
+      if (!kp) {
+        throw keyProtectNotConfigured();
+      }
+      const kpClient = kp.client;
+
+      if (args?.key_id) {
+        args.key_id = await resolveKeyId(kp, args.key_id);
+        await enforceKeyAccess(kp, args.key_id, accessPolicy);
+      }
+      for (const ring of [args?.key_ring, args?.key_ring_id]) {
+        if (ring) {
+          accessPolicy.enforce(accessPolicy.keyRingDenial(ring));
+        }
+      }
+
+      switch (name) {
+        case "key_protect_list_keys": {
+          const response = await kpClient.getKeys({
+            bluemixInstance: kp.instanceId,
+            limit: args.limit || 100,
+            offset: args.offset || 0,
+            state: args.state,
+            xKmsKeyRing: args.key_ring,
+          });
+
+          const keys = (response.result.resources || []).map(k => ({
+            id: k.id,
+            name: k.name,
+            type: k.type,
+            state: k.state,
+            extractable: k.extractable,
+            aliases: k.aliases,
+            keyRingID: k.keyRingID,
+            crn: k.crn,
+            createdBy: k.createdBy,
             creationDate: k.creationDate,
             lastRotateDate: k.lastRotateDate,
             deleted: k.deleted,
+          })).filter(k => !accessPolicy.keyDenial(k));
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({ total: keys.length, keys }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_create_key": {
+          accessPolicy.enforce(accessPolicy.keyDenial({ name: args.name, keyRingID: args.key_ring }));
+          const isRootKey = args.type === "root_key";
+
+          const keyResource = {
+            type: "application/vnd.ibm.kms.key+json",
+            name: args.name,
+            extractable: isRootKey ? false : (args.extractable || false),
+          };
+
+          if (args.description) {
+            keyResource.description = args.description;
+          }
+
+          if (args.payload) {
+            keyResource.payload = keyMaterialArgument(args.payload, client);
+          }
+
+          if (args.aliases?.length) {
+            keyResource.aliases = args.aliases;
+          }
+
+          const keyCreateBody = {
+            metadata: {
+              collectionType: "application/vnd.ibm.kms.key+json",
+              collectionTotal: 1,
+            },
+            resources: [keyResource],
+          };
+
+          const response = await kpClient.createKey({
+            bluemixInstance: kp.instanceId,
+            keyCreateBody,
+            xKmsKeyRing: args.key_ring,
+          });
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                message: `Key "${args.name}" created successfully`,
+                key: {
+                  id: response.result.resources?.[0]?.id,
+                  name: response.result.resources?.[0]?.name,
+                  type: response.result.resources?.[0]?.type,
+                  crn: response.result.resources?.[0]?.crn,
+                  aliases: response.result.resources?.[0]?.aliases,
+                  keyRingID: response.result.resources?.[0]?.keyRingID,
+                },
+              }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_create_key_alias": {
+          const response = await kpClient.createKeyAlias({
+            bluemixInstance: kp.instanceId,
+            id: args.key_id,
+            alias: args.alias,
+          });
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                message: `Alias "${args.alias}" added to key ${args.key_id}`,
+                alias: response.result.resources?.[0],
+              }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_delete_key_alias": {
+          await kpClient.deleteKeyAlias({
+            bluemixInstance: kp.instanceId,
+            id: args.key_id,
+            alias: args.alias,
+          });
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                message: `Alias "${args.alias}" removed from key ${args.key_id}`,
+              }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_list_key_rings": {
+          const response = await kpClient.listKeyRings({
+            bluemixInstance: kp.instanceId,
+          });
+
+          const keyRings = (response.result.resources || []).map(r => ({
+            id: r.id,
+            createdBy: r.createdBy,
+            creationDate: r.creationDate,
+          })).filter(r => !accessPolicy.keyRingDenial(r.id));
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({ total: keyRings.length, keyRings }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_create_key_ring": {
+          await kpClient.createKeyRing({
+            bluemixInstance: kp.instanceId,
+            keyRingId: args.key_ring_id,
+          });
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                message: `Key ring "${args.key_ring_id}" created`,
+              }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_delete_key_ring": {
+          await kpClient.deleteKeyRing({
+            bluemixInstance: kp.instanceId,
+            keyRingId: args.key_ring_id,
+            force: args.force || false,
+          });
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                message: `Key ring "${args.key_ring_id}" deleted`,
+              }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_move_key": {
+          const current = await kpClient.getKeyMetadata({
+            bluemixInstance: kp.instanceId,
+            id: args.key_id,
+          });
+          const fromRing = current.result.resources?.[0]?.keyRingID || "default";
+
+          await kpClient.patchKey({
+            bluemixInstance: kp.instanceId,
+            id: args.key_id,
+            xKmsKeyRing: fromRing,
+            keyPatchBody: { keyRingID: args.key_ring_id },
+          });
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                message: `Key ${args.key_id} moved to key ring "${args.key_ring_id}"`,
+                keyId: args.key_id,
+                from: fromRing,
+                to: args.key_ring_id,
+              }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_get_key": {
+          const response = await kpClient.getKey({
+            bluemixInstance: kp.instanceId,
+            id: args.key_id,
+          });
+
+          const key = keyResult(response.result.resources?.[0], { asHandle: args.as_handle, client });
+          if (args.include_registrations) {
+            const { total, preventKeyDeletion, services } = groupRegistrations(
+              await listRegistrations(kp, { keyId: args.key_id })
+            );
+            key.registrations = {
+              total,
+              preventKeyDeletion,
+              byService: services.map(({ serviceCrn, serviceName, total }) => ({ serviceCrn, serviceName, total })),
+            };
+          }
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify(key, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_list_registrations": {
+          const registrations = await listRegistrations(kp, {
+            keyId: args.key_id,
+            keyRing: args.key_ring,
+            crnQuery: args.crn_query,
+            preventKeyDeletion: args.prevent_key_deletion,
+          });
+
+          // A single key was checked above; across the instance, drop registrations of keys the policy denies
+          let visible = registrations;
+          if (!args.key_id && accessPolicy.limitsKeys) {
+            const keys = await listAllKeys(kp, { state: [0, 1, 2, 3, 5], keyRing: args.key_ring });
+            const allowed = new Set(keys.filter(key => !accessPolicy.keyDenial(key)).map(key => key.id));
+            visible = registrations.filter(registration => allowed.has(registration.keyId));
+          }
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                scope: args.key_id ? { keyId: args.key_id } : { instanceId: kp.instanceId, keyRing: args.key_ring },
+                ...(visible.length < registrations.length ? { note: "Registrations of keys outside the access policy are left out" } : {}),
+                ...groupRegistrations(visible),
+              }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_wrap_key": {
+          const keyActionWrapBody = {
+            plaintext: keyMaterialArgument(args.plaintext, client),
+          };
+
+          if (args.aad) {
+            keyActionWrapBody.aad = args.aad;
+          }
+
+          const response = await kpClient.wrapKey({
+            id: args.key_id,
+            bluemixInstance: kp.instanceId,
+            keyActionWrapBody,
+          });
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                message: "Key wrapped successfully",
+                ciphertext: response.result.ciphertext,
+                keyVersion: response.result.keyVersion,
+              }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_unwrap_key": {
+          const keyActionUnwrapBody = {
+            ciphertext: args.ciphertext,
+          };
+
+          if (args.aad) {
+            keyActionUnwrapBody.aad = args.aad;
+          }
+
+          const asHandle = args.as_handle ?? SECRET_POLICY.secureMode;
+          refusePlaintext(asHandle);
+
+          const response = await kpClient.unwrapKey({
+            id: args.key_id,
+            bluemixInstance: kp.instanceId,
+            keyActionUnwrapBody,
+          });
+
+          if (asHandle) {
+            const dek = Buffer.from(response.result.plaintext, "base64");
+            let secret;
+            try {
+              secret = storeSecret(dek, { keyId: args.key_id, keyVersion: response.result.keyVersion?.id, owner: client });
+            } finally {
+              dek.fill(0);
+            }
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({
+                  message: "Key unwrapped successfully; the DEK is held on the server",
+                  ...secret,
+                  keyVersion: response.result.keyVersion,
+                }, null, 2),
+              }],
+            };
+          }
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                message: "Key unwrapped successfully",
+                plaintext: response.result.plaintext,
+                keyVersion: response.result.keyVersion,
+              }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_rotate_key": {
+          // BYOK rotation replaces key material, so it goes through confirmation
+          if (args.payload) {
+            const confirmParams = { payload: args.payload };
+            if (!args.confirmation_token) {
+              const impact = await describeKeyImpact(kp, args.key_id);
+              return {
+                content: [{
+                  type: "text",
+                  text: JSON.stringify(confirmationRequired(
+                    "key_protect_rotate_key",
+                    "rotate_key_byok",
+                    args.key_id,
+                    confirmParams,
+                    { ...impact, note: "The supplied key material becomes the new key version. Keep a copy of it: imported keys cannot be restored without their material." },
+                    client
+                  ), null, 2),
+                }],
+              };
+            }
+            consumeConfirmation(args.confirmation_token, "rotate_key_byok", args.key_id, confirmParams, client);
+          }
+
+          const params = {
+            id: args.key_id,
+            bluemixInstance: kp.instanceId,
+          };
+
+          if (args.payload) {
+            params.keyActionRotateBody = {
+              payload: keyMaterialArgument(args.payload, client),
+            };
+          }
+
+          await kpClient.rotateKey(params);
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                message: `Key ${args.key_id} rotated successfully`,
+                keyId: args.key_id,
+              }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_rewrap_keys": {
+          if (!args.items && !args.file_path) {
+            throw new Error("Provide either items or file_path");
+          }
+
+          const items = await loadRewrapItems({
+            items: args.items,
+            filePath: args.file_path,
+            format: args.format,
+          });
+          const missingKey = items.find(item => !item.key_id && !args.key_id);
+          if (missingKey) {
+            throw new Error(`Item ${missingKey.id} has no key_id and no default key_id was given`);
+          }
+
+          const resolvedKeys = new Map();
+          for (const ref of new Set(items.map(item => item.key_id).filter(Boolean))) {
+            resolvedKeys.set(ref, await resolveKeyId(kp, ref));
+            await enforceKeyAccess(kp, resolvedKeys.get(ref), accessPolicy);
+          }
+          for (const item of items) {
+            if (item.key_id) {
+              item.key_id = resolvedKeys.get(item.key_id);
+            }
+          }
+
+          const concurrency = Math.min(Math.max(Math.trunc(args.concurrency || 4), 1), 16);
+          const completed = loadCheckpoint(args.checkpoint_path);
+
+          const results = await mapWithConcurrency(items, concurrency, async (item) => {
+            const previous = completed.get(item.id);
+            if (previous?.ok) {
+              return { ...previous, resumed: true };
+            }
+
+            const keyId = item.key_id || args.key_id;
+            const keyActionRewrapBody = {
+              ciphertext: item.ciphertext,
+            };
+
+            if (item.aad) {
+              keyActionRewrapBody.aad = item.aad;
+            }
+
+            let result;
+            try {
+              const response = await kpClient.rewrapKey({
+                id: keyId,
+                bluemixInstance: kp.instanceId,
+                keyActionRewrapBody,
+              });
+              result = {
+                id: item.id,
+                keyId,
+                ok: true,
+                oldKeyVersion: response.result.keyVersion?.id,
+                newKeyVersion: response.result.rewrappedKeyVersion?.id,
+                ciphertext: response.result.ciphertext,
+              };
+            } catch (error) {
+              result = {
+                id: item.id,
+                keyId,
+                ok: false,
+                status: error.status,
+                error: error.message,
+              };
+            }
+
+            if (args.checkpoint_path) {
+              await appendCheckpoint(args.checkpoint_path, result);
+            }
+            return result;
+          });
+
+          const summary = {
+            total: results.length,
+            rewrapped: results.filter(r => r.ok && !r.resumed).length,
+            resumed: results.filter(r => r.resumed).length,
+            alreadyLatest: results.filter(r => r.ok && r.oldKeyVersion === r.newKeyVersion).length,
+            failed: results.filter(r => !r.ok).length,
+            concurrency,
+          };
+
+          if (args.output_path) {
+            await writeRewrapResults(args.output_path, results);
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({
+                  message: `Rewrap finished; results written to ${args.output_path}`,
+                  summary,
+                  failures: results.filter(r => !r.ok),
+                }, null, 2),
+              }],
+            };
+          }
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({ message: "Rewrap finished", summary, results }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_delete_key": {
+          const confirmParams = { force: args.force || false };
+          const impact = await describeKeyImpact(kp, args.key_id);
+
+          // Registered resources lose access to their data; refuse unless explicitly forced
+          const { registrations } = impact;
+          const retained = registrations.preventKeyDeletion > 0;
+          if (retained || (!args.force && (registrations.error || registrations.total > 0))) {
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({
+                  status: "refused",
+                  keyId: args.key_id,
+                  reason: retained
+                    ? `${registrations.preventKeyDeletion} registered resource(s) have a retention policy (preventKeyDeletion); the key cannot be deleted until those registrations are removed`
+                    : registrations.error
+                      ? `Registrations could not be checked (${registrations.error}); pass force: true to delete anyway`
+                      : `${registrations.total} cloud resource(s) are registered against this key and will lose access to their data. Pass force: true to delete anyway.`,
+                  registrations,
+                }, null, 2),
+              }],
+            };
+          }
+
+          if (!args.confirmation_token) {
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify(confirmationRequired(
+                  "key_protect_delete_key",
+                  "delete_key",
+                  args.key_id,
+                  confirmParams,
+                  impact,
+                  client
+                ), null, 2),
+              }],
+            };
+          }
+          consumeConfirmation(args.confirmation_token, "delete_key", args.key_id, confirmParams, client);
+
+          // Dual authorization: the first approver only sets the key for deletion
+          if (impact.dualAuthDelete.enabled && !impact.dualAuthDelete.keySetForDeletion) {
+            await kpClient.setKeyForDeletion({
+              bluemixInstance: kp.instanceId,
+              id: args.key_id,
+            });
+
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({
+                  message: `Key ${args.key_id} is protected by a dual authorization policy and is now set for deletion`,
+                  nextStep: "A second user with Manager access must call key_protect_delete_key (with its own confirmation) within 7 days to complete deletion.",
+                }, null, 2),
+              }],
+            };
+          }
+
+          await kpClient.deleteKey({
+            bluemixInstance: kp.instanceId,
+            id: args.key_id,
+            force: args.force || false,
+          });
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                message: `Key ${args.key_id} deleted successfully`,
+                warning: "This action is irreversible. Data encrypted with this key is now unrecoverable.",
+              }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_disable_key": {
+          if (!args.confirmation_token) {
+            const impact = await describeKeyImpact(kp, args.key_id);
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify(confirmationRequired(
+                  "key_protect_disable_key",
+                  "disable_key",
+                  args.key_id,
+                  null,
+                  { ...impact, note: "While suspended, every wrap, unwrap and encrypt/decrypt with this key fails, including for the registered resources listed." },
+                  client
+                ), null, 2),
+              }],
+            };
+          }
+          consumeConfirmation(args.confirmation_token, "disable_key", args.key_id, null, client);
+
+          const result = await keyStateTransition(kp, args.key_id, () => kpClient.disableKey({
+            bluemixInstance: kp.instanceId,
+            id: args.key_id,
+          }));
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({ message: `Key ${args.key_id} disabled`, ...result }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_enable_key": {
+          const result = await keyStateTransition(kp, args.key_id, () => kpClient.enableKey({
+            bluemixInstance: kp.instanceId,
+            id: args.key_id,
+          }));
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({ message: `Key ${args.key_id} enabled`, ...result }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_set_key_for_deletion": {
+          if (!args.confirmation_token) {
+            const impact = await describeKeyImpact(kp, args.key_id);
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify(confirmationRequired(
+                  "key_protect_set_key_for_deletion",
+                  "set_key_for_deletion",
+                  args.key_id,
+                  null,
+                  { ...impact, note: "This is the first of two approvals. Once a second user deletes the key, data encrypted with it is unrecoverable." },
+                  client
+                ), null, 2),
+              }],
+            };
+          }
+          consumeConfirmation(args.confirmation_token, "set_key_for_deletion", args.key_id, null, client);
+
+          const result = await keyStateTransition(kp, args.key_id, () => kpClient.setKeyForDeletion({
+            bluemixInstance: kp.instanceId,
+            id: args.key_id,
+          }));
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                message: `Key ${args.key_id} set for deletion`,
+                nextStep: "A second user with Manager access must delete the key within 7 days, or call key_protect_unset_key_for_deletion to cancel.",
+                ...result,
+              }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_unset_key_for_deletion": {
+          const result = await keyStateTransition(kp, args.key_id, () => kpClient.unsetKeyForDeletion({
+            bluemixInstance: kp.instanceId,
+            id: args.key_id,
+          }));
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({ message: `Pending deletion cancelled for key ${args.key_id}`, ...result }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_restore_key": {
+          const result = await keyStateTransition(kp, args.key_id, (key) => {
+            if (key?.imported && !args.payload) {
+              throw new Error("This key was imported; restoring it requires the original key material in payload");
+            }
+
+            const params = {
+              bluemixInstance: kp.instanceId,
+              id: args.key_id,
+            };
+
+            if (args.payload) {
+              params.keyRestoreBody = {
+                metadata: {
+                  collectionType: "application/vnd.ibm.kms.key+json",
+                  collectionTotal: 1,
+                },
+                resources: [{ payload: keyMaterialArgument(args.payload, client) }],
+              };
+            }
+
+            return kpClient.restoreKey(params);
+          });
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({ message: `Key ${args.key_id} restored`, ...result }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_purge_key": {
+          if (!args.confirmation_token) {
+            const impact = await describeKeyImpact(kp, args.key_id);
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify(confirmationRequired(
+                  "key_protect_purge_key",
+                  "purge_key",
+                  args.key_id,
+                  null,
+                  { ...impact, note: "Purging removes all key metadata. The key can never be restored." },
+                  client
+                ), null, 2),
+              }],
+            };
+          }
+          consumeConfirmation(args.confirmation_token, "purge_key", args.key_id, null, client);
+
+          const result = await keyStateTransition(kp, args.key_id, () => kpClient.purgeKey({
+            bluemixInstance: kp.instanceId,
+            id: args.key_id,
+          }));
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({ message: `Key ${args.key_id} purged`, ...result }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_list_key_versions": {
+          const response = await kpClient.getKeyVersions({
+            bluemixInstance: kp.instanceId,
+            id: args.key_id,
+            limit: args.limit || 200,
+            offset: args.offset || 0,
+          });
+
+          const versions = response.result.resources?.map(v => ({
+            id: v.id,
+            creationDate: v.creationDate,
           })) || [];
 
           return {
             content: [{
               type: "text",
-              text: JSON.stringify({ total: keys.length, keys }, null, 2),
+              text: JSON.stringify({
+                keyId: args.key_id,
+                total: response.result.metadata?.collectionTotal ?? versions.length,
+                versions,
+              }, null, 2),
             }],
           };
         }
 
-        case "key_protect_create_key": {
-          const isRootKey = args.type === "root_key";
+        case "key_protect_get_key_policies": {
+          const policies = await getKeyPolicies(kp, args.key_id);
 
-          const keyResource = {
-            type: "application/vnd.ibm.kms.key+json",
-            name: args.name,
-            extractable: isRootKey ? false : (args.extractable || false),
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({ keyId: args.key_id, ...policies }, null, 2),
+            }],
           };
+        }
 
-          if (args.description) {
-            keyResource.description = args.description;
+        case "key_protect_set_key_policies": {
+          const wantsRotation = args.rotation_interval_months !== undefined || args.rotation_enabled !== undefined;
+          if (!wantsRotation && args.dual_auth_delete === undefined) {
+            throw new Error("Provide rotation_interval_months, rotation_enabled and/or dual_auth_delete");
           }
 
-          if (args.payload) {
-            keyResource.payload = args.payload;
+          const interval = args.rotation_interval_months;
+          if (interval !== undefined && (!Number.isInteger(interval) || interval < 1 || interval > 12)) {
+            throw new Error("rotation_interval_months must be a whole number between 1 and 12");
           }
 
-          const keyCreateBody = {
-            metadata: {
-              collectionType: "application/vnd.ibm.kms.key+json",
-              collectionTotal: 1,
-            },
-            resources: [keyResource],
+          const before = await getKeyPolicies(kp, args.key_id);
+
+          if (wantsRotation) {
+            const intervalMonths = interval ?? before.rotation?.intervalMonths;
+            if (!intervalMonths) {
+              throw new Error("Key has no rotation policy yet; rotation_interval_months is required");
+            }
+
+            await kpClient.putPolicy({
+              bluemixInstance: kp.instanceId,
+              id: args.key_id,
+              policy: "rotation",
+              setKeyPoliciesOneOf: policyCollection([{
+                type: "application/vnd.ibm.kms.policy+json",
+                rotation: {
+                  enabled: args.rotation_enabled ?? true,
+                  interval_month: intervalMonths,
+                },
+              }]),
+            });
+          }
+
+          if (args.dual_auth_delete !== undefined) {
+            await kpClient.putPolicy({
+              bluemixInstance: kp.instanceId,
+              id: args.key_id,
+              policy: "dualAuthDelete",
+              setKeyPoliciesOneOf: policyCollection([{
+                type: "application/vnd.ibm.kms.policy+json",
+                dualAuthDelete: { enabled: args.dual_auth_delete },
+              }]),
+            });
+          }
+
+          const after = await getKeyPolicies(kp, args.key_id);
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                message: `Policies updated for key ${args.key_id}`,
+                keyId: args.key_id,
+                before,
+                after,
+              }, null, 2),
+            }],
           };
+        }
 
-          const response = await kpClient.createKey({
-            bluemixInstance: KEY_PROTECT_INSTANCE_ID,
-            keyCreateBody,
+        case "key_protect_get_instance_policies": {
+          const policies = await getInstancePolicies(kp, args.policy);
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({ instanceId: kp.instanceId, policies }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_set_instance_policies": {
+          const updates = [];
+
+          if (args.allowed_network !== undefined) {
+            const enabled = args.allowed_network !== "disabled";
+            updates.push({
+              policy_type: "allowedNetwork",
+              policy_data: {
+                enabled,
+                attributes: { allowed_network: enabled ? args.allowed_network : "public-and-private" },
+              },
+            });
+          }
+
+          if (args.dual_auth_delete !== undefined) {
+            updates.push({
+              policy_type: "dualAuthDelete",
+              policy_data: { enabled: args.dual_auth_delete },
+            });
+          }
+
+          if (args.key_create_import_access !== undefined) {
+            const { enabled = true, ...attributes } = args.key_create_import_access;
+            updates.push({
+              policy_type: "keyCreateImportAccess",
+              policy_data: enabled ? { enabled, attributes } : { enabled },
+            });
+          }
+
+          if (args.allowed_ips !== undefined) {
+            const enabled = args.allowed_ips.length > 0;
+            updates.push({
+              policy_type: "allowedIP",
+              policy_data: enabled ? { enabled, attributes: { allowed_ip: args.allowed_ips } } : { enabled },
+            });
+          }
+
+          if (args.metrics !== undefined) {
+            updates.push({
+              policy_type: "metrics",
+              policy_data: { enabled: args.metrics },
+            });
+          }
+
+          if (!updates.length) {
+            throw new Error("Provide at least one instance policy to set");
+          }
+
+          const before = await getInstancePolicies(kp);
+
+          for (const update of updates) {
+            await kpClient.putInstancePolicy({
+              bluemixInstance: kp.instanceId,
+              policy: update.policy_type,
+              setInstancePoliciesOneOf: policyCollection([update]),
+            });
+          }
+
+          const after = await getInstancePolicies(kp);
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                message: `Updated instance policies: ${updates.map(u => u.policy_type).join(", ")}`,
+                instanceId: kp.instanceId,
+                before,
+                after,
+              }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_compliance_report": {
+          const report = await buildKeyReport(kp, {
+            rules: args.rules,
+            keyRing: args.key_ring,
+            filter: accessPolicy.limitsKeys ? key => !accessPolicy.keyDenial(key) : undefined,
+          });
+          if (report.summary.excludedKeys) {
+            report.note = `Keys outside the access policy are left out (${report.summary.excludedKeys})`;
+          }
+          const text = renderReport(report, args.format || "json");
+
+          if (args.output_path) {
+            await writeReport(args.output_path, text);
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({
+                  message: `Compliance report written to ${args.output_path}`,
+                  summary: report.summary,
+                }, null, 2),
+              }],
+            };
+          }
+
+          return {
+            content: [{
+              type: "text",
+              text,
+            }],
+          };
+        }
+
+        case "key_protect_encrypt_data": {
+          if (args.plaintext === undefined && !args.file_path) {
+            throw new Error("Provide either plaintext or file_path");
+          }
+
+          let data;
+          let encoding;
+          if (args.file_path) {
+            data = await readFile(args.file_path);
+            encoding = "base64";
+          } else {
+            encoding = args.encoding || "utf8";
+            data = Buffer.from(args.plaintext, encoding);
+          }
+
+          const dek = args.dek ? readSecret(args.dek, client) : generateDek();
+          let encrypted;
+          let response;
+          try {
+            if (dek.length !== 32) {
+              throw new Error(`dek must be a 256-bit key, the handle holds ${dek.length} bytes`);
+            }
+            encrypted = encryptWithDek(dek, data, args.aad);
+
+            const keyActionWrapBody = {
+              plaintext: dek.toString("base64"),
+            };
+
+            if (args.aad) {
+              keyActionWrapBody.aad = args.aad;
+            }
+
+            response = await kpClient.wrapKey({
+              id: args.key_id,
+              bluemixInstance: kp.instanceId,
+              keyActionWrapBody,
+            });
+          } finally {
+            dek.fill(0);
+          }
+
+          const envelope = buildEnvelope({
+            keyId: args.key_id,
+            keyVersion: response.result.keyVersion?.id,
+            wrappedDek: response.result.ciphertext,
+            aad: args.aad,
+            encoding,
+            encrypted,
+          });
+
+          if (args.output_path) {
+            await writeFile(args.output_path, JSON.stringify(envelope, null, 2));
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({
+                  message: `Data encrypted and envelope written to ${args.output_path}`,
+                  keyId: envelope.keyId,
+                  keyVersion: envelope.keyVersion,
+                  bytes: data.length,
+                }, null, 2),
+              }],
+            };
+          }
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                message: "Data encrypted successfully",
+                envelope,
+              }, null, 2),
+            }],
+          };
+        }
+
+        case "key_protect_decrypt_data": {
+          if (!args.envelope && !args.file_path) {
+            throw new Error("Provide either envelope or file_path");
+          }
+          // The envelope may hold key material, e.g. a DEK encrypted from a key_protect_write_secret file
+          if (!args.output_path && !SECRET_POLICY.allowPlaintext) {
+            throw toolError("Decrypted data can only be written to output_path while plaintext is not allowed (KEY_PROTECT_ALLOW_PLAINTEXT=false)", {
+              category: "authorization",
+              topic: "`Returning plaintext key material is not allowed`",
+            });
+          }
+
+          const envelope = parseEnvelope(
+            args.file_path ? await readFile(args.file_path, "utf8") : args.envelope
+          );
+          await enforceKeyAccess(kp, envelope.keyId, accessPolicy);
+
+          const keyActionUnwrapBody = {
+            ciphertext: envelope.wrappedDek,
+          };
+
+          if (envelope.aad.length) {
+            keyActionUnwrapBody.aad = envelope.aad;
+          }
+
+          const response = args.dek ? null : await kpClient.unwrapKey({
+            id: envelope.keyId,
+            bluemixInstance: kp.instanceId,
+            keyActionUnwrapBody,
+          });
+
+          const dek = args.dek ? readSecret(args.dek, client) : Buffer.from(response.result.plaintext, "base64");
+          let data;
+          try {
+            data = decryptWithDek(dek, envelope.encrypted, envelope.aad);
+          } finally {
+            dek.fill(0);
+          }
+
+          if (args.output_path) {
+            await writeFile(args.output_path, data);
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({
+                  message: `Data decrypted and written to ${args.output_path}`,
+                  keyId: envelope.keyId,
+                  bytes: data.length,
+                }, null, 2),
+              }],
+            };
+          }
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                message: "Data decrypted successfully",
+                keyId: envelope.keyId,
+                keyVersion: response?.result.keyVersion?.id || envelope.keyVersion,
+                encoding: envelope.encoding,
+                plaintext: data.toString(envelope.encoding),
+              }, null, 2),
+            }],
+          };
+        }
+      }
+    }
+
+    // ============ z/OS Connect Tool Handlers ============
+    if (name.startsWith("zos_connect_")) {
+      if (!ZOS_CONNECT_URL) {
+        throw zosNotConfigured();
+      }
+
+      switch (name) {
+        case "zos_connect_list_services": {
+          const services = await callZosConnect("/zosConnect/services");
+          if (Array.isArray(services?.zosConnectServices)) {
+            services.zosConnectServices = services.zosConnectServices
+              .filter(s => !accessPolicy.zosDenial({ service: s.ServiceName }));
+          }
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify(services, null, 2),
+            }],
+          };
+        }
+
+        case "zos_connect_get_service": {
+          checkServiceName(args.service_name);
+          accessPolicy.enforce(accessPolicy.zosDenial({ service: args.service_name }));
+          const service = await callZosConnect(`/zosConnect/services/${encodeURIComponent(args.service_name)}`);
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify(service, null, 2),
+            }],
+          };
+        }
+
+        case "zos_connect_call_service": {
+          const method = args.method || "POST";
+          checkServiceName(args.service_name);
+          const operation = normalizeOperationPath(args.operation || "/");
+          const pathParams = args.path_params || {};
+          const query = args.query_params || {};
+          const endpoint = serviceEndpoint(args.service_name, operation, pathParams, query);
+          accessPolicy.enforce(accessPolicy.zosDenial({ service: args.service_name, path: operation, method }));
+
+          // Validate against the service document before anything reaches the mainframe
+          let validation;
+          try {
+            const doc = await getServiceDocument(args.service_name);
+            const match = findOperation(doc, method, operation);
+            if (match) {
+              validation = {
+                operation: match.operation.path,
+                ...validateServiceRequest(doc, match.operation, {
+                  pathParams: { ...match.pathParams, ...pathParams },
+                  query,
+                  body: args.payload,
+                }),
+              };
+            } else {
+              validation = {
+                violations: [{
+                  location: "operation",
+                  path: operation,
+                  keyword: "operation",
+                  message: `${method} ${operation} is not an operation of service ${args.service_name}`,
+                }],
+                warnings: [],
+              };
+            }
+          } catch (error) {
+            validation = { skipped: `Service schema unavailable: ${error.message}`, violations: [], warnings: [] };
+          }
+
+          const request = {
+            method,
+            url: `${ZOS_CONNECT_URL}${endpoint}`,
+            body: args.payload ?? null,
+          };
+
+          if (validation.violations.length || args.validate_only) {
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({
+                  status: validation.violations.length ? "invalid" : validation.skipped ? "unvalidated" : "valid",
+                  service: args.service_name,
+                  validation,
+                  request,
+                  message: validation.violations.length
+                    ? "Request does not match the service schema; nothing was sent to the mainframe"
+                    : "Validation only; nothing was sent to the mainframe",
+                }, null, 2),
+              }],
+            };
+          }
+
+          const result = await callZosConnect(endpoint, method, args.payload);
+
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                service: args.service_name,
+                operation,
+                method,
+                ...(validation.warnings.length || validation.skipped ? { validation } : {}),
+                response: result,
+              }, null, 2),
+            }],
+          };
+        }
+
+        case "zos_connect_list_apis": {
+          const apis = await callZosConnect("/zosConnect/apis");
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify(apis, null, 2),
+            }],
+          };
+        }
+
+        case "zos_connect_health": {
+          // Report the breakers even when z/OS Connect cannot be reached
+          let health;
+          try {
+            health = await callZosConnect("/zosConnect/health");
+          } catch (error) {
+            health = { status: "unreachable", error: error.message };
+          }
+          const cicsResources = args.link_cics === false ? undefined : await linkCics(health, args.service_name, accessPolicy);
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                ...(health && typeof health === "object" ? health : { response: health }),
+                ...(cicsResources ? { cicsResources } : {}),
+                connection: zosConnectClient?.describe(),
+                backends: describeBackends(),
+              }, null, 2),
+            }],
+          };
+        }
+
+        case "zos_connect_refresh_tools": {
+          const discovery = await discoverZosServiceTools();
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify(discovery, null, 2),
+            }],
+          };
+        }
+      }
+    }
+
+    // ============ z/OSMF Tool Handlers ============
+    if (name.startsWith("zosmf_")) {
+      const zosmf = getZosmf();
+
+      // Follow a job to the end, reporting each poll as progress
+      const follow = async (job) => {
+        const timeoutMs = (args.timeout_seconds || 300) * 1000;
+        const { job: current, finished } = await waitForJob(zosmf, job, {
+          timeoutMs,
+          signal,
+          onProgress: (update, elapsedMs) => progress(
+            Math.round(elapsedMs / 1000),
+            timeoutMs / 1000,
+            `${update.jobname}(${update.jobid}) ${update.status}${update["phase-name"] ? `, ${update["phase-name"]}` : ""}`
+          ),
+        });
+        return {
+          status: finished ? "completed" : "running",
+          job: describeJob(current),
+          ...(finished ? {} : { message: `Job has not ended; call zosmf_get_job with wait: true to keep waiting` }),
+        };
+      };
+
+      // Dataset/member or path fields for a file tool result
+      const fileLabel = target => (target.path
+        ? { path: target.path }
+        : { dataset: target.dataset, member: target.member });
+
+      switch (name) {
+        case "zosmf_submit_job": {
+          const job = await submitJob(zosmf, { jcl: args.jcl, dataset: args.dataset, symbols: args.symbols });
+          const result = args.wait
+            ? await follow(job)
+            : { status: "submitted", job: describeJob(job) };
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            }],
+          };
+        }
+
+        case "zosmf_get_job": {
+          const job = await getJob(zosmf, args.jobname, args.jobid);
+          const result = args.wait ? await follow(job) : { job: describeJob(job) };
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            }],
+          };
+        }
+
+        case "zosmf_list_jobs": {
+          const jobs = await listJobs(zosmf, {
+            owner: args.owner,
+            prefix: args.prefix,
+            status: args.active_only ? "active" : undefined,
+            maxJobs: args.max_jobs || 100,
           });
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({ total: jobs.length, jobs: jobs.map(describeJob) }, null, 2),
+            }],
+          };
+        }
 
+        case "zosmf_list_spool_files": {
+          const files = await listSpoolFiles(zosmf, args.jobname, args.jobid);
           return {
             content: [{
               type: "text",
-              text: JSON.stringify({
-                message: `Key "${args.name}" created successfully`,
-                key: {
-                  id: response.result.resources?.[0]?.id,
-                  name: response.result.resources?.[0]?.name,
-                  type: response.result.resources?.[0]?.type,
-                  crn: response.result.resources?.[0]?.crn,
-                },
-              }, null, 2),
+              text: JSON.stringify({ jobname: args.jobname, jobid: args.jobid, files }, null, 2),
             }],
           };
         }
 
-        case "key_protect_get_key": {
-          const response = await kpClient.getKey({
-            bluemixInstance: KEY_PROTECT_INSTANCE_ID,
-            id: args.key_id,
+        case "zosmf_read_spool_file": {
+          const page = await readSpoolFile(zosmf, args.jobname, args.jobid, args.file_id, {
+            start: args.start || 0,
+            count: args.records,
           });
-
-          const key = response.result.resources?.[0];
           return {
             content: [{
               type: "text",
-              text: JSON.stringify(key, null, 2),
+              text: JSON.stringify(page, null, 2),
             }],
           };
         }
 
-        case "key_protect_wrap_key": {
-          const keyActionWrapBody = {
-            plaintext: args.plaintext,
-          };
-
-          if (args.aad) {
-            keyActionWrapBody.aad = args.aad;
+        case "zosmf_cancel_job": {
+          const action = args.purge ? "purge_job" : "cancel_job";
+          const target = `${args.jobname.toUpperCase()}(${args.jobid.toUpperCase()})`;
+          if (!args.confirmation_token) {
+            const job = describeJob(await getJob(zosmf, args.jobname, args.jobid));
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify(confirmationRequired(
+                  "zosmf_cancel_job",
+                  action,
+                  target,
+                  null,
+                  {
+                    job,
+                    note: args.purge
+                      ? "Purging cancels the job if it is still running and deletes it and all of its spool output. This cannot be undone."
+                      : job.status === "OUTPUT"
+                        ? "The job has already ended; cancelling it has no effect."
+                        : "The job is stopped where it is; steps that have not run are skipped.",
+                  },
+                  client
+                ), null, 2),
+              }],
+            };
           }
+          consumeConfirmation(args.confirmation_token, action, target, null, client);
 
-          const response = await kpClient.wrapKey({
-            id: args.key_id,
-            bluemixInstance: KEY_PROTECT_INSTANCE_ID,
-            keyActionWrapBody,
-          });
-
+          const result = args.purge
+            ? await purgeJob(zosmf, args.jobname, args.jobid)
+            : await cancelJob(zosmf, args.jobname, args.jobid);
           return {
             content: [{
               type: "text",
               text: JSON.stringify({
-                message: "Key wrapped successfully",
-                ciphertext: response.result.ciphertext,
-                keyVersion: response.result.keyVersion,
+                message: `Job ${target} ${args.purge ? "purged" : "cancelled"}`,
+                response: result,
               }, null, 2),
             }],
           };
         }
 
-        case "key_protect_unwrap_key": {
-          const keyActionUnwrapBody = {
-            ciphertext: args.ciphertext,
+        // Datasets and USS files
+        case "zosmf_list_datasets": {
+          const result = await listDatasets(zosmf, {
+            pattern: args.pattern,
+            start: args.start,
+            maxItems: args.max_items || 100,
+          });
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({ pattern: args.pattern.toUpperCase(), returned: result.datasets.length, ...result }, null, 2),
+            }],
           };
+        }
 
-          if (args.aad) {
-            keyActionUnwrapBody.aad = args.aad;
-          }
-
-          const response = await kpClient.unwrapKey({
-            id: args.key_id,
-            bluemixInstance: KEY_PROTECT_INSTANCE_ID,
-            keyActionUnwrapBody,
+        case "zosmf_list_members": {
+          const result = await listMembers(zosmf, args.dataset, {
+            pattern: args.pattern,
+            start: args.start,
+            maxItems: args.max_items || 100,
           });
-
           return {
             content: [{
               type: "text",
-              text: JSON.stringify({
-                message: "Key unwrapped successfully",
-                plaintext: response.result.plaintext,
-                keyVersion: response.result.keyVersion,
-              }, null, 2),
+              text: JSON.stringify({ returned: result.members.length, ...result }, null, 2),
             }],
           };
         }
 
-        case "key_protect_rotate_key": {
-          const params = {
-            id: args.key_id,
-            bluemixInstance: KEY_PROTECT_INSTANCE_ID,
+        case "zosmf_read_dataset":
+        case "zosmf_read_uss_file": {
+          const target = name === "zosmf_read_dataset" ? datasetEndpoint(args.dataset) : ussEndpoint(args.path);
+          const page = await readContent(zosmf, target.endpoint, {
+            dataType: args.encoding,
+            codepage: args.codepage,
+            start: args.start || 0,
+            records: args.records,
+            offset: args.offset || 0,
+            length: args.length,
+          });
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({ ...fileLabel(target), ...page }, null, 2),
+            }],
           };
+        }
 
-          if (args.payload) {
-            params.keyActionRotateBody = {
-              payload: args.payload,
-            };
-          }
+        case "zosmf_write_dataset":
+        case "zosmf_write_uss_file": {
+          const target = name === "zosmf_write_dataset" ? datasetEndpoint(args.dataset) : ussEndpoint(args.path);
+          const label = target.path || `${target.dataset}${target.member ? `(${target.member})` : ""}`;
+          const action = name === "zosmf_write_dataset" ? "overwrite_dataset" : "overwrite_uss_file";
+          const bytes = contentBytes(args.content, args.encoding);
+          // The token covers exactly this content, encoding and code page
+          const confirmParams = { sha256: contentDigest(bytes), encoding: args.encoding || "text", codepage: args.codepage || null };
 
-          await kpClient.rotateKey(params);
+          if (args.confirmation_token) {
+            consumeConfirmation(args.confirmation_token, action, label, confirmParams, client);
+          } else {
+            const existing = await existingContent(zosmf, target);
+            if (existing) {
+              return {
+                content: [{
+                  type: "text",
+                  text: JSON.stringify(confirmationRequired(
+                    name,
+                    action,
+                    label,
+                    confirmParams,
+                    {
+                      existing,
+                      newBytes: bytes.length,
+                      note: "The current content is replaced completely. z/OSMF keeps no previous version.",
+                    },
+                    client
+                  ), null, 2),
+                }],
+              };
+            }
+          }
 
+          const result = await writeContent(zosmf, target.endpoint, bytes, {
+            dataType: args.encoding,
+            codepage: args.codepage,
+          });
           return {
             content: [{
               type: "text",
               text: JSON.stringify({
-                message: `Key ${args.key_id} rotated successfully`,
-                keyId: args.key_id,
+                message: `Wrote ${bytes.length} bytes to ${label}`,
+                ...fileLabel(target),
+                ...result,
               }, null, 2),
             }],
           };
         }
 
-        case "key_protect_delete_key": {
-          await kpClient.deleteKey({
-            bluemixInstance: KEY_PROTECT_INSTANCE_ID,
-            id: args.key_id,
-            force: args.force || false,
+        case "zosmf_allocate_dataset": {
+          const result = await allocateDataset(zosmf, args.dataset, {
+            like: args.like,
+            dsorg: args.dsorg,
+            recfm: args.recfm,
+            lrecl: args.lrecl,
+            blksize: args.blksize,
+            alcunit: args.alcunit,
+            primary: args.primary,
+            secondary: args.secondary,
+            dirblk: args.dirblk,
+            dsntype: args.dsntype,
+            volser: args.volser,
           });
-
           return {
             content: [{
               type: "text",
-              text: JSON.stringify({
-                message: `Key ${args.key_id} deleted successfully`,
-                warning: "This action is irreversible. Data encrypted with this key is now unrecoverable.",
-              }, null, 2),
+              text: JSON.stringify({ message: `Dataset ${result.dataset} allocated`, ...result }, null, 2),
             }],
           };
         }
 
-        case "key_protect_get_key_policies": {
-          const response = await kpClient.getKeyMetadata({
-            bluemixInstance: KEY_PROTECT_INSTANCE_ID,
-            id: args.key_id,
-          });
+        case "zosmf_delete_dataset": {
+          const target = datasetEndpoint(args.dataset);
+          const label = `${target.dataset}${target.member ? `(${target.member})` : ""}`;
+          if (!args.confirmation_token) {
+            let existing;
+            if (target.member) {
+              existing = (await listMembers(zosmf, target.dataset, { pattern: target.member, maxItems: 1 }))
+                .members.find(member => member.name === target.member);
+            } else {
+              existing = (await listDatasets(zosmf, { pattern: target.dataset, maxItems: 1 }))
+                .datasets.find(dataset => dataset.name === target.dataset);
+            }
+            if (!existing) {
+              throw toolError(`${label} does not exist`, {
+                category: "not_found",
+                backend: "z/OSMF",
+                topic: "`Dataset or file not found` (z/OSMF)",
+              });
+            }
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify(confirmationRequired(
+                  "zosmf_delete_dataset",
+                  "delete_dataset",
+                  label,
+                  null,
+                  {
+                    [target.member ? "member" : "dataset"]: existing,
+                    note: target.member
+                      ? "The member is removed from the directory. This cannot be undone."
+                      : "The dataset is deleted and uncataloged with all of its members. This cannot be undone.",
+                  },
+                  client
+                ), null, 2),
+              }],
+            };
+          }
+          consumeConfirmation(args.confirmation_token, "delete_dataset", label, null, client);
+
+          await deleteDataset(zosmf, args.dataset);
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({ message: `${target.member ? "Member" : "Dataset"} ${label} deleted` }, null, 2),
+            }],
+          };
+        }
 
+        case "zosmf_list_uss_files": {
+          const result = await listUssFiles(zosmf, args.path, { maxItems: args.max_items || 200 });
           return {
             content: [{
               type: "text",
-              text: JSON.stringify(response.result, null, 2),
+              text: JSON.stringify(result, null, 2),
             }],
           };
         }
       }
     }
 
-    // ============ z/OS Connect Tool Handlers ============
-    if (name.startsWith("zos_connect_")) {
-      if (!ZOS_CONNECT_URL) {
-        return {
-          content: [{
-            type: "text",
-            text: "Error: z/OS Connect not configured. Set ZOS_CONNECT_URL environment variable. This requires access to an IBM mainframe with z/OS Connect EE installed.",
-          }],
-        };
+    // ============ CICS Tool Handlers ============
+    if (name.startsWith("cics_")) {
+      const cmci = getCmci();
+      const region = args.region?.toUpperCase();
+      if (region) {
+        accessPolicy.enforce(accessPolicy.cicsRegionDenial(region));
       }
+      const visible = records => records.filter(record => !accessPolicy.cicsRegionDenial(record.eyu_cicsname));
 
       switch (name) {
-        case "zos_connect_list_services": {
-          const services = await callZosConnect("/zosConnect/services");
+        case "cics_list_regions": {
+          const regions = (await listRegions(cmci, { scope: args.scope?.toUpperCase() }))
+            .filter(r => !accessPolicy.cicsRegionDenial(r.region));
           return {
             content: [{
               type: "text",
-              text: JSON.stringify(services, null, 2),
+              text: JSON.stringify({ cicsplex: cmci.config.context, total: regions.length, regions }, null, 2),
             }],
           };
         }
 
-        case "zos_connect_get_service": {
-          const service = await callZosConnect(`/zosConnect/services/${args.service_name}`);
+        case "cics_query_resources": {
+          const result = await queryResources(cmci, args.type, {
+            name: args.name,
+            scope: region,
+            filters: args.filters,
+            maxRecords: args.max_records || 100,
+          });
+          const records = visible(result.records);
           return {
             content: [{
               type: "text",
-              text: JSON.stringify(service, null, 2),
+              text: JSON.stringify({
+                type: args.type,
+                total: result.total,
+                returned: records.length,
+                ...(accessPolicy.limitsCicsRegions ? { note: "Records of regions outside the access policy are left out" } : {}),
+                resources: records.map(record => describeResource(args.type, record)),
+              }, null, 2),
             }],
           };
         }
 
-        case "zos_connect_call_service": {
-          let endpoint = `/zosConnect/services/${args.service_name}${args.operation || "/"}`;
+        case "cics_get_resource": {
+          const { records } = await queryResources(cmci, args.type, { name: args.name, scope: region });
+          const installed = visible(records);
+          if (!installed.length) {
+            throw toolError(`CICS ${args.type} ${args.name.toUpperCase()} is not installed in ${region || cmci.config.scope || cmci.config.context}`, {
+              category: "not_found",
+              backend: "CICS CMCI",
+            });
+          }
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                type: args.type,
+                name: args.name.toUpperCase(),
+                regions: installed.map(record => ({ ...describeResource(args.type, record), attributes: record })),
+              }, null, 2),
+            }],
+          };
+        }
+
+        case "cics_enable_resource":
+        case "cics_disable_resource":
+        case "cics_newcopy_program": {
+          const type = name === "cics_newcopy_program" ? "program" : args.type;
+          const action = { cics_enable_resource: "enable", cics_disable_resource: "disable", cics_newcopy_program: "newcopy" }[name];
+          if (!region) {
+            throw toolError(`region is required for ${name}: name the region or CICS system group to act in`, {
+              category: "invalid_request",
+            });
+          }
+          accessPolicy.enforce(accessPolicy.cicsResourceDenial(type, args.name));
+          const target = `${type} ${args.name.toUpperCase()} in ${region}`;
+
+          // The region may be a system group, so every region the action would reach is checked
+          const installed = async () => {
+            const { records } = await queryResources(cmci, type, { name: args.name, scope: region });
+            for (const record of records) {
+              accessPolicy.enforce(accessPolicy.cicsRegionDenial(record.eyu_cicsname));
+            }
+            return records;
+          };
 
-          // Substitute path parameters
-          if (args.path_params) {
-            for (const [key, value] of Object.entries(args.path_params)) {
-              endpoint = endpoint.replace(`{${key}}`, encodeURIComponent(String(value)));
+          if (action === "disable") {
+            if (!args.confirmation_token) {
+              const records = await installed();
+              return {
+                content: [{
+                  type: "text",
+                  text: JSON.stringify(confirmationRequired(
+                    "cics_disable_resource",
+                    "disable_cics_resource",
+                    target,
+                    null,
+                    {
+                      resources: records.map(record => describeResource(type, record)),
+                      note: type === "file"
+                        ? "Requests for the file fail with NOTOPEN or DISABLED until it is enabled again; tasks using it are not purged."
+                        : `New requests for the ${type} fail until it is enabled again (e.g. transactions abend or are rejected); running tasks finish.`,
+                    },
+                    client
+                  ), null, 2),
+                }],
+              };
             }
+            consumeConfirmation(args.confirmation_token, "disable_cics_resource", target, null, client);
           }
 
-          // Add query parameters
-          if (args.query_params) {
-            const queryString = new URLSearchParams(args.query_params).toString();
-            endpoint += `?${queryString}`;
+          if (accessPolicy.limitsCicsRegions) {
+            await installed();
           }
+          const records = await actOnResource(cmci, type, args.name.toUpperCase(), action, { scope: region });
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                message: `${action === "newcopy" ? "New copy of" : action === "enable" ? "Enabled" : "Disabled"} ${target}`,
+                resources: records.map(record => describeResource(type, record)),
+              }, null, 2),
+            }],
+          };
+        }
+      }
+    }
 
-          const result = await callZosConnect(endpoint, args.method || "POST", args.payload);
+    // ============ COBOL Copybook Tool Handlers ============
+    if (name.startsWith("cobol_")) {
+      if (!args?.copybook && !args?.copybook_path) {
+        throw toolError("Provide either copybook or copybook_path", { category: "invalid_request" });
+      }
+      const layout = parseCopybook(
+        args.copybook_path ? await readFile(args.copybook_path, "utf8") : args.copybook,
+        { record: args.record }
+      );
+      const naming = args.naming || "cobol";
 
+      switch (name) {
+        case "cobol_copybook_to_schema": {
           return {
             content: [{
               type: "text",
               text: JSON.stringify({
-                service: args.service_name,
-                operation: args.operation || "/",
-                method: args.method || "POST",
-                response: result,
+                record: layout.name,
+                records: layout.records,
+                recordLength: layout.recordLength,
+                variableLength: layout.variableLength,
+                schema: toJsonSchema(layout, { naming }),
+                sample: samplePayload(layout, { naming }),
+                layout: describeLayout(layout),
               }, null, 2),
             }],
           };
         }
 
-        case "zos_connect_list_apis": {
-          const apis = await callZosConnect("/zosConnect/apis");
+        case "cobol_encode_record": {
+          const codePage = args.codepage || "037";
+          const bytes = encodeRecord(layout, args.data, { codePage, naming });
+
+          if (args.output_path) {
+            await writeFile(args.output_path, bytes);
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({
+                  message: `Record encoded and written to ${args.output_path}`,
+                  record: layout.name,
+                  codePage,
+                  bytes: bytes.length,
+                }, null, 2),
+              }],
+            };
+          }
+
+          const encoding = args.encoding || "base64";
           return {
             content: [{
               type: "text",
-              text: JSON.stringify(apis, null, 2),
+              text: JSON.stringify({
+                record: layout.name,
+                codePage,
+                bytes: bytes.length,
+                encoding,
+                data: bytes.toString(encoding),
+              }, null, 2),
             }],
           };
         }
 
-        case "zos_connect_health": {
-          const health = await callZosConnect("/zosConnect/health");
+        case "cobol_decode_record": {
+          if (!args.data && !args.file_path) {
+            throw toolError("Provide either data or file_path", { category: "invalid_request" });
+          }
+          const codePage = args.codepage || "037";
+          const bytes = args.file_path
+            ? await readFile(args.file_path)
+            : Buffer.from(args.data, args.encoding || "base64");
+          const maxRecords = args.max_records || 1;
+
+          const records = [];
+          const warnings = [];
+          let offset = 0;
+          while (offset < bytes.length && records.length < maxRecords) {
+            const decoded = decodeRecord(layout, bytes, { codePage, naming, offset });
+            records.push(decoded.value);
+            warnings.push(...decoded.warnings.map(w => `Record ${records.length}: ${w}`));
+            offset += decoded.length;
+          }
+
           return {
             content: [{
               type: "text",
-              text: JSON.stringify(health, null, 2),
+              text: JSON.stringify({
+                record: layout.name,
+                codePage,
+                recordsDecoded: records.length,
+                bytesRead: offset,
+                bytesRemaining: bytes.length - offset,
+                ...(warnings.length ? { warnings } : {}),
+                records,
+              }, null, 2),
             }],
           };
         }
       }
     }
 
-    return {
-      content: [{
-        type: "text",
-        text: `Unknown tool: ${name}`,
-      }],
-    };
+    // ============ Audit Tools ============
+    if (name === "ibmz_audit_query") {
+      if (!auditLog) {
+        throw toolError("Audit log is turned off (IBMZ_AUDIT_LOG=off).", { category: "configuration" });
+      }
+      if (args.client && args.client !== client && !accessPolicy.auditAllClients) {
+        accessPolicy.enforce(`audit entries of client ${args.client} are not visible to ${client}`);
+      }
+      const { matched, entries } = await queryAuditLog(auditLog.file, {
+        client: args.client || (accessPolicy.auditAllClients ? undefined : client),
+        tool: args.tool,
+        keyId: args.key_id,
+        service: args.service,
+        outcome: args.outcome,
+        since: args.since,
+        until: args.until,
+        limit: args.limit || 50,
+      });
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            log: auditLog.file,
+            matched,
+            returned: entries.length,
+            ...(args.verify ? { verification: await verifyAuditLog(auditLog.file) } : {}),
+            entries,
+          }, null, 2),
+        }],
+      };
+    }
+
+    // ============ Generated z/OS Connect Service Tools ============
+    const serviceTool = zosServiceTools.get(name);
+    if (serviceTool) {
+      const { method, endpoint, pathParams, query, body } = serviceRequest(serviceTool, args);
+      accessPolicy.enforce(accessPolicy.zosDenial({
+        service: serviceTool.service,
+        path: serviceTool.operation.path,
+        method,
+      }));
+      const validation = validateServiceRequest(serviceTool.doc, serviceTool.operation, { pathParams, query, body });
+      if (validation.violations.length) {
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              status: "invalid",
+              service: serviceTool.service,
+              operation: serviceTool.operation.path,
+              method,
+              violations: validation.violations,
+              message: "Request does not match the service schema; nothing was sent to the mainframe",
+            }, null, 2),
+          }],
+        };
+      }
+      const result = await callZosConnect(endpoint, method, body);
+
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            service: serviceTool.service,
+            operation: serviceTool.operation.path,
+            method,
+            response: result,
+          }, null, 2),
+        }],
+      };
+    }
+
+    throw toolError(`Unknown tool: ${name}`, { category: "invalid_request" });
+
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+// Report retries and open breakers alongside the result when there were any
+function withResilienceSummary(result, calls) {
+  const resilience = summarizeCalls(calls);
+  if (!resilience || result.content?.length !== 1) {
+    return result;
+  }
+  const [content] = result.content;
+  let value;
+  try {
+    value = JSON.parse(content.text);
+  } catch {
+    value = null;
+  }
+  const text = value && typeof value === "object" && !Array.isArray(value)
+    ? JSON.stringify({ ...value, resilience }, null, 2)
+    : `${content.text}\n\nresilience: ${JSON.stringify(resilience)}`;
+  return { ...result, content: [{ ...content, text }] };
+}
+
+// Audit entry for a finished tool call; the result text is only read for IDs and status.
+// `keyRef` is the key ID, alias or name as the caller passed it, before it was resolved.
+function auditRecord(client, name, args, result, calls, latencyMs, keyRef) {
+  let value = null;
+  try {
+    value = JSON.parse(result.content?.[0]?.text);
+  } catch {
+    // plain text result
+  }
+  const error = result.isError ? value?.error : undefined;
+  return {
+    client,
+    tool: name,
+    keyId: args?.key_id ?? (name === "key_protect_create_key" ? value?.key?.id : undefined),
+    keyRef: keyRef !== args?.key_id ? keyRef : undefined,
+    service: args?.service_name ?? zosServiceTools.get(name)?.service,
+    arguments: redactArguments(args || {}),
+    outcome: result.isError ? "error" : "success",
+    status: typeof value?.status === "string" ? value.status : undefined,
+    error: error ? { category: error.category, message: error.message } : undefined,
+    latencyMs,
+    backendCalls: calls.map(call => ({
+      backend: call.backend,
+      operation: call.operation,
+      requestId: call.requestId,
+      attempts: call.attempts,
+      error: call.error,
+    })),
+  };
+}
+
+function appendAudit(client, name, args, result, calls, started, keyRef) {
+  if (!auditLog) {
+    return;
+  }
+  try {
+    auditLog.append(auditRecord(client, name, args, result, calls, Date.now() - started, keyRef));
+  } catch (error) {
+    console.error(`Audit log ${auditLog.file} could not be written: ${error.message}`);
+  }
+}
+
+// Send MCP progress notifications when the client asked for them with a progress token
+function progressReporter(request, extra) {
+  const progressToken = request.params._meta?.progressToken;
+  if (progressToken === undefined) {
+    return async () => {};
+  }
+  return (progress, total, message) => extra.sendNotification({
+    method: "notifications/progress",
+    params: { progressToken, progress, total, message },
+  }).catch(() => {});
+}
+
+async function callTool(request, extra) {
+  const { name, arguments: args } = request.params;
+  const context = { ...clientContext(extra), progress: progressReporter(request, extra), signal: extra?.signal };
+  const started = Date.now();
+  // Handlers replace key aliases and names with the key ID in args
+  const keyRef = args?.key_id;
+  const { result, calls } = await trackBackendCalls(() => handleToolCall(name, args, context));
+  appendAudit(context.client, name, args, result, calls, started, keyRef);
+  return withResilienceSummary(result, calls);
+}
+
+// ============ Resources ============
+
+// Resources are governed by the access policy like the tools that return the same data
+const RESOURCE_TOOLS = {
+  key: "key_protect_get_key",
+  key_policies: "key_protect_get_key_policies",
+  service_openapi: "zos_connect_get_service",
+  zos_health: "zos_connect_health",
+};
+
+const RESOURCE_PAGE_SIZE = 100;
+
+// JSON-RPC error for a failed resource request, with the details of a tool error
+function resourceError(error) {
+  const details = describeError(error);
+  const code = ["invalid_request", "not_found", "authorization"].includes(details.category)
+    ? ErrorCode.InvalidParams
+    : ErrorCode.InternalError;
+  // Not an McpError, whose message would repeat the code
+  return Object.assign(new Error(details.message), { code, data: details });
+}
+
+/**
+ * Read the resource behind `uri` for a client. Returns its content and a
+ * fingerprint of the parts subscribers are notified about.
+ */
+async function readResourceValue(uri, { accessPolicy }) {
+  const resource = parseResourceUri(uri);
+  accessPolicy.enforce(accessPolicy.toolDenial(RESOURCE_TOOLS[resource.type]));
+
+  if (resource.type === "key" || resource.type === "key_policies") {
+    const kp = getKeyProtect(resource.instance);
+    if (!kp) {
+      throw keyProtectNotConfigured();
+    }
+    const keyId = await resolveKeyId(kp, resource.keyId);
+    await enforceKeyAccess(kp, keyId, accessPolicy);
+    if (resource.type === "key_policies") {
+      const policies = await getKeyPolicies(kp, keyId);
+      return { value: { keyId, ...policies }, fingerprint: digest(policies) };
+    }
+    // Metadata only: getKey would include the payload of extractable keys
+    const response = await kp.client.getKeyMetadata({
+      bluemixInstance: kp.instanceId,
+      id: keyId,
+    });
+    const key = response.result.resources?.[0];
+    return { value: key, fingerprint: keyFingerprint(key) };
+  }
+
+  if (!ZOS_CONNECT_URL) {
+    throw zosNotConfigured();
+  }
+  if (resource.type === "service_openapi") {
+    accessPolicy.enforce(accessPolicy.zosDenial({ service: resource.service }));
+    // Always fetched, so a redeployed service is noticed; the cache used for validation is refreshed too
+    const doc = await fetchServiceDocument(callZosConnect, resource.service);
+    zosServiceDocs.set(resource.service, doc);
+    return { value: doc, fingerprint: digest(doc) };
+  }
 
+  let health;
+  try {
+    health = await callZosConnect("/zosConnect/health");
   } catch (error) {
+    health = { status: "unreachable", error: error.message };
+  }
+  return {
+    value: {
+      ...(health && typeof health === "object" ? health : { response: health }),
+      connection: zosConnectClient?.describe(),
+      backends: describeBackends(),
+    },
+    fingerprint: healthFingerprint(health),
+  };
+}
+
+const resourceWatcher = createResourceWatcher({
+  fingerprint: async (uri, context) => (await readResourceValue(uri, context)).fingerprint,
+  intervalMs: IBMZ_RESOURCE_POLL_MS,
+});
+
+async function readResource(request, extra) {
+  const { uri } = request.params;
+  const context = clientContext(extra);
+  const started = Date.now();
+  let failure = null;
+  const { result, calls } = await trackBackendCalls(async () => {
+    try {
+      const { value } = await readResourceValue(uri, context);
+      return { contents: [{ uri, mimeType: RESOURCE_MIME_TYPE, text: JSON.stringify(value, null, 2) }] };
+    } catch (error) {
+      failure = error;
+      return errorResult(error);
+    }
+  });
+  appendAudit(context.client, "resources/read", { uri }, failure ? result : {}, calls, started);
+  if (failure) {
+    throw resourceError(failure);
+  }
+  return result;
+}
+
+/**
+ * Concrete resources: z/OS Connect health and service documents, then the
+ * default instance's keys, RESOURCE_PAGE_SIZE keys per page.
+ */
+async function listResources(request, extra) {
+  const { accessPolicy } = clientContext(extra);
+  const offset = Number(request.params?.cursor || 0);
+  const resources = [];
+
+  try {
+    if (ZOS_CONNECT_URL && offset === 0) {
+      if (!accessPolicy.toolDenial("zos_connect_health")) {
+        resources.push({ uri: ZOS_HEALTH_URI, name: "zos_connect_health", title: "z/OS Connect health", mimeType: RESOURCE_MIME_TYPE });
+      }
+      if (!accessPolicy.toolDenial("zos_connect_get_service")) {
+        let names;
+        try {
+          names = serviceNames(await callZosConnect("/zosConnect/services"));
+        } catch {
+          // Fall back to the services found by the last discovery
+          names = [...zosServiceDocs.keys()];
+        }
+        for (const service of names.filter(service => !accessPolicy.zosDenial({ service }))) {
+          resources.push({
+            uri: serviceOpenApiUri(service),
+            name: service,
+            title: `${service} OpenAPI document`,
+            mimeType: RESOURCE_MIME_TYPE,
+          });
+        }
+      }
+    }
+
+    const kp = accessPolicy.toolDenial("key_protect_get_key") ? null : getKeyProtect();
+    if (!kp) {
+      return { resources };
+    }
+    const response = await kp.client.getKeys({
+      bluemixInstance: kp.instanceId,
+      limit: RESOURCE_PAGE_SIZE,
+      offset,
+    });
+    const page = response.result.resources || [];
+    for (const key of page.filter(k => !accessPolicy.keyDenial(k))) {
+      resources.push({
+        uri: keyUri(key.id),
+        name: key.name,
+        title: `Key ${key.name}`,
+        description: `${key.extractable ? "Standard" : "Root"} key, ${KEY_STATE_NAMES[key.state] || `state ${key.state}`}`,
+        mimeType: RESOURCE_MIME_TYPE,
+      });
+    }
     return {
-      content: [{
-        type: "text",
-        text: `Error: ${error.message}`,
-      }],
+      resources,
+      nextCursor: page.length === RESOURCE_PAGE_SIZE ? String(offset + RESOURCE_PAGE_SIZE) : undefined,
     };
+  } catch (error) {
+    throw resourceError(error);
   }
-});
+}
 
-// Start server
+// Start server: stdio by default, streamable HTTP with IBMZ_TRANSPORT=http
 async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error("IBM Z MCP server running on stdio");
+  const mode = process.env.IBMZ_TRANSPORT || "stdio";
+  if (mode === "http") {
+    const http = await startHttpTransport(httpConfig(), createMcpServer);
+    console.error(`IBM Z MCP server listening on ${http.url}`);
+
+    const shutdown = async (signal) => {
+      console.error(`${signal} received, closing HTTP sessions`);
+      await http.close();
+      zosConnectClient?.close();
+      zosmfClient?.close();
+      cmciClient?.close();
+      process.exit(0);
+    };
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
+  } else if (mode === "stdio") {
+    await createMcpServer().connect(new StdioServerTransport());
+    console.error("IBM Z MCP server running on stdio");
+  } else {
+    throw new Error(`IBMZ_TRANSPORT must be stdio or http, got "${mode}"`);
+  }
+
+  if (ZOS_CONNECT_URL && ZOS_CONNECT_SERVICE_TOOLS) {
+    discoverZosServiceTools()
+      .then(({ services, errors }) => {
+        console.error(`z/OS Connect: generated tools for ${services.length} service(s)`);
+        for (const { service, error } of errors) {
+          console.error(`  - ${service}: ${error}`);
+        }
+      })
+      .catch(error => console.error(`z/OS Connect service discovery failed: ${error.message}`));
+  }
 }
 
-main().catch(console.error);
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Key Protect compliance report for scheduled runs
+ *
+ * Usage:
+ *   node key-report.js [--instance profile] [--format json|markdown|csv]
+ *                      [--rules rules.json] [--key-ring ring] [--output file]
+ *                      [--fail-on severity]
+ *
+ * Uses the same environment as the MCP server (KEY_PROTECT_PROFILES, or
+ * IBM_CLOUD_API_KEY / KEY_PROTECT_INSTANCE_ID / KEY_PROTECT_URL, or
+ * KEY_PROTECT_BACKEND=local).
+ * With --fail-on, exits 2 when any finding is at or above that severity.
+ */
+
+import { parseArgs } from "util";
+import { getKeyProtect } from "./lib/key-protect.js";
+import {
+  SEVERITIES,
+  buildKeyReport,
+  loadRules,
+  renderReport,
+  worstSeverity,
+  writeReport,
+} from "./lib/key-report.js";
+
+const { values } = parseArgs({
+  options: {
+    instance: { type: "string" },
+    format: { type: "string", default: "json" },
+    rules: { type: "string" },
+    "key-ring": { type: "string" },
+    output: { type: "string" },
+    "fail-on": { type: "string" },
+  },
+});
+
+if (values["fail-on"] && !SEVERITIES.includes(values["fail-on"])) {
+  console.error(`--fail-on must be one of ${SEVERITIES.join(", ")}`);
+  process.exit(1);
+}
+
+try {
+  const kp = getKeyProtect(values.instance);
+  if (!kp) {
+    console.error("Key Protect not configured. Set KEY_PROTECT_PROFILES, IBM_CLOUD_API_KEY and KEY_PROTECT_INSTANCE_ID, or KEY_PROTECT_BACKEND=local.");
+    process.exit(1);
+  }
+
+  const rules = values.rules ? await loadRules(values.rules) : undefined;
+  const report = await buildKeyReport(kp, { rules, keyRing: values["key-ring"] });
+  const text = renderReport(report, values.format);
+
+  if (values.output) {
+    await writeReport(values.output, text);
+    console.error(`Report written to ${values.output}: ${report.summary.findings} finding(s) across ${report.summary.totalKeys} key(s)`);
+  } else {
+    process.stdout.write(text.endsWith("\n") ? text : `${text}\n`);
+  }
+
+  const worst = worstSeverity(report);
+  if (values["fail-on"] && worst && SEVERITIES.indexOf(worst) >= SEVERITIES.indexOf(values["fail-on"])) {
+    process.exit(2);
+  }
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
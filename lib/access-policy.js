@@ -0,0 +1,294 @@
+/**
+ * Declarative access policy
+ *
+ * A JSON file, loaded once at startup from IBMZ_POLICY_FILE, that limits
+ * what connected clients may do: read-only mode, tool allow/deny patterns,
+ * z/OS Connect service / operation path / method rules, Key Protect key
+ * ring and key name prefix limits, CICS region and resource name limits and
+ * whose calls ibmz_audit_query may show. Denied tools are hidden from the tool
+ * list and rejected at call time. Without a file everything is allowed.
+ * Sections under "clients" replace the top-level ones for the named client
+ * (see the HTTP transport).
+ *
+ * {
+ *   "readOnly": false,
+ *   "tools": { "allow": ["key_protect_*", "zos_*"], "deny": ["key_protect_purge_key"] },
+ *   "zosConnect": {
+ *     "allow": [{ "service": "acct*", "paths": ["/accounts/*"], "methods": ["GET", "POST"] }],
+ *     "deny": [{ "service": "payroll" }]
+ *   },
+ *   "keyProtect": { "keyRings": ["payments"], "keyNamePrefixes": ["app-"] },
+ *   "cics": { "regions": ["CICSTA*"], "resources": ["PAY*"] },
+ *   "audit": { "allClients": false },
+ *   "clients": { "ops-team": { "readOnly": false } }
+ * }
+ */
+
+import fs from "fs";
+import { toolError } from "./errors.js";
+
+// Tools that change state in Key Protect or on z/OS; refused in read-only mode
+export const MUTATING_TOOLS = new Set([
+  "key_protect_create_key",
+  "key_protect_create_key_alias",
+  "key_protect_delete_key_alias",
+  "key_protect_create_key_ring",
+  "key_protect_delete_key_ring",
+  "key_protect_move_key",
+  "key_protect_rotate_key",
+  "key_protect_delete_key",
+  "key_protect_disable_key",
+  "key_protect_enable_key",
+  "key_protect_set_key_for_deletion",
+  "key_protect_unset_key_for_deletion",
+  "key_protect_restore_key",
+  "key_protect_purge_key",
+  "key_protect_set_key_policies",
+  "key_protect_set_instance_policies",
+  "key_protect_write_secret",
+  "zosmf_submit_job",
+  "zosmf_cancel_job",
+  "zosmf_write_dataset",
+  "zosmf_allocate_dataset",
+  "zosmf_delete_dataset",
+  "zosmf_write_uss_file",
+  "cics_enable_resource",
+  "cics_disable_resource",
+  "cics_newcopy_program",
+]);
+
+// Arguments naming a local file the tool writes; calls that pass one are refused in read-only mode
+export const FILE_OUTPUT_ARGUMENTS = ["output_path", "checkpoint_path"];
+
+// HTTP methods allowed in read-only mode
+const SAFE_METHODS = ["GET", "HEAD"];
+
+const TOP_LEVEL_FIELDS = ["readOnly", "tools", "zosConnect", "keyProtect", "cics", "audit"];
+
+// "*" matches any run of characters, "?" any single one
+function globPattern(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${source}$`);
+}
+
+function stringList(value, where) {
+  if (value === undefined) {
+    return null;
+  }
+  if (!Array.isArray(value) || value.some(item => typeof item !== "string")) {
+    throw new Error(`${where} must be an array of strings`);
+  }
+  return value;
+}
+
+function patternList(value, where) {
+  return stringList(value, where)?.map(globPattern) ?? null;
+}
+
+const anyMatch = (patterns, value) => patterns.some(pattern => pattern.test(value));
+
+function zosRule(raw, where) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`${where} must be an object with service, paths and/or methods`);
+  }
+  const unknown = Object.keys(raw).filter(field => !["service", "paths", "methods"].includes(field));
+  if (unknown.length) {
+    throw new Error(`${where}: unknown field ${unknown.join(", ")}`);
+  }
+  return {
+    service: raw.service === undefined ? null : patternList([raw.service], `${where}.service`),
+    paths: patternList(raw.paths, `${where}.paths`),
+    methods: stringList(raw.methods, `${where}.methods`)?.map(method => method.toUpperCase()) ?? null,
+  };
+}
+
+function zosRules(value, where) {
+  if (value === undefined) {
+    return null;
+  }
+  if (!Array.isArray(value)) {
+    throw new Error(`${where} must be an array of rules`);
+  }
+  return value.map((rule, index) => zosRule(rule, `${where}[${index}]`));
+}
+
+// A rule matches when every part it specifies matches
+function ruleMatches(rule, { service, path, method }) {
+  return (!rule.service || anyMatch(rule.service, service))
+    && (!rule.paths || path === undefined || anyMatch(rule.paths, path))
+    && (!rule.methods || method === undefined || rule.methods.includes(method));
+}
+
+/**
+ * Validate a parsed policy document. `source` names it in error messages.
+ */
+export function createAccessPolicy(raw = {}, source = "access policy") {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`${source}: expected a JSON object`);
+  }
+  const unknown = Object.keys(raw).filter(field => !TOP_LEVEL_FIELDS.includes(field));
+  if (unknown.length) {
+    throw new Error(`${source}: unknown field ${unknown.join(", ")} (expected ${TOP_LEVEL_FIELDS.join(", ")})`);
+  }
+  if (raw.readOnly !== undefined && typeof raw.readOnly !== "boolean") {
+    throw new Error(`${source}: readOnly must be true or false`);
+  }
+  if (raw.audit?.allClients !== undefined && typeof raw.audit.allClients !== "boolean") {
+    throw new Error(`${source}: audit.allClients must be true or false`);
+  }
+
+  const tools = {
+    allow: patternList(raw.tools?.allow, `${source}: tools.allow`),
+    deny: patternList(raw.tools?.deny, `${source}: tools.deny`) || [],
+  };
+  const zos = {
+    allow: zosRules(raw.zosConnect?.allow, `${source}: zosConnect.allow`),
+    deny: zosRules(raw.zosConnect?.deny, `${source}: zosConnect.deny`) || [],
+  };
+  const keys = {
+    keyRings: patternList(raw.keyProtect?.keyRings, `${source}: keyProtect.keyRings`),
+    prefixes: stringList(raw.keyProtect?.keyNamePrefixes, `${source}: keyProtect.keyNamePrefixes`),
+  };
+  const cics = {
+    regions: patternList(raw.cics?.regions, `${source}: cics.regions`),
+    resources: patternList(raw.cics?.resources, `${source}: cics.resources`),
+  };
+  const readOnly = raw.readOnly === true;
+
+  const policy = {
+    source,
+    readOnly,
+
+    // Reason the tool is not available, or with `args` this call of it, or null
+    toolDenial(name, args = {}) {
+      if (anyMatch(tools.deny, name)) {
+        return `tool ${name} is denied`;
+      }
+      if (tools.allow && !anyMatch(tools.allow, name)) {
+        return `tool ${name} is not in the allowed tools`;
+      }
+      if (readOnly && MUTATING_TOOLS.has(name)) {
+        return `tool ${name} changes state and the server is read-only`;
+      }
+      const output = readOnly && FILE_OUTPUT_ARGUMENTS.find(argument => args?.[argument]);
+      if (output) {
+        return `tool ${name} writes ${output} ${args[output]} and the server is read-only`;
+      }
+      return null;
+    },
+
+    /**
+     * Reason a z/OS Connect request is refused, or null. Without `path`
+     * and `method` only the service itself is checked.
+     */
+    zosDenial({ service, path, method }) {
+      const request = { service, path, method: method?.toUpperCase() };
+      if (zos.deny.some(rule => ruleMatches(rule, request))) {
+        return `z/OS Connect ${describeRequest(request)} is denied`;
+      }
+      if (zos.allow && !zos.allow.some(rule => ruleMatches(rule, request))) {
+        return `z/OS Connect ${describeRequest(request)} is not allowed`;
+      }
+      if (readOnly && request.method && !SAFE_METHODS.includes(request.method)) {
+        return `the server is read-only; only ${SAFE_METHODS.join(" and ")} requests are allowed`;
+      }
+      return null;
+    },
+
+    keyRingDenial(keyRingId) {
+      const ring = keyRingId || "default";
+      if (keys.keyRings && !anyMatch(keys.keyRings, ring)) {
+        return `key ring ${ring} is not in the allowed key rings`;
+      }
+      return null;
+    },
+
+    // `key` is Key Protect key metadata (name, keyRingID)
+    keyDenial(key) {
+      const ringDenial = policy.keyRingDenial(key.keyRingID);
+      if (ringDenial) {
+        return `key ${key.name || key.id}: ${ringDenial}`;
+      }
+      if (keys.prefixes && !keys.prefixes.some(prefix => (key.name || "").startsWith(prefix))) {
+        return `key name ${key.name} does not start with an allowed prefix (${keys.prefixes.join(", ")})`;
+      }
+      return null;
+    },
+
+    // True when key rings or name prefixes are limited
+    limitsKeys: Boolean(keys.keyRings || keys.prefixes),
+
+    // Regions limit every CICS tool; queries leave out records of other regions
+    cicsRegionDenial(region) {
+      if (cics.regions && !anyMatch(cics.regions, (region || "").toUpperCase())) {
+        return `CICS region ${region} is not in the allowed regions`;
+      }
+      return null;
+    },
+
+    // Resource names limit enable, disable and new copy only
+    cicsResourceDenial(type, name) {
+      if (cics.resources && !anyMatch(cics.resources, name.toUpperCase())) {
+        return `CICS ${type} ${name} does not match the allowed resource names`;
+      }
+      return null;
+    },
+
+    // True when CICS regions are limited
+    limitsCicsRegions: Boolean(cics.regions),
+
+    // Audit queries show the caller's own calls unless this is set
+    auditAllClients: raw.audit?.allClients === true,
+
+    // Throw the reason, if any, as an authorization error
+    enforce(reason) {
+      if (reason) {
+        throw toolError(`Denied by access policy (${source}): ${reason}`, {
+          category: "authorization",
+          topic: "`Denied by access policy`",
+        });
+      }
+    },
+  };
+  return policy;
+}
+
+function describeRequest({ service, path, method }) {
+  return [method, `service ${service}`, path].filter(Boolean).join(" ");
+}
+
+/**
+ * The top-level policy plus one per entry in `clients`. `forClient(name)`
+ * returns the client's policy, or the top-level one for other clients.
+ */
+export function createPolicySet(raw = {}, source = "access policy") {
+  const { clients = {}, ...base } = raw || {};
+  if (!clients || typeof clients !== "object" || Array.isArray(clients)) {
+    throw new Error(`${source}: clients must map client names to policy sections`);
+  }
+  const defaultPolicy = createAccessPolicy(base, source);
+  const byClient = new Map(Object.entries(clients).map(([client, sections]) =>
+    [client, createAccessPolicy({ ...base, ...sections }, `${source}, client ${client}`)]));
+  return {
+    source,
+    forClient: client => byClient.get(client) || defaultPolicy,
+  };
+}
+
+/**
+ * Load the policy set from `file`, or an allow-everything one when no file
+ * is configured. Throws on unreadable or invalid files so the server does
+ * not start with a policy other than the one intended.
+ */
+export function loadAccessPolicy(file = process.env.IBMZ_POLICY_FILE) {
+  if (!file) {
+    return createPolicySet({}, "no policy file");
+  }
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read access policy ${file}: ${error.message}`);
+  }
+  return createPolicySet(raw, file);
+}
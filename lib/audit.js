@@ -0,0 +1,248 @@
+/**
+ * Tamper-evident audit log
+ *
+ * Appends one JSON line per tool call: timestamp, tool, arguments with
+ * secrets redacted and data hashed, outcome, latency and the request IDs of
+ * the backend calls made. Each entry carries the hash of the previous one and
+ * its own hash over both, so editing, inserting or removing a line breaks the
+ * chain from that point on. Only one server process should write a log.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import readline from "readline";
+
+export const DEFAULT_AUDIT_LOG = path.join(os.homedir(), ".ibmz-mcp", "audit.jsonl");
+
+const GENESIS_HASH = "0".repeat(64);
+
+// Replaced by "[REDACTED]": plaintext, key material, secret handles (replayable by their owner) and credentials
+const REDACTED_ARGUMENTS = new Set(["plaintext", "payload", "dek", "handle", "confirmation_token"]);
+const CREDENTIAL_PATTERN = /password|passphrase|secret|token|api_?key|authorization|credential/i;
+
+// Replaced by a digest, so the same value can be recognised across entries (JCL can hold passwords)
+const HASHED_ARGUMENTS = new Set(["ciphertext", "envelope", "aad", "data", "items", "body", "request_body", "jcl", "content"]);
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+function digest(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return { sha256: sha256(text), length: text.length };
+}
+
+/**
+ * Copy of tool arguments that is safe to keep: secrets become "[REDACTED]",
+ * ciphertexts and payloads become `{ sha256, length }`.
+ */
+export function redactArguments(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactArguments);
+  }
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined || item === null) {
+      copy[key] = item;
+    } else if (REDACTED_ARGUMENTS.has(key) || CREDENTIAL_PATTERN.test(key)) {
+      copy[key] = "[REDACTED]";
+    } else if (HASHED_ARGUMENTS.has(key)) {
+      copy[key] = digest(item);
+    } else {
+      copy[key] = redactArguments(item);
+    }
+  }
+  return copy;
+}
+
+function entryHash(entry) {
+  const { hash, ...fields } = entry;
+  return sha256(`${fields.prevHash}\n${JSON.stringify(fields)}`);
+}
+
+// Last line of a file, reading only its tail
+function lastLine(file) {
+  let fd;
+  try {
+    fd = fs.openSync(file, "r");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+  try {
+    const { size } = fs.fstatSync(fd);
+    let chunk = 64 * 1024;
+    while (true) {
+      const start = Math.max(0, size - chunk);
+      const buffer = Buffer.alloc(size - start);
+      fs.readSync(fd, buffer, 0, buffer.length, start);
+      const lines = buffer.toString("utf8").split("\n").filter(line => line.trim());
+      if (lines.length > 1 || start === 0) {
+        return lines.at(-1) || null;
+      }
+      chunk *= 4;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Audit log appending to `file`. The chain continues from the last entry
+ * already in the file.
+ */
+export function createAuditLog(file = DEFAULT_AUDIT_LOG) {
+  let head = null;
+
+  const chainHead = () => {
+    if (!head) {
+      const line = lastLine(file);
+      const last = line ? JSON.parse(line) : null;
+      head = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+    }
+    return head;
+  };
+
+  return {
+    file,
+
+    /**
+     * Append an entry for one tool call. Synchronous, so concurrent calls
+     * cannot interleave between reading the chain head and writing.
+     */
+    append(record) {
+      const { seq, hash: prevHash } = chainHead();
+      const entry = { seq: seq + 1, timestamp: new Date().toISOString(), ...record, prevHash };
+      entry.hash = entryHash(entry);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+      head = { seq: entry.seq, hash: entry.hash };
+      return entry;
+    },
+  };
+}
+
+async function* readEntries(file) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file, "utf8"), crlfDelay: Infinity });
+  let line = 0;
+  for await (const text of lines) {
+    line++;
+    if (text.trim()) {
+      yield { line, text };
+    }
+  }
+}
+
+/**
+ * Check every entry's hash and its link to the previous entry. Returns
+ * `{ valid, entries, lastHash }`, plus `line` and `reason` for the first
+ * broken entry. Removing entries from the end cannot be detected from the
+ * file alone; compare `lastHash` with a copy kept elsewhere.
+ */
+export async function verifyAuditLog(file = DEFAULT_AUDIT_LOG) {
+  if (!fs.existsSync(file)) {
+    return { valid: true, entries: 0, lastHash: null };
+  }
+  let prev = { seq: 0, hash: GENESIS_HASH };
+  let entries = 0;
+  const broken = (line, reason) => ({ valid: false, entries, line, reason, lastHash: prev.hash });
+
+  for await (const { line, text } of readEntries(file)) {
+    let entry;
+    try {
+      entry = JSON.parse(text);
+    } catch {
+      return broken(line, "not valid JSON");
+    }
+    if (entry.prevHash !== prev.hash) {
+      return broken(line, `prevHash does not match the hash of entry ${prev.seq}`);
+    }
+    if (entry.seq !== prev.seq + 1) {
+      return broken(line, `expected seq ${prev.seq + 1}, found ${entry.seq}`);
+    }
+    if (entry.hash !== entryHash(entry)) {
+      return broken(line, "entry was modified (hash mismatch)");
+    }
+    prev = entry;
+    entries++;
+  }
+  return { valid: true, entries, lastHash: entries ? prev.hash : null };
+}
+
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`${name} must be an ISO 8601 date or time, got "${value}"`);
+  }
+  return time;
+}
+
+function matches(entry, filters) {
+  if (filters.client && entry.client !== filters.client) {
+    return false;
+  }
+  if (filters.tool && !(filters.tool.endsWith("*")
+    ? entry.tool.startsWith(filters.tool.slice(0, -1))
+    : entry.tool === filters.tool)) {
+    return false;
+  }
+  if (filters.keyId && entry.keyId !== filters.keyId && entry.keyRef !== filters.keyId) {
+    return false;
+  }
+  if (filters.service && entry.service !== filters.service) {
+    return false;
+  }
+  if (filters.outcome && entry.outcome !== filters.outcome) {
+    return false;
+  }
+  const time = Date.parse(entry.timestamp);
+  return (filters.since === null || time >= filters.since) && (filters.until === null || time <= filters.until);
+}
+
+/**
+ * Entries matching `client`, `tool` (exact, or a prefix ending in "*"),
+ * `keyId` (the resolved ID or the reference as passed), `service`, `outcome`
+ * and the `since` / `until` range. Returns the most recent `limit` matches,
+ * oldest first.
+ */
+export async function queryAuditLog(file = DEFAULT_AUDIT_LOG, { client, tool, keyId, service, outcome, since, until, limit = 50 } = {}) {
+  const filters = {
+    client,
+    tool,
+    keyId,
+    service,
+    outcome,
+    since: parseTime(since, "since"),
+    until: parseTime(until, "until"),
+  };
+  const found = [];
+  let matched = 0;
+  if (fs.existsSync(file)) {
+    for await (const { text } of readEntries(file)) {
+      let entry;
+      try {
+        entry = JSON.parse(text);
+      } catch {
+        continue;
+      }
+      if (matches(entry, filters)) {
+        matched++;
+        found.push(entry);
+        if (found.length > limit) {
+          found.shift();
+        }
+      }
+    }
+  }
+  return { matched, entries: found };
+}
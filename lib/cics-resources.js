@@ -0,0 +1,256 @@
+/**
+ * CICS regions and resources through CMCI
+ *
+ * Lists the regions of a CICSplex, queries transactions, programs, files,
+ * TS and TD queues and URIMAPs (with name patterns and attribute filters),
+ * and enables, disables or new-copies them. Records are reduced to the
+ * fields that matter when a call fails: the region, enable status and use
+ * counts. `linkServiceResources` follows a z/OS Connect service to the
+ * program and transaction it runs in CICS.
+ */
+
+import { criteriaValue, escapeXml } from "./cmci-client.js";
+import { toolError } from "./errors.js";
+
+/**
+ * Resource types as the tools name them: the CMCI resource table, the attribute that
+ * names a resource, its enable status attribute (null when it has none), the
+ * counters that make up its use count and other fields worth returning.
+ */
+export const CICS_RESOURCE_TYPES = {
+  transaction: {
+    table: "CICSLocalTransaction",
+    key: "tranid",
+    status: "status",
+    useCount: ["usecount"],
+    fields: ["program", "priority", "tranclass", "abendcount"],
+  },
+  program: {
+    table: "CICSProgram",
+    key: "program",
+    status: "status",
+    useCount: ["usecount"],
+    fields: ["language", "concurrency", "newcopycnt", "rescount", "length", "library"],
+  },
+  file: {
+    table: "CICSLocalFile",
+    key: "file",
+    status: "enablestatus",
+    useCount: ["reqreadcnt", "reqaddcnt", "requpdcnt", "reqbrwscnt", "reqdelcnt"],
+    fields: ["openstatus", "dsname", "accessmethod", "read", "add", "update", "browse", "delete"],
+  },
+  tsqueue: {
+    table: "CICSTSQueue",
+    key: "name",
+    status: null,
+    useCount: ["transidcnt"],
+    fields: ["numitems", "location", "transid", "lastusedint"],
+  },
+  tdqueue: {
+    table: "CICSTDQueue",
+    key: "name",
+    status: "enablestatus",
+    useCount: ["requests"],
+    fields: ["type", "numitems", "openstatus", "triggerlevel", "transid"],
+  },
+  urimap: {
+    table: "CICSURIMap",
+    key: "name",
+    status: "enablestatus",
+    useCount: ["urimapref"],
+    fields: ["usage", "scheme", "host", "path", "program", "transaction", "pipeline", "webservice"],
+  },
+};
+
+// Actions that can be taken on a resource type; programs are the only ones with a new copy
+export const CICS_ACTIONS = {
+  enable: Object.keys(CICS_RESOURCE_TYPES).filter(type => CICS_RESOURCE_TYPES[type].status),
+  disable: Object.keys(CICS_RESOURCE_TYPES).filter(type => CICS_RESOURCE_TYPES[type].status),
+  newcopy: ["program"],
+};
+
+export function resourceType(type) {
+  const definition = CICS_RESOURCE_TYPES[type];
+  if (!definition) {
+    throw toolError(`Unknown CICS resource type "${type}". Types: ${Object.keys(CICS_RESOURCE_TYPES).join(", ")}`, {
+      category: "invalid_request",
+    });
+  }
+  return definition;
+}
+
+// CRITERIA string: the name pattern and each filter attribute, ANDed
+function criteria(definition, name, filters = {}) {
+  const terms = [`${definition.key.toUpperCase()}=${criteriaValue((name || "*").toUpperCase(), "name")}`];
+  for (const [attribute, value] of Object.entries(filters || {})) {
+    if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(attribute)) {
+      throw toolError(`Filter attribute "${attribute}" is not a CMCI attribute name`, { category: "invalid_request" });
+    }
+    terms.push(`${attribute.toUpperCase()}=${criteriaValue(value, `filter ${attribute}`)}`);
+  }
+  return terms.map(term => `(${term})`).join(" AND ");
+}
+
+function count(value) {
+  return value === undefined || value === "" || Number.isNaN(Number(value)) ? undefined : Number(value);
+}
+
+// Region, name, status and use count of a record, then the type's other fields
+export function describeResource(type, record) {
+  const definition = resourceType(type);
+  const counters = definition.useCount.map(field => count(record[field])).filter(value => value !== undefined);
+  const resource = {
+    region: record.eyu_cicsname,
+    name: record[definition.key],
+    status: definition.status ? record[definition.status] : undefined,
+    useCount: counters.length ? counters.reduce((sum, value) => sum + value, 0) : undefined,
+  };
+  for (const field of definition.fields) {
+    if (record[field] !== undefined && record[field] !== "") {
+      resource[field] = count(record[field]) ?? record[field];
+    }
+  }
+  return resource;
+}
+
+/**
+ * Regions of the CICSplex (or of `scope`, a CICS system group) with their
+ * APPLID, job name, z/OS image, CICS release and status.
+ */
+export async function listRegions(client, { scope, context } = {}) {
+  const { records } = await client.request("CICSRegion", { context, scope });
+  return records.map(record => ({
+    region: record.cicsname,
+    applid: record.applid,
+    jobname: record.jobname,
+    system: record.mvssysname,
+    release: record.cicsver || record.release,
+    status: record.cicsstatus,
+    startTime: record.strttime,
+    tasks: count(record.curtasks),
+    maxTasks: count(record.maxtasks),
+  }));
+}
+
+/**
+ * Resources of `type` whose name matches `name` (CMCI wildcards: * for any
+ * characters, + for one) in `scope`, optionally filtered on other
+ * attributes, e.g. `{ status: "DISABLED" }`. At most `maxRecords` are
+ * returned; `total` is the number that matched.
+ */
+export async function queryResources(client, type, { name, scope, filters, maxRecords = 100 } = {}) {
+  const definition = resourceType(type);
+  const response = await client.request(definition.table, {
+    scope,
+    criteria: criteria(definition, name, filters),
+    count: maxRecords,
+  });
+  return {
+    total: count(response.summary.recordcount) ?? response.records.length,
+    records: response.records,
+  };
+}
+
+/**
+ * Enable, disable or new-copy the resources of `type` named `name` in
+ * `scope`. CMCI acts on every matching record in scope; the updated records
+ * come back with their new status.
+ */
+export async function actOnResource(client, type, name, action, { scope } = {}) {
+  const definition = resourceType(type);
+  if (!CICS_ACTIONS[action]?.includes(type)) {
+    throw toolError(`${action} does not apply to CICS ${type} resources${CICS_ACTIONS[action] ? `; it applies to ${CICS_ACTIONS[action].join(", ")}` : ""}`, {
+      category: "invalid_request",
+    });
+  }
+  if (/[*+]/.test(name)) {
+    throw toolError(`Name the ${type} exactly; wildcards are not accepted for ${action}`, { category: "invalid_request" });
+  }
+  const body = action === "newcopy"
+    ? "<request><action name=\"NEWCOPY\"/></request>"
+    : `<request><update><attributes ${definition.status}="${escapeXml(action === "enable" ? "ENABLED" : "DISABLED")}"/></update></request>`;
+  const response = await client.request(definition.table, {
+    method: "PUT",
+    scope,
+    criteria: criteria(definition, name),
+    body,
+  });
+  return response.records;
+}
+
+// Property names under which z/OS Connect service definitions hold the CICS program and transaction
+const PROGRAM_PROPERTIES = /^(program|programname|pgmname)$/i;
+const TRANSACTION_PROPERTIES = /^(transid|transactionid|tranid|mirrortransid)$/i;
+
+// Parts of an OpenAPI document that describe payloads, whose fields may well be called "program"
+const PAYLOAD_PROPERTIES = new Set(["paths", "definitions", "components", "properties", "schema", "example", "examples", "parameters", "responses"]);
+
+/**
+ * The CICS program and transaction in a z/OS Connect service definition
+ * (GET /zosConnect/services/<name>), wherever its service provider puts
+ * them, or in the `x-ibm-zos-connect` extension of an OpenAPI document.
+ * Null when the service does not call CICS.
+ */
+export function cicsTargets(service) {
+  const found = {};
+  const visit = (value) => {
+    if (!value || typeof value !== "object") {
+      return;
+    }
+    for (const [property, item] of Object.entries(value)) {
+      if (PAYLOAD_PROPERTIES.has(property)) {
+        continue;
+      }
+      if (typeof item === "string" && item.trim()) {
+        if (PROGRAM_PROPERTIES.test(property)) {
+          found.program ??= item.trim().toUpperCase();
+        } else if (TRANSACTION_PROPERTIES.test(property)) {
+          found.transaction ??= item.trim().toUpperCase();
+        }
+      } else {
+        visit(item);
+      }
+    }
+  };
+  visit(service);
+  return found.program || found.transaction ? found : null;
+}
+
+/**
+ * The CICS resources behind a service: its program, the transaction it
+ * runs under and (when no transaction is configured) the transactions that
+ * start the program, with findings for anything not installed or not
+ * enabled. `allowRegion(region)` drops regions the caller may not see.
+ */
+export async function linkServiceResources(client, targets, { scope, allowRegion = () => true } = {}) {
+  const visible = ({ records }) => records.filter(record => allowRegion(record.eyu_cicsname));
+  const findings = [];
+  const result = { program: targets.program || null, transaction: targets.transaction || null };
+
+  if (targets.program) {
+    const programs = visible(await queryResources(client, "program", { name: targets.program, scope }));
+    result.programs = programs.map(record => describeResource("program", record));
+    if (!programs.length) {
+      findings.push(`Program ${targets.program} is not installed in any region in scope`);
+    }
+    for (const program of result.programs.filter(p => p.status !== "ENABLED")) {
+      findings.push(`Program ${program.name} is ${program.status} in ${program.region}`);
+    }
+  }
+
+  const transactions = targets.transaction
+    ? await queryResources(client, "transaction", { name: targets.transaction, scope })
+    : targets.program && await queryResources(client, "transaction", { scope, filters: { program: targets.program } });
+  if (transactions) {
+    result.transactions = visible(transactions).map(record => describeResource("transaction", record));
+    if (targets.transaction && !result.transactions.length) {
+      findings.push(`Transaction ${targets.transaction} is not installed in any region in scope`);
+    }
+    for (const transaction of result.transactions.filter(t => t.status !== "ENABLED")) {
+      findings.push(`Transaction ${transaction.name} is ${transaction.status} in ${transaction.region}`);
+    }
+  }
+
+  result.findings = findings.length ? findings : ["All linked resources are installed and enabled"];
+  return result;
+}
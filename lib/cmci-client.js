@@ -0,0 +1,213 @@
+/**
+ * CICS CMCI REST client
+ *
+ * Client for the CICS management client interface (CMCI) of a CICSPlex SM
+ * WUI server or a single CICS region, with its own authentication and TLS
+ * settings like the z/OSMF client. Auth modes: basic and mTLS. CMCI answers
+ * in XML: a result summary (CPSM response code and record count) and one
+ * element per resource record, whose attributes are the resource's fields.
+ * Requests run under the "CICS CMCI" backend policy from lib/resilience.js.
+ */
+
+import { getBackend, resiliencePolicy } from "./resilience.js";
+import { createHttpClient } from "./http-client.js";
+import { toolError } from "./errors.js";
+
+export const CMCI_AUTH_MODES = ["basic", "mtls"];
+
+const CMCI_PATH = "/CICSSystemManagement";
+
+/**
+ * Read the CMCI connection settings from the environment. `context` is the
+ * CICSplex (or, for a single region's CMCI, its APPLID); `scope` the default
+ * region or CICS system group within it. Throws when the chosen auth mode is
+ * missing something it needs.
+ */
+export function cmciConfig(env = process.env) {
+  const auth = (env.CICS_CMCI_AUTH || (env.CICS_CMCI_CERT && !env.CICS_CMCI_USERNAME ? "mtls" : "basic")).toLowerCase();
+  if (!CMCI_AUTH_MODES.includes(auth)) {
+    throw new Error(`Unknown CICS_CMCI_AUTH "${auth}". Use one of ${CMCI_AUTH_MODES.join(", ")}.`);
+  }
+
+  const config = {
+    url: env.CICS_CMCI_URL?.replace(/\/+$/, ""),
+    context: env.CICS_CMCI_CONTEXT?.toUpperCase(),
+    scope: env.CICS_CMCI_SCOPE?.toUpperCase() || undefined,
+    auth,
+    username: env.CICS_CMCI_USERNAME,
+    password: env.CICS_CMCI_PASSWORD,
+    cert: env.CICS_CMCI_CERT,
+    key: env.CICS_CMCI_KEY,
+    passphrase: env.CICS_CMCI_KEY_PASSPHRASE,
+    caFile: env.CICS_CMCI_CA_FILE,
+    servername: env.CICS_CMCI_SERVERNAME,
+  };
+
+  if (!config.context) {
+    throw new Error("CICS_CMCI_CONTEXT must name the CICSplex (or the region APPLID for a single-region CMCI)");
+  }
+  if (auth === "basic" && !(config.username && config.password)) {
+    throw new Error("CICS_CMCI_AUTH=basic needs CICS_CMCI_USERNAME and CICS_CMCI_PASSWORD");
+  }
+  if (auth === "mtls" && !(config.cert && config.key)) {
+    throw new Error("CICS_CMCI_AUTH=mtls needs CICS_CMCI_CERT and CICS_CMCI_KEY");
+  }
+  if (Boolean(config.cert) !== Boolean(config.key)) {
+    throw new Error("Set both CICS_CMCI_CERT and CICS_CMCI_KEY for a client certificate");
+  }
+  return config;
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name.startsWith("#x") || name.startsWith("#X")) {
+      return String.fromCodePoint(parseInt(name.slice(2), 16));
+    }
+    if (name.startsWith("#")) {
+      return String.fromCodePoint(Number(name.slice(1)));
+    }
+    return ENTITIES[name] ?? entity;
+  });
+}
+
+export function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, char => `&${Object.keys(ENTITIES).find(name => ENTITIES[name] === char)};`);
+}
+
+function attributes(text) {
+  const result = {};
+  for (const [, name, value] of text.matchAll(/([\w:.-]+)\s*=\s*"([^"]*)"/g)) {
+    result[name] = decodeEntities(value);
+  }
+  return result;
+}
+
+/**
+ * The parts of a CMCI response document the tools use: the result summary
+ * attributes, the records of resource table `table` and any `feedback`
+ * elements (per-record errors from an action or update). CMCI documents are
+ * flat (records carry their fields as attributes), so tags are scanned
+ * rather than parsed into a tree.
+ */
+export function parseCmciResponse(text, table) {
+  const response = { summary: {}, records: [], feedback: [] };
+  const recordTag = table?.toLowerCase();
+  for (const [, name, attributeText] of String(text).matchAll(/<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*"[^"]*")*)\s*\/?>/g)) {
+    if (name === "resultsummary") {
+      response.summary = attributes(attributeText);
+    } else if (name === "feedback") {
+      response.feedback.push(attributes(attributeText));
+    } else if (name.toLowerCase() === recordTag) {
+      response.records.push(attributes(attributeText));
+    }
+  }
+  return response;
+}
+
+// CMCI failures carry the CPSM response (NOTPERMIT, INVALIDPARM, ...) in the result summary
+function cmciError(response, endpoint, parsed) {
+  const { api_response1_alt: reason, api_response2_alt: detail } = parsed.summary;
+  const feedback = parsed.feedback
+    .map(item => [item.errorcode && `error ${item.errorcode}`, item.eibfn_alt, item.resp_alt, item.resp2 && `RESP2 ${item.resp2}`]
+      .filter(Boolean).join(" "))
+    .filter(Boolean);
+  const summary = [reason, detail].filter(Boolean).join(" ") || response.text.replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim().slice(0, 200);
+  const error = new Error(`CICS CMCI error ${response.status}: ${summary || "no response summary"}${feedback.length ? ` (${feedback.join("; ")})` : ""}`);
+  error.status = response.status;
+  error.headers = response.headers;
+  error.body = response.text;
+  error.endpoint = endpoint;
+  error.cpsmResponse = reason;
+  error.feedback = parsed.feedback;
+  return error;
+}
+
+// Only queries are retried; repeating an action such as NEWCOPY is not safe
+const IDEMPOTENT_METHODS = ["GET"];
+
+/**
+ * Create a client for one CMCI server. `request(table, options)` addresses
+ * `/CICSSystemManagement/<table>/<context>/<scope>[//<count>]` and resolves to
+ * `{ summary, records, feedback }`. A NODATA response (no matching records)
+ * is an empty result, not an error; other CPSM responses than OK throw
+ * `CICS CMCI error <status>: <CPSM response>`.
+ */
+export function createCmciClient(config) {
+  const connection = createHttpClient(config, { prefix: "CICS_CMCI", server: "CMCI" });
+  const backend = getBackend("CICS CMCI", {
+    policy: resiliencePolicy("CICS_CMCI"),
+    retryStatuses: [429, 502, 503, 504],
+  });
+
+  return {
+    config,
+    backend,
+
+    async request(table, { method = "GET", context = config.context, scope, criteria, parameter, count, body } = {}) {
+      // The CICSplex name as scope means every region in it
+      const regionScope = scope || config.scope || context;
+      let endpoint = `${CMCI_PATH}/${table}/${encodeURIComponent(context)}/${encodeURIComponent(regionScope)}`;
+      if (count) {
+        endpoint += `//${count}`;
+      }
+      const search = new URLSearchParams(Object.entries({ CRITERIA: criteria, PARAMETER: parameter })
+        .filter(([, value]) => value)).toString();
+      const url = `${config.url}${endpoint}${search ? `?${search}` : ""}`;
+
+      const headers = { Accept: "application/xml" };
+      if (config.auth === "basic") {
+        headers["Authorization"] = `Basic ${Buffer.from(`${config.username}:${config.password}`).toString("base64")}`;
+      }
+      if (body) {
+        headers["Content-Type"] = "application/xml";
+        headers["Content-Length"] = Buffer.byteLength(body);
+      }
+
+      return backend.execute(`${method} ${table}`, async (signal) => {
+        const response = await connection.send(url, { method, headers, body, signal });
+        const parsed = parseCmciResponse(response.text, table);
+        const reason = parsed.summary.api_response1_alt;
+        if (reason === "NODATA") {
+          return { ...parsed, records: [] };
+        }
+        if (response.status < 200 || response.status >= 300 || (reason && reason !== "OK")) {
+          throw cmciError(response, endpoint, parsed);
+        }
+        return parsed;
+      }, { idempotent: IDEMPOTENT_METHODS.includes(method) });
+    },
+
+    // Connection settings without secrets
+    describe() {
+      return {
+        url: config.url,
+        context: config.context,
+        scope: config.scope || null,
+        auth: config.auth,
+        user: config.username || null,
+        clientCertificate: Boolean(config.cert),
+        caFile: config.caFile || null,
+        servername: config.servername || null,
+      };
+    },
+
+    close() {
+      connection.close();
+    },
+  };
+}
+
+/**
+ * Reject criteria values CMCI would misparse: the CRITERIA string is built
+ * from `ATTRIBUTE=value` terms joined by AND, so values may use the * and +
+ * wildcards but not spaces, quotes or parentheses.
+ */
+export function criteriaValue(value, field) {
+  const text = String(value ?? "").trim();
+  if (!text || /[\s()'"]/.test(text)) {
+    throw toolError(`${field} "${value}" may not be empty or contain spaces, quotes or parentheses`, { category: "invalid_request" });
+  }
+  return text;
+}
@@ -0,0 +1,74 @@
+/**
+ * Two-phase confirmation for destructive operations
+ *
+ * The first call to a destructive tool returns an impact summary and a
+ * short-lived token. Only a second call presenting that token, from the same
+ * client and for the same action, target and parameters, performs the
+ * operation. Tokens are single use and held in memory only, so they do not
+ * survive a server restart.
+ */
+
+import crypto from "crypto";
+
+export const CONFIRMATION_TTL_MS = Number(process.env.CONFIRMATION_TTL_SECONDS || 300) * 1000;
+
+const pending = new Map();
+
+// Bind a token to exactly what was summarized, and to whom, so it cannot be replayed elsewhere
+function fingerprint(action, target, params, client) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([client ?? null, action, target, params ?? null]))
+    .digest("hex");
+}
+
+function sweep(now = Date.now()) {
+  for (const [token, entry] of pending) {
+    if (entry.expiresAt <= now) {
+      pending.delete(token);
+    }
+  }
+}
+
+/**
+ * Issue a confirmation token for `action` on `target`, spendable only by `client`.
+ * @returns {{ confirmationToken: string, expiresAt: string }}
+ */
+export function issueConfirmation(action, target, params, client) {
+  sweep();
+  const token = crypto.randomBytes(9).toString("base64url");
+  const expiresAt = Date.now() + CONFIRMATION_TTL_MS;
+  pending.set(token, { fingerprint: fingerprint(action, target, params, client), expiresAt });
+  return { confirmationToken: token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Validate and consume a token. Throws if it is unknown, expired or was
+ * issued to a different client or for a different action, target or
+ * parameters.
+ */
+export function consumeConfirmation(token, action, target, params, client) {
+  sweep();
+  const entry = pending.get(token);
+  if (!entry) {
+    throw new Error("Confirmation token is invalid or has expired. Call the tool again without confirmation_token to get a new impact summary.");
+  }
+  pending.delete(token);
+  if (entry.fingerprint !== fingerprint(action, target, params, client)) {
+    throw new Error(`Confirmation token was not issued to this client for ${action} on ${target} with these parameters. Request a new token.`);
+  }
+}
+
+/**
+ * Build the first-phase tool response for a destructive action.
+ */
+export function confirmationRequired(tool, action, target, params, impact, client) {
+  return {
+    status: "confirmation_required",
+    action,
+    target,
+    impact,
+    ...issueConfirmation(action, target, params, client),
+    instructions: `Review the impact above. To proceed, call ${tool} again with the same arguments plus confirmation_token.`,
+  };
+}
@@ -0,0 +1,877 @@
+/**
+ * COBOL copybook parser and record codec
+ *
+ * Parses record layouts (PIC X/A/9/S9/V, edited pictures, USAGE DISPLAY /
+ * COMP / COMP-3 / COMP-5, SIGN clauses, OCCURS, OCCURS DEPENDING ON,
+ * REDEFINES, VALUE and level 88 conditions) into a field tree with offsets
+ * and lengths, derives a JSON Schema and sample payload from it, and
+ * encodes/decodes fixed-width EBCDIC records to and from JSON.
+ */
+
+import {
+  decodeText,
+  encodeText,
+  encodePacked,
+  decodePacked,
+  packedLength,
+  encodeZoned,
+  decodeZoned,
+  encodeBinary,
+  decodeBinary,
+  binaryLength,
+} from "./ebcdic.js";
+import { toolError } from "./errors.js";
+
+const USAGES = {
+  DISPLAY: "display",
+  COMP: "binary",
+  "COMP-4": "binary",
+  "COMP-5": "binary",
+  BINARY: "binary",
+  COMPUTATIONAL: "binary",
+  "COMPUTATIONAL-4": "binary",
+  "COMPUTATIONAL-5": "binary",
+  "COMP-3": "packed",
+  "COMPUTATIONAL-3": "packed",
+  "PACKED-DECIMAL": "packed",
+};
+
+const UNSUPPORTED_USAGES = ["COMP-1", "COMP-2", "COMPUTATIONAL-1", "COMPUTATIONAL-2", "POINTER", "INDEX", "NATIONAL"];
+
+const FIGURATIVE = {
+  SPACE: "SPACES", SPACES: "SPACES",
+  ZERO: "ZEROS", ZEROS: "ZEROS", ZEROES: "ZEROS",
+  "LOW-VALUE": "LOW-VALUES", "LOW-VALUES": "LOW-VALUES",
+  "HIGH-VALUE": "HIGH-VALUES", "HIGH-VALUES": "HIGH-VALUES",
+};
+
+// ============ Source handling ============
+
+/**
+ * Strip sequence numbers (columns 1-6), the indicator column (7) and the
+ * identification area (73-80) from fixed-format lines; drop comment lines.
+ */
+function sourceText(text) {
+  const lines = [];
+  for (const raw of text.replace(/\t/g, " ").split(/\r?\n/)) {
+    let line = raw;
+    if (/^(\d{6}| {6})[ *\/D-]/.test(raw)) {
+      if (raw[6] === "*" || raw[6] === "/") {
+        continue;
+      }
+      line = raw.slice(7, 72);
+    } else if (/^\s*\*/.test(raw)) {
+      continue;
+    }
+    lines.push(line.replace(/\*>.*$/, ""));
+  }
+  return lines.join("\n");
+}
+
+// Words, quoted literals and the periods that end each entry
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s|,|;/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === "'" || ch === "\"") {
+      let literal = "";
+      i++;
+      while (i < text.length) {
+        if (text[i] === ch && text[i + 1] === ch) {
+          literal += ch;
+          i += 2;
+        } else if (text[i] === ch) {
+          i++;
+          break;
+        } else {
+          literal += text[i++];
+        }
+      }
+      tokens.push({ literal });
+      continue;
+    }
+    let word = "";
+    while (i < text.length && !/\s|'|"/.test(text[i])) {
+      word += text[i++];
+    }
+    // A period followed by a space or the end of the text closes the entry
+    const period = word.endsWith(".");
+    word = word.replace(/\.+$/, "").replace(/[,;]+$/, "");
+    if (word) {
+      tokens.push(word);
+    }
+    if (period) {
+      tokens.push(".");
+    }
+  }
+  return tokens;
+}
+
+function splitEntries(tokens) {
+  const entries = [];
+  let current = [];
+  for (const token of tokens) {
+    if (token === ".") {
+      if (current.length) {
+        entries.push(current);
+      }
+      current = [];
+    } else {
+      current.push(token);
+    }
+  }
+  if (current.length) {
+    entries.push(current);
+  }
+  return entries;
+}
+
+// ============ Entry parsing ============
+
+function isWord(token, ...words) {
+  return typeof token === "string" && words.includes(token.toUpperCase());
+}
+
+function literalValue(token) {
+  if (token && typeof token === "object") {
+    return token.literal;
+  }
+  const upper = String(token).toUpperCase();
+  if (FIGURATIVE[upper]) {
+    return { figurative: FIGURATIVE[upper] };
+  }
+  if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+    return Number(token);
+  }
+  return token;
+}
+
+// Expand X(5)9(3)V99 and record the pieces that matter for storage
+export function parsePicture(picture) {
+  const expanded = picture.toUpperCase().replace(/(.)\((\d+)\)/g, (_, ch, n) => ch.repeat(Number(n)));
+  const edited = /[Z*+\-.,B0\/$]|CR|DB/.test(expanded.replace(/^S/, ""));
+
+  if (/^[XA]+$/.test(expanded)) {
+    return { kind: "alphanumeric", length: expanded.length };
+  }
+  if (/^S?[9P]*V?[9P]*$/.test(expanded) && /9/.test(expanded)) {
+    const [integer, fraction = ""] = expanded.replace(/^S/, "").split("V");
+    return {
+      kind: "numeric",
+      signed: expanded.startsWith("S"),
+      digits: (integer + fraction).replace(/P/g, "").length,
+      scale: fraction.replace(/P/g, "").length,
+    };
+  }
+  if (edited) {
+    const length = expanded.replace(/CR|DB/g, "..").replace(/V/g, "").length;
+    return { kind: "edited", length };
+  }
+  throw toolError(`Unsupported PICTURE ${picture}`, { category: "invalid_request" });
+}
+
+function parseEntry(tokens, line) {
+  const where = () => `entry ${line} (${tokens.map(t => typeof t === "object" ? `'${t.literal}'` : t).join(" ")})`;
+  const level = Number(tokens[0]);
+  if (!Number.isInteger(level)) {
+    if (isWord(tokens[0], "COPY")) {
+      throw toolError(`COPY statements are not expanded; paste the copied member instead (${where()})`, {
+        category: "invalid_request",
+      });
+    }
+    throw toolError(`Expected a level number at ${where()}`, { category: "invalid_request" });
+  }
+
+  const entry = { level, name: null, conditions: [] };
+  let i = 1;
+  if (tokens[i] && typeof tokens[i] === "string" && !isClause(tokens[i])) {
+    entry.name = tokens[i].toUpperCase();
+    i++;
+  }
+  if (!entry.name || entry.name === "FILLER") {
+    entry.name = null;
+  }
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+    const word = typeof token === "string" ? token.toUpperCase() : null;
+
+    if (word === "PIC" || word === "PICTURE") {
+      i += isWord(tokens[i + 1], "IS") ? 2 : 1;
+      entry.picture = tokens[i++];
+    } else if (word === "USAGE") {
+      i += isWord(tokens[i + 1], "IS") ? 2 : 1;
+    } else if (USAGES[word]) {
+      entry.usage = USAGES[word];
+      i++;
+    } else if (UNSUPPORTED_USAGES.includes(word)) {
+      throw toolError(`USAGE ${word} is not supported (${where()})`, { category: "invalid_request" });
+    } else if (word === "SIGN") {
+      i += isWord(tokens[i + 1], "IS") ? 2 : 1;
+    } else if (word === "LEADING" || word === "TRAILING") {
+      entry.signLeading = word === "LEADING";
+      i++;
+      if (isWord(tokens[i], "SEPARATE")) {
+        entry.signSeparate = true;
+        i += isWord(tokens[i + 1], "CHARACTER") ? 2 : 1;
+      }
+    } else if (word === "OCCURS") {
+      const first = Number(tokens[i + 1]);
+      i += 2;
+      let min = first;
+      let max = first;
+      if (isWord(tokens[i], "TO")) {
+        max = Number(tokens[i + 1]);
+        i += 2;
+      }
+      if (isWord(tokens[i], "TIMES")) {
+        i++;
+      }
+      let dependingOn = null;
+      if (isWord(tokens[i], "DEPENDING")) {
+        i += isWord(tokens[i + 1], "ON") ? 2 : 1;
+        dependingOn = tokens[i++].toUpperCase();
+      }
+      if (!Number.isInteger(min) || !Number.isInteger(max) || max < 1 || min > max) {
+        throw toolError(`Invalid OCCURS clause at ${where()}`, { category: "invalid_request" });
+      }
+      entry.occurs = { min: dependingOn ? min : max, max, dependingOn };
+      // ASCENDING/DESCENDING KEY and INDEXED BY do not affect storage
+      while (i < tokens.length && isWord(tokens[i], "ASCENDING", "DESCENDING", "KEY", "IS", "INDEXED", "BY")) {
+        i++;
+        while (i < tokens.length && typeof tokens[i] === "string" && !isClause(tokens[i])) {
+          i++;
+        }
+      }
+    } else if (word === "REDEFINES") {
+      entry.redefines = tokens[i + 1].toUpperCase();
+      i += 2;
+    } else if (word === "VALUE" || word === "VALUES") {
+      i += isWord(tokens[i + 1], "IS", "ARE") ? 2 : 1;
+      const values = [];
+      while (i < tokens.length && !(typeof tokens[i] === "string" && isClause(tokens[i]))) {
+        if (isWord(tokens[i], "THRU", "THROUGH")) {
+          values.push({ thru: literalValue(tokens[i + 1]) });
+          i += 2;
+        } else {
+          values.push(literalValue(tokens[i++]));
+        }
+      }
+      entry.values = values;
+    } else if (word === "RENAMES") {
+      throw toolError(`Level 66 RENAMES is not supported (${where()})`, { category: "invalid_request" });
+    } else if (isWord(token, "JUSTIFIED", "JUST", "RIGHT", "BLANK", "WHEN", "ZERO", "ZEROS", "ZEROES", "SYNC", "SYNCHRONIZED", "GLOBAL", "EXTERNAL")) {
+      i++;
+    } else {
+      throw toolError(`Unexpected "${typeof token === "object" ? token.literal : token}" at ${where()}`, {
+        category: "invalid_request",
+      });
+    }
+  }
+  return entry;
+}
+
+const CLAUSE_WORDS = new Set([
+  "PIC", "PICTURE", "USAGE", "SIGN", "LEADING", "TRAILING", "SEPARATE", "OCCURS",
+  "REDEFINES", "VALUE", "VALUES", "RENAMES", "JUSTIFIED", "JUST", "BLANK", "SYNC",
+  "SYNCHRONIZED", "GLOBAL", "EXTERNAL", "INDEXED", "ASCENDING", "DESCENDING",
+  ...Object.keys(USAGES), ...UNSUPPORTED_USAGES,
+]);
+
+function isClause(word) {
+  return CLAUSE_WORDS.has(word.toUpperCase());
+}
+
+// ============ Layout ============
+
+function conditionValues(values) {
+  const result = [];
+  for (let i = 0; i < values.length; i++) {
+    const next = values[i + 1];
+    if (next && typeof next === "object" && "thru" in next) {
+      result.push({ from: values[i], to: next.thru });
+      i++;
+    } else {
+      result.push(values[i]);
+    }
+  }
+  return result;
+}
+
+function buildTree(entries) {
+  const records = [];
+  const stack = [];
+  let previous = null;
+
+  for (const entry of entries) {
+    if (entry.level === 88) {
+      if (!previous) {
+        throw toolError(`Level 88 ${entry.name} has no field to belong to`, { category: "invalid_request" });
+      }
+      previous.conditions.push({ name: entry.name, values: conditionValues(entry.values || []) });
+      continue;
+    }
+
+    const item = {
+      level: entry.level,
+      name: entry.name,
+      picture: entry.picture,
+      usage: entry.usage,
+      signLeading: entry.signLeading,
+      signSeparate: entry.signSeparate,
+      occurs: entry.occurs || null,
+      redefines: entry.redefines || null,
+      value: entry.values?.[0],
+      conditions: entry.conditions,
+      children: [],
+    };
+    previous = item;
+
+    if (entry.level === 1 || entry.level === 77) {
+      stack.length = 0;
+      records.push(item);
+      stack.push(item);
+      continue;
+    }
+    while (stack.length && stack[stack.length - 1].level >= entry.level) {
+      stack.pop();
+    }
+    if (!stack.length) {
+      // Copybooks often start below 01; give them an implicit record
+      const root = { level: 0, name: null, occurs: null, redefines: null, conditions: [], children: [] };
+      records.push(root);
+      stack.push(root);
+    }
+    stack[stack.length - 1].children.push(item);
+    stack.push(item);
+  }
+  return records;
+}
+
+function finishItem(item, inheritedUsage, path) {
+  item.path = path;
+  const usage = item.usage || inheritedUsage || "display";
+
+  if (item.children.length) {
+    if (item.picture) {
+      throw toolError(`${path}: a group item cannot have a PICTURE`, { category: "invalid_request" });
+    }
+    item.kind = "group";
+    item.usage = usage;
+    let length = 0;
+    let slotStart = 0;
+    for (const child of item.children) {
+      finishItem(child, usage, `${path}.${child.name || "FILLER"}`);
+      if (child.redefines) {
+        const target = item.children.find(c => c.name === child.redefines);
+        if (!target) {
+          throw toolError(`${child.path}: REDEFINES ${child.redefines} does not name an earlier item at this level`, {
+            category: "invalid_request",
+          });
+        }
+        child.offset = target.offset;
+        length = Math.max(length, slotStart + child.size);
+      } else {
+        slotStart = length;
+        child.offset = length;
+        length += child.size;
+      }
+    }
+    item.length = length;
+  } else {
+    if (!item.picture) {
+      throw toolError(`${path}: elementary item needs a PICTURE`, { category: "invalid_request" });
+    }
+    Object.assign(item, parsePicture(item.picture));
+    item.usage = item.kind === "numeric" ? usage : "display";
+    if (item.kind === "numeric") {
+      if (item.usage === "packed") {
+        item.length = packedLength(item.digits);
+      } else if (item.usage === "binary") {
+        item.length = binaryLength(item.digits);
+      } else {
+        item.length = item.digits + (item.signed && item.signSeparate ? 1 : 0);
+      }
+    }
+  }
+  item.size = item.length * (item.occurs ? item.occurs.max : 1);
+}
+
+// Offsets so far are relative to the parent; make them absolute (first occurrence, maximum table sizes)
+function absoluteOffsets(item, base) {
+  item.offset = base + (item.offset || 0);
+  for (const child of item.children) {
+    absoluteOffsets(child, item.offset);
+  }
+}
+
+/**
+ * Parse a copybook. Returns the record layout for `record` (an 01 name) or
+ * the first record, plus the names of every record in the source.
+ */
+export function parseCopybook(text, { record } = {}) {
+  const entries = splitEntries(tokenize(sourceText(text))).map((tokens, i) => parseEntry(tokens, i + 1));
+  if (!entries.length) {
+    throw toolError("Copybook has no data description entries", { category: "invalid_request" });
+  }
+
+  const records = buildTree(entries);
+  const names = records.map(r => r.name).filter(Boolean);
+  const root = record ? records.find(r => r.name === record.toUpperCase()) : records[0];
+  if (!root) {
+    throw toolError(`Record ${record} not found. Records: ${names.join(", ") || "(unnamed)"}`, { category: "invalid_request" });
+  }
+
+  finishItem(root, null, root.name || "RECORD");
+  absoluteOffsets(root, 0);
+  return { name: root.name, records: names, recordLength: root.size, variableLength: hasOdo(root), root };
+}
+
+function hasOdo(item) {
+  return Boolean(item.occurs?.dependingOn) || item.children.some(hasOdo);
+}
+
+// Flat listing of every field with its storage, for display
+export function describeLayout(layout) {
+  const fields = [];
+  const walk = (item) => {
+    fields.push({
+      path: item.path,
+      level: item.level,
+      picture: item.picture,
+      usage: item.kind === "group" ? undefined : item.usage,
+      offset: item.offset,
+      length: item.length,
+      occurs: item.occurs || undefined,
+      redefines: item.redefines || undefined,
+      conditions: item.conditions.length ? item.conditions : undefined,
+    });
+    item.children.forEach(walk);
+  };
+  walk(layout.root);
+  return fields;
+}
+
+// ============ JSON naming ============
+
+export function jsonName(cobolName, naming = "cobol") {
+  switch (naming) {
+    case "camel":
+      return cobolName.toLowerCase().replace(/-([a-z0-9])/g, (_, ch) => ch.toUpperCase());
+    case "underscore":
+      return cobolName.replace(/-/g, "_");
+    case "cobol":
+      return cobolName;
+    default:
+      throw toolError(`Unknown naming ${naming}. Use cobol, camel or underscore.`, { category: "invalid_request" });
+  }
+}
+
+// ============ JSON Schema and sample ============
+
+function numericBounds(item) {
+  const max = Number(`${"9".repeat(item.digits - item.scale) || "0"}.${"9".repeat(item.scale) || "0"}`);
+  return { minimum: item.signed ? -max : 0, maximum: max };
+}
+
+function conditionText(item) {
+  return item.conditions.map(c =>
+    `${c.name}=${c.values.map(v => typeof v === "object" && v !== null && "from" in v ? `${v.from} THRU ${v.to}` : JSON.stringify(v)).join("/")}`
+  ).join(", ");
+}
+
+function elementSchema(item, naming) {
+  let schema;
+  if (item.kind === "group") {
+    const properties = {};
+    for (const child of item.children) {
+      if (child.name) {
+        properties[jsonName(child.name, naming)] = itemSchema(child, naming);
+      }
+    }
+    schema = { type: "object", properties, additionalProperties: false };
+  } else if (item.kind === "numeric") {
+    if (item.digits > 15) {
+      schema = {
+        type: "string",
+        pattern: `^${item.signed ? "-?" : ""}\\d{1,${item.digits - item.scale}}${item.scale ? `(\\.\\d{1,${item.scale}})?` : ""}$`,
+        description: `${item.digits}-digit number, passed as a string to keep its precision`,
+      };
+    } else if (item.scale) {
+      schema = { type: "number", format: "decimal", ...numericBounds(item), multipleOf: Number(`1e-${item.scale}`) };
+    } else {
+      schema = { type: "integer", ...numericBounds(item) };
+    }
+  } else {
+    schema = { type: "string", maxLength: item.length };
+  }
+
+  const notes = item.picture ? [`PIC ${item.picture}`] : [];
+  if (item.kind !== "group" && item.usage !== "display") {
+    notes.push(item.usage === "packed" ? "COMP-3" : "COMP");
+  }
+  if (item.conditions.length) {
+    notes.push(`88: ${conditionText(item)}`);
+  }
+  const description = [schema.description, notes.join(", ")].filter(Boolean).join("; ");
+  if (description) {
+    schema.description = description;
+  }
+  return schema;
+}
+
+function itemSchema(item, naming) {
+  const element = elementSchema(item, naming);
+  if (!item.occurs) {
+    return element;
+  }
+  return {
+    type: "array",
+    items: element,
+    ...(item.occurs.dependingOn && item.occurs.min ? { minItems: item.occurs.min } : {}),
+    maxItems: item.occurs.max,
+    description: item.occurs.dependingOn
+      ? `OCCURS ${item.occurs.min} TO ${item.occurs.max} DEPENDING ON ${item.occurs.dependingOn}`
+      : `OCCURS ${item.occurs.max}`,
+  };
+}
+
+export function toJsonSchema(layout, { naming = "cobol" } = {}) {
+  return {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    title: layout.name || "RECORD",
+    ...elementSchema(layout.root, naming),
+  };
+}
+
+function sampleScalar(item) {
+  const condition = item.conditions[0]?.values[0];
+  const candidate = typeof condition === "object" && condition !== null && "from" in condition ? condition.from : condition;
+  const preferred = candidate ?? (item.value?.figurative ? undefined : item.value);
+  if (item.kind === "numeric") {
+    const value = typeof preferred === "number" ? preferred : 0;
+    return item.digits > 15 ? String(value) : value;
+  }
+  return typeof preferred === "string" ? preferred.slice(0, item.length) : "X".repeat(Math.min(item.length, 8));
+}
+
+function sampleItem(item, naming, counters) {
+  if (item.kind !== "group") {
+    return sampleScalar(item);
+  }
+  const value = {};
+  for (const child of item.children) {
+    if (!child.name || child.redefines) {
+      continue;
+    }
+    const key = jsonName(child.name, naming);
+    if (child.occurs) {
+      const count = child.occurs.dependingOn ? Math.max(1, child.occurs.min) : 1;
+      if (child.occurs.dependingOn) {
+        counters.set(child.occurs.dependingOn, count);
+      }
+      value[key] = Array.from({ length: count }, () => sampleItem(child, naming, counters));
+    } else {
+      value[key] = sampleItem(child, naming, counters);
+    }
+  }
+  return value;
+}
+
+// Keep OCCURS DEPENDING ON counters consistent with the sample arrays
+function applyCounters(item, value, naming, counters) {
+  for (const child of item.children) {
+    if (!child.name || child.redefines || value?.[jsonName(child.name, naming)] === undefined) {
+      continue;
+    }
+    const key = jsonName(child.name, naming);
+    if (counters.has(child.name)) {
+      value[key] = counters.get(child.name);
+    } else if (child.kind === "group") {
+      for (const element of child.occurs ? value[key] : [value[key]]) {
+        applyCounters(child, element, naming, counters);
+      }
+    }
+  }
+}
+
+export function samplePayload(layout, { naming = "cobol" } = {}) {
+  const counters = new Map();
+  const sample = sampleItem(layout.root, naming, counters);
+  applyCounters(layout.root, sample, naming, counters);
+  return sample;
+}
+
+// ============ Encode / decode ============
+
+// Prefix the message with the field path once, at the innermost field
+function fieldError(item, error) {
+  if (error.field) {
+    return error;
+  }
+  const wrapped = toolError(`${item.path}: ${error.message}`, { category: "invalid_request" });
+  wrapped.field = item.path;
+  return wrapped;
+}
+
+function numericOptions(item) {
+  return {
+    digits: item.digits,
+    scale: item.scale,
+    signed: item.signed,
+    leading: item.signLeading,
+    separate: item.signSeparate,
+  };
+}
+
+function figurativeBytes(figurative, item, codePage) {
+  switch (figurative) {
+    case "LOW-VALUES":
+      return Buffer.alloc(item.length, 0x00);
+    case "HIGH-VALUES":
+      return Buffer.alloc(item.length, 0xFF);
+    case "ZEROS":
+      return item.kind === "numeric" ? null : encodeText("0".repeat(item.length), item.length, codePage);
+    default:
+      return item.kind === "numeric" ? null : Buffer.alloc(item.length, 0x40);
+  }
+}
+
+function encodeScalar(item, value, codePage) {
+  if (value && typeof value === "object" && value.figurative) {
+    const bytes = figurativeBytes(value.figurative, item, codePage);
+    if (bytes) {
+      return bytes;
+    }
+    value = 0;
+  }
+  if (item.kind !== "numeric") {
+    return encodeText(value === undefined || value === null ? "" : String(value), item.length, codePage);
+  }
+
+  const number = value === undefined || value === null || value === "" ? 0 : value;
+  if (typeof number !== "number" && typeof number !== "string") {
+    throw toolError(`expected a number, got ${typeof number}`, { category: "invalid_request" });
+  }
+  switch (item.usage) {
+    case "packed":
+      return encodePacked(number, numericOptions(item));
+    case "binary":
+      return encodeBinary(number, numericOptions(item));
+    default:
+      return encodeZoned(number, numericOptions(item));
+  }
+}
+
+function decodeScalar(item, bytes, codePage) {
+  if (item.kind !== "numeric") {
+    return decodeText(bytes, codePage).replace(/[ \u0000]+$/, "");
+  }
+  switch (item.usage) {
+    case "packed":
+      return decodePacked(bytes, numericOptions(item));
+    case "binary":
+      return decodeBinary(bytes, numericOptions(item));
+    default:
+      return decodeZoned(bytes, numericOptions(item));
+  }
+}
+
+// Children grouped into storage slots: an item plus the items that REDEFINE it
+function slots(group) {
+  const result = [];
+  for (const child of group.children) {
+    if (child.redefines) {
+      result[result.length - 1].push(child);
+    } else {
+      result.push([child]);
+    }
+  }
+  return result;
+}
+
+function occurrenceCount(item, counters) {
+  if (!item.occurs.dependingOn) {
+    return item.occurs.max;
+  }
+  const count = counters.get(item.occurs.dependingOn);
+  if (count === undefined) {
+    throw toolError(`DEPENDING ON ${item.occurs.dependingOn} has not been set before this table`, {
+      category: "invalid_request",
+    });
+  }
+  if (count < item.occurs.min || count > item.occurs.max) {
+    throw toolError(`${item.occurs.dependingOn} is ${count}; must be ${item.occurs.min} to ${item.occurs.max}`, {
+      category: "invalid_request",
+    });
+  }
+  return count;
+}
+
+/**
+ * Encode JSON into record bytes. Missing fields are filled from their VALUE
+ * clause, else spaces or zeros. For REDEFINES, the first view present in the
+ * JSON is written. OCCURS DEPENDING ON counters left out of the JSON are set
+ * from the array length.
+ */
+export function encodeRecord(layout, json, { codePage = "037", naming = "cobol" } = {}) {
+  const buffer = Buffer.alloc(layout.root.size, 0x40);
+  const counters = new Map();
+  const counterFields = new Map();
+  let cursor = 0;
+
+  const write = (bytes) => {
+    bytes.copy(buffer, cursor);
+    cursor += bytes.length;
+  };
+
+  const encodeElement = (item, value) => {
+    if (item.kind !== "group") {
+      let bytes;
+      try {
+        bytes = encodeScalar(item, value === undefined ? item.value : value, codePage);
+      } catch (error) {
+        throw fieldError(item, error);
+      }
+      if (item.name) {
+        counterFields.set(item.name, { item, offset: cursor, explicit: value !== undefined });
+        if (item.kind === "numeric") {
+          counters.set(item.name, Number(decodeScalar(item, bytes, codePage)));
+        }
+      }
+      write(bytes);
+      return;
+    }
+    if (value !== undefined && (typeof value !== "object" || value === null || Array.isArray(value))) {
+      throw toolError(`${item.path}: expected an object`, { category: "invalid_request" });
+    }
+    for (const views of slots(item)) {
+      const start = cursor;
+      const chosen = views.find(v => v.name && value?.[jsonName(v.name, naming)] !== undefined) || views[0];
+      encodeItem(chosen, chosen.name ? value?.[jsonName(chosen.name, naming)] : undefined);
+      // A shorter redefining view leaves the rest of the slot as spaces
+      if (views.length > 1) {
+        cursor = Math.max(cursor, start + Math.max(...views.map(v => v.size)));
+      }
+    }
+  };
+
+  const encodeItem = (item, value) => {
+    try {
+      if (!item.occurs) {
+        return encodeElement(item, value);
+      }
+      const items = value === undefined ? [] : value;
+      if (!Array.isArray(items)) {
+        throw toolError("expected an array", { category: "invalid_request" });
+      }
+      if (item.occurs.dependingOn) {
+        const counter = counterFields.get(item.occurs.dependingOn);
+        if (counter && !counter.explicit) {
+          // Counter omitted from the JSON: take it from the array and patch it in place
+          encodeScalar(counter.item, items.length, codePage).copy(buffer, counter.offset);
+          counters.set(item.occurs.dependingOn, items.length);
+        }
+      }
+      const count = occurrenceCount(item, counters);
+      if (items.length > count) {
+        throw toolError(`has ${items.length} entries; ${item.occurs.dependingOn ? `${item.occurs.dependingOn} is ${count}` : `OCCURS ${count}`}`, {
+          category: "invalid_request",
+        });
+      }
+      for (let i = 0; i < count; i++) {
+        encodeElement(item, items[i]);
+      }
+    } catch (error) {
+      throw fieldError(item, error);
+    }
+  };
+
+  encodeElement(layout.root, json);
+  return buffer.subarray(0, cursor);
+}
+
+/**
+ * Decode one record starting at `offset`. Returns the JSON value and the
+ * number of bytes consumed (which varies with OCCURS DEPENDING ON).
+ * Every REDEFINES view is decoded; views whose bytes are not valid for
+ * their type are left out and listed in `warnings`.
+ */
+export function decodeRecord(layout, bytes, { codePage = "037", naming = "cobol", offset = 0 } = {}) {
+  const counters = new Map();
+  const warnings = [];
+  let cursor = offset;
+
+  const take = (item) => {
+    if (cursor + item.length > bytes.length) {
+      throw fieldError(item, new Error(`record ends at byte ${bytes.length}, field needs ${cursor + item.length}`));
+    }
+    const slice = bytes.subarray(cursor, cursor + item.length);
+    cursor += item.length;
+    return slice;
+  };
+
+  const decodeElement = (item) => {
+    if (item.kind !== "group") {
+      let value;
+      try {
+        value = decodeScalar(item, take(item), codePage);
+      } catch (error) {
+        throw fieldError(item, error);
+      }
+      if (item.name && item.kind === "numeric") {
+        counters.set(item.name, Number(value));
+      }
+      return value;
+    }
+    const value = {};
+    for (const views of slots(item)) {
+      const start = cursor;
+      // OCCURS DEPENDING ON cannot sit under REDEFINES, so only single views vary in size
+      let end = views.length > 1 || !views[0].name ? start + Math.max(...views.map(v => v.size)) : start;
+      const failures = [];
+      for (const view of views) {
+        cursor = start;
+        if (!view.name) {
+          continue;
+        }
+        try {
+          value[jsonName(view.name, naming)] = decodeItem(view);
+          end = Math.max(end, cursor);
+        } catch (error) {
+          failures.push(error);
+        }
+      }
+      // With REDEFINES only the view the program actually wrote needs to decode
+      if (failures.length && failures.length === views.filter(v => v.name).length) {
+        throw failures[0];
+      }
+      if (views.length > 1) {
+        failures.forEach(error => warnings.push(`Not decoded: ${error.message}`));
+      }
+      cursor = end;
+    }
+    return value;
+  };
+
+  const decodeItem = (item) => {
+    if (!item.occurs) {
+      return decodeElement(item);
+    }
+    let count;
+    try {
+      count = occurrenceCount(item, counters);
+    } catch (error) {
+      throw fieldError(item, error);
+    }
+    return Array.from({ length: count }, () => decodeElement(item));
+  };
+
+  const value = decodeElement(layout.root);
+  return { value, length: cursor - offset, warnings };
+}
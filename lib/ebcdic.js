@@ -0,0 +1,279 @@
+/**
+ * EBCDIC text and numeric field codecs
+ *
+ * Converts between JavaScript values and the bytes of mainframe record
+ * fields: character data in code pages 037 (US/Canada), 1047 (Latin-1 Open
+ * Systems, the z/OS UNIX default) and 500 (International), zoned decimal
+ * (DISPLAY numerics), packed decimal (COMP-3) and big-endian binary (COMP).
+ *
+ * Numbers are handled as scaled BigInts so 18-digit fields and fixed decimal
+ * places survive the round trip; values wider than 15 digits are returned
+ * as strings.
+ */
+
+import { toolError } from "./errors.js";
+
+// EBCDIC byte -> Latin-1 code point (all three code pages stay within U+0000-U+00FF)
+const CP037 = [
+  0x00, 0x01, 0x02, 0x03, 0x9C, 0x09, 0x86, 0x7F, 0x97, 0x8D, 0x8E, 0x0B, 0x0C, 0x0D, 0x0E, 0x0F, // 0x
+  0x10, 0x11, 0x12, 0x13, 0x9D, 0x85, 0x08, 0x87, 0x18, 0x19, 0x92, 0x8F, 0x1C, 0x1D, 0x1E, 0x1F, // 1x
+  0x80, 0x81, 0x82, 0x83, 0x84, 0x0A, 0x17, 0x1B, 0x88, 0x89, 0x8A, 0x8B, 0x8C, 0x05, 0x06, 0x07, // 2x
+  0x90, 0x91, 0x16, 0x93, 0x94, 0x95, 0x96, 0x04, 0x98, 0x99, 0x9A, 0x9B, 0x14, 0x15, 0x9E, 0x1A, // 3x
+  0x20, 0xA0, 0xE2, 0xE4, 0xE0, 0xE1, 0xE3, 0xE5, 0xE7, 0xF1, 0xA2, 0x2E, 0x3C, 0x28, 0x2B, 0x7C, // 4x
+  0x26, 0xE9, 0xEA, 0xEB, 0xE8, 0xED, 0xEE, 0xEF, 0xEC, 0xDF, 0x21, 0x24, 0x2A, 0x29, 0x3B, 0xAC, // 5x
+  0x2D, 0x2F, 0xC2, 0xC4, 0xC0, 0xC1, 0xC3, 0xC5, 0xC7, 0xD1, 0xA6, 0x2C, 0x25, 0x5F, 0x3E, 0x3F, // 6x
+  0xF8, 0xC9, 0xCA, 0xCB, 0xC8, 0xCD, 0xCE, 0xCF, 0xCC, 0x60, 0x3A, 0x23, 0x40, 0x27, 0x3D, 0x22, // 7x
+  0xD8, 0x61, 0x62, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69, 0xAB, 0xBB, 0xF0, 0xFD, 0xFE, 0xB1, // 8x
+  0xB0, 0x6A, 0x6B, 0x6C, 0x6D, 0x6E, 0x6F, 0x70, 0x71, 0x72, 0xAA, 0xBA, 0xE6, 0xB8, 0xC6, 0xA4, // 9x
+  0xB5, 0x7E, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7A, 0xA1, 0xBF, 0xD0, 0xDD, 0xDE, 0xAE, // Ax
+  0x5E, 0xA3, 0xA5, 0xB7, 0xA9, 0xA7, 0xB6, 0xBC, 0xBD, 0xBE, 0x5B, 0x5D, 0xAF, 0xA8, 0xB4, 0xD7, // Bx
+  0x7B, 0x41, 0x42, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49, 0xAD, 0xF4, 0xF6, 0xF2, 0xF3, 0xF5, // Cx
+  0x7D, 0x4A, 0x4B, 0x4C, 0x4D, 0x4E, 0x4F, 0x50, 0x51, 0x52, 0xB9, 0xFB, 0xFC, 0xF9, 0xFA, 0xFF, // Dx
+  0x5C, 0xF7, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5A, 0xB2, 0xD4, 0xD6, 0xD2, 0xD3, 0xD5, // Ex
+  0x30, 0x31, 0x32, 0x33, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0xB3, 0xDB, 0xDC, 0xD9, 0xDA, 0x9F, // Fx
+];
+
+const CP500 = [
+  0x00, 0x01, 0x02, 0x03, 0x9C, 0x09, 0x86, 0x7F, 0x97, 0x8D, 0x8E, 0x0B, 0x0C, 0x0D, 0x0E, 0x0F, // 0x
+  0x10, 0x11, 0x12, 0x13, 0x9D, 0x85, 0x08, 0x87, 0x18, 0x19, 0x92, 0x8F, 0x1C, 0x1D, 0x1E, 0x1F, // 1x
+  0x80, 0x81, 0x82, 0x83, 0x84, 0x0A, 0x17, 0x1B, 0x88, 0x89, 0x8A, 0x8B, 0x8C, 0x05, 0x06, 0x07, // 2x
+  0x90, 0x91, 0x16, 0x93, 0x94, 0x95, 0x96, 0x04, 0x98, 0x99, 0x9A, 0x9B, 0x14, 0x15, 0x9E, 0x1A, // 3x
+  0x20, 0xA0, 0xE2, 0xE4, 0xE0, 0xE1, 0xE3, 0xE5, 0xE7, 0xF1, 0x5B, 0x2E, 0x3C, 0x28, 0x2B, 0x21, // 4x
+  0x26, 0xE9, 0xEA, 0xEB, 0xE8, 0xED, 0xEE, 0xEF, 0xEC, 0xDF, 0x5D, 0x24, 0x2A, 0x29, 0x3B, 0x5E, // 5x
+  0x2D, 0x2F, 0xC2, 0xC4, 0xC0, 0xC1, 0xC3, 0xC5, 0xC7, 0xD1, 0xA6, 0x2C, 0x25, 0x5F, 0x3E, 0x3F, // 6x
+  0xF8, 0xC9, 0xCA, 0xCB, 0xC8, 0xCD, 0xCE, 0xCF, 0xCC, 0x60, 0x3A, 0x23, 0x40, 0x27, 0x3D, 0x22, // 7x
+  0xD8, 0x61, 0x62, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69, 0xAB, 0xBB, 0xF0, 0xFD, 0xFE, 0xB1, // 8x
+  0xB0, 0x6A, 0x6B, 0x6C, 0x6D, 0x6E, 0x6F, 0x70, 0x71, 0x72, 0xAA, 0xBA, 0xE6, 0xB8, 0xC6, 0xA4, // 9x
+  0xB5, 0x7E, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7A, 0xA1, 0xBF, 0xD0, 0xDD, 0xDE, 0xAE, // Ax
+  0xA2, 0xA3, 0xA5, 0xB7, 0xA9, 0xA7, 0xB6, 0xBC, 0xBD, 0xBE, 0xAC, 0x7C, 0xAF, 0xA8, 0xB4, 0xD7, // Bx
+  0x7B, 0x41, 0x42, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49, 0xAD, 0xF4, 0xF6, 0xF2, 0xF3, 0xF5, // Cx
+  0x7D, 0x4A, 0x4B, 0x4C, 0x4D, 0x4E, 0x4F, 0x50, 0x51, 0x52, 0xB9, 0xFB, 0xFC, 0xF9, 0xFA, 0xFF, // Dx
+  0x5C, 0xF7, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5A, 0xB2, 0xD4, 0xD6, 0xD2, 0xD3, 0xD5, // Ex
+  0x30, 0x31, 0x32, 0x33, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0xB3, 0xDB, 0xDC, 0xD9, 0xDA, 0x9F, // Fx
+];
+
+// 1047 is 037 with six characters moved: [ ] ^ ¬ Ý ¨
+const CP1047 = [...CP037];
+for (const [byte, codePoint] of [[0x5F, 0x5E], [0xAD, 0x5B], [0xB0, 0xAC], [0xBA, 0xDD], [0xBB, 0xA8], [0xBD, 0x5D]]) {
+  CP1047[byte] = codePoint;
+}
+
+function reverse(table) {
+  const map = new Map();
+  table.forEach((codePoint, byte) => map.set(codePoint, byte));
+  return map;
+}
+
+const CODE_PAGES = {
+  "037": { decode: CP037, encode: reverse(CP037) },
+  "1047": { decode: CP1047, encode: reverse(CP1047) },
+  "500": { decode: CP500, encode: reverse(CP500) },
+};
+
+export const CODE_PAGE_NAMES = Object.keys(CODE_PAGES);
+
+function codePage(name = "037") {
+  const page = CODE_PAGES[String(name).replace(/^(cp|ibm-?)/i, "")];
+  if (!page) {
+    throw toolError(`Unsupported EBCDIC code page ${name}. Use one of ${CODE_PAGE_NAMES.join(", ")}`, {
+      category: "invalid_request",
+    });
+  }
+  return page;
+}
+
+export function decodeText(bytes, codePageName) {
+  const { decode } = codePage(codePageName);
+  return String.fromCharCode(...Array.from(bytes, b => decode[b]));
+}
+
+/**
+ * Encode text into exactly `length` bytes, padded with EBCDIC spaces.
+ * Throws if the text is too long or has characters outside the code page.
+ */
+export function encodeText(text, length, codePageName) {
+  const { encode } = codePage(codePageName);
+  const chars = [...String(text)];
+  if (chars.length > length) {
+    throw toolError(`"${text}" is ${chars.length} characters; the field holds ${length}`, { category: "invalid_request" });
+  }
+  const bytes = Buffer.alloc(length, 0x40);
+  chars.forEach((ch, i) => {
+    const byte = encode.get(ch.codePointAt(0));
+    if (byte === undefined) {
+      throw toolError(`Character "${ch}" cannot be represented in code page ${codePageName}`, { category: "invalid_request" });
+    }
+    bytes[i] = byte;
+  });
+  return bytes;
+}
+
+// ============ Decimal helpers ============
+
+// "-12.3" with scale 2 -> -1230n
+export function toScaledBigInt(value, scale) {
+  const text = typeof value === "number"
+    ? value.toLocaleString("en-US", { useGrouping: false, maximumFractionDigits: 20 })
+    : String(value).trim();
+  const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    throw toolError(`"${value}" is not a number`, { category: "invalid_request" });
+  }
+  const fraction = match[3] || "";
+  if (fraction.replace(/0+$/, "").length > scale) {
+    throw toolError(`${value} has more than ${scale} decimal places`, { category: "invalid_request" });
+  }
+  const digits = `${match[2] || "0"}${fraction.padEnd(scale, "0").slice(0, scale)}`;
+  const magnitude = BigInt(digits);
+  return match[1] === "-" ? -magnitude : magnitude;
+}
+
+// -1230n with scale 2 -> -12.3 (or "-12.30" past 15 digits)
+export function fromScaledBigInt(scaled, scale, digits) {
+  const negative = scaled < 0n;
+  const text = (negative ? -scaled : scaled).toString().padStart(scale + 1, "0");
+  const decimal = scale ? `${text.slice(0, -scale)}.${text.slice(-scale)}` : text;
+  const signed = `${negative ? "-" : ""}${decimal}`;
+  return digits > 15 ? signed : Number(signed);
+}
+
+function checkRange(scaled, digits, signed, value) {
+  if (!signed && scaled < 0n) {
+    throw toolError(`${value} is negative but the field is unsigned`, { category: "invalid_request" });
+  }
+  if ((scaled < 0n ? -scaled : scaled) >= 10n ** BigInt(digits)) {
+    throw toolError(`${value} does not fit in ${digits} digit(s)`, { category: "invalid_request" });
+  }
+}
+
+// ============ Packed decimal (COMP-3) ============
+
+export function packedLength(digits) {
+  return Math.floor(digits / 2) + 1;
+}
+
+export function encodePacked(value, { digits, scale = 0, signed = true }) {
+  const scaled = toScaledBigInt(value, scale);
+  checkRange(scaled, digits, signed, value);
+  const length = packedLength(digits);
+  const nibbles = (scaled < 0n ? -scaled : scaled).toString().padStart(length * 2 - 1, "0");
+  const sign = !signed ? 0xF : scaled < 0n ? 0xD : 0xC;
+
+  const bytes = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) {
+    const high = Number(nibbles[i * 2]);
+    const low = i === length - 1 ? sign : Number(nibbles[i * 2 + 1]);
+    bytes[i] = (high << 4) | low;
+  }
+  return bytes;
+}
+
+export function decodePacked(bytes, { digits, scale = 0 }) {
+  const invalid = () => toolError(`Invalid packed decimal ${Buffer.from(bytes).toString("hex").toUpperCase()}`, {
+    category: "invalid_request",
+  });
+  let text = "";
+  bytes.forEach((byte, i) => {
+    const nibbles = i === bytes.length - 1 ? [byte >> 4] : [byte >> 4, byte & 0x0F];
+    for (const nibble of nibbles) {
+      if (nibble > 9) {
+        throw invalid();
+      }
+      text += nibble;
+    }
+  });
+  const sign = bytes[bytes.length - 1] & 0x0F;
+  if (sign < 0xA) {
+    throw invalid();
+  }
+  const magnitude = BigInt(text);
+  // B and D are the negative sign nibbles
+  return fromScaledBigInt(sign === 0xB || sign === 0xD ? -magnitude : magnitude, scale, digits);
+}
+
+// ============ Zoned decimal (DISPLAY) ============
+
+/**
+ * Zoned decimal: one digit per byte (0xF0-0xF9), sign carried in the zone of
+ * the last (or first, for SIGN LEADING) digit, or in a separate +/- byte.
+ */
+export function encodeZoned(value, { digits, scale = 0, signed = false, leading = false, separate = false }) {
+  const scaled = toScaledBigInt(value, scale);
+  checkRange(scaled, digits, signed, value);
+  const negative = scaled < 0n;
+  const bytes = Buffer.from([...(negative ? -scaled : scaled).toString().padStart(digits, "0")].map(d => 0xF0 + Number(d)));
+
+  if (!signed) {
+    return bytes;
+  }
+  if (separate) {
+    const sign = Buffer.from([negative ? 0x60 : 0x4E]);
+    return leading ? Buffer.concat([sign, bytes]) : Buffer.concat([bytes, sign]);
+  }
+  const index = leading ? 0 : bytes.length - 1;
+  bytes[index] = ((negative ? 0xD : 0xC) << 4) | (bytes[index] & 0x0F);
+  return bytes;
+}
+
+export function decodeZoned(bytes, { digits, scale = 0, signed = false, leading = false, separate = false }) {
+  let data = bytes;
+  let negative = false;
+  if (signed && separate) {
+    const signByte = leading ? bytes[0] : bytes[bytes.length - 1];
+    if (signByte !== 0x4E && signByte !== 0x60) {
+      throw toolError(`Invalid separate sign byte ${signByte.toString(16).toUpperCase()}`, { category: "invalid_request" });
+    }
+    negative = signByte === 0x60;
+    data = leading ? bytes.subarray(1) : bytes.subarray(0, -1);
+  }
+
+  let text = "";
+  data.forEach((byte, i) => {
+    const zone = byte >> 4;
+    const digit = byte & 0x0F;
+    const signPosition = signed && !separate && i === (leading ? 0 : data.length - 1);
+    if (digit > 9 || (!signPosition && zone !== 0xF)) {
+      throw toolError(`Invalid zoned decimal ${Buffer.from(bytes).toString("hex").toUpperCase()}`, {
+        category: "invalid_request",
+      });
+    }
+    if (signPosition) {
+      negative = zone === 0xD || zone === 0xB;
+    }
+    text += digit;
+  });
+  const magnitude = BigInt(text);
+  return fromScaledBigInt(negative ? -magnitude : magnitude, scale, digits);
+}
+
+// ============ Binary (COMP, COMP-4, COMP-5, BINARY) ============
+
+export function binaryLength(digits) {
+  return digits <= 4 ? 2 : digits <= 9 ? 4 : 8;
+}
+
+export function encodeBinary(value, { digits, scale = 0, signed = true }) {
+  const scaled = toScaledBigInt(value, scale);
+  checkRange(scaled, digits, signed, value);
+  const length = binaryLength(digits);
+  const bytes = Buffer.alloc(length);
+  const bits = BigInt(length * 8);
+  let unsigned = scaled < 0n ? (1n << bits) + scaled : scaled;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = Number(unsigned & 0xFFn);
+    unsigned >>= 8n;
+  }
+  return bytes;
+}
+
+export function decodeBinary(bytes, { digits, scale = 0, signed = true }) {
+  let value = 0n;
+  for (const byte of bytes) {
+    value = (value << 8n) | BigInt(byte);
+  }
+  const bits = BigInt(bytes.length * 8);
+  if (signed && value >= 1n << (bits - 1n)) {
+    value -= 1n << bits;
+  }
+  return fromScaledBigInt(value, scale, digits);
+}
@@ -0,0 +1,124 @@
+/**
+ * Envelope encryption helpers
+ *
+ * Data is encrypted locally with a fresh AES-256-GCM data encryption key (DEK).
+ * The DEK is then wrapped by a Key Protect root key and stored alongside the
+ * ciphertext in a self-describing, versioned JSON envelope.
+ */
+
+import crypto from "crypto";
+
+export const ENVELOPE_VERSION = 1;
+export const ENVELOPE_ALGORITHM = "AES-256-GCM";
+
+const DEK_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Generate a random 256-bit data encryption key
+export function generateDek() {
+  return crypto.randomBytes(DEK_BYTES);
+}
+
+// GCM additional data is derived from the same AAD list sent to Key Protect
+function gcmAad(aad) {
+  return aad && aad.length ? Buffer.from(JSON.stringify(aad), "utf8") : null;
+}
+
+export function encryptWithDek(dek, data, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv("aes-256-gcm", dek, iv, { authTagLength: TAG_BYTES });
+  const additional = gcmAad(aad);
+  if (additional) {
+    cipher.setAAD(additional);
+  }
+
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+export function decryptWithDek(dek, { iv, tag, ciphertext }, aad) {
+  // A truncated tag would still verify and weaken forgery resistance, so only full tags are accepted
+  if (tag.length !== TAG_BYTES) {
+    throw new Error(`Envelope decryption failed: authentication tag must be ${TAG_BYTES} bytes, got ${tag.length}`);
+  }
+  const decipher = crypto.createDecipheriv("aes-256-gcm", dek, iv, { authTagLength: TAG_BYTES });
+  const additional = gcmAad(aad);
+  if (additional) {
+    decipher.setAAD(additional);
+  }
+  decipher.setAuthTag(tag);
+
+  try {
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  } catch {
+    throw new Error("Envelope decryption failed: authentication tag mismatch (wrong DEK, AAD or tampered ciphertext)");
+  }
+}
+
+/**
+ * Build a versioned envelope from the encryption output and wrap response.
+ * `encoding` records how the plaintext should be returned on decrypt.
+ */
+export function buildEnvelope({ keyId, keyVersion, wrappedDek, aad, encoding, encrypted }) {
+  return {
+    version: ENVELOPE_VERSION,
+    algorithm: ENVELOPE_ALGORITHM,
+    keyId,
+    keyVersion: keyVersion || null,
+    wrappedDek,
+    iv: encrypted.iv.toString("base64"),
+    tag: encrypted.tag.toString("base64"),
+    aad: aad || [],
+    encoding,
+    ciphertext: encrypted.ciphertext.toString("base64"),
+  };
+}
+
+/**
+ * Parse and validate an envelope given as an object or JSON string.
+ */
+export function parseEnvelope(input) {
+  let envelope = input;
+  if (typeof input === "string") {
+    try {
+      envelope = JSON.parse(input);
+    } catch {
+      throw new Error("Invalid envelope: not valid JSON");
+    }
+  }
+
+  if (!envelope || typeof envelope !== "object") {
+    throw new Error("Invalid envelope: expected a JSON object");
+  }
+  if (envelope.version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported envelope version: ${envelope.version} (expected ${ENVELOPE_VERSION})`);
+  }
+  if (envelope.algorithm !== ENVELOPE_ALGORITHM) {
+    throw new Error(`Unsupported envelope algorithm: ${envelope.algorithm}`);
+  }
+  for (const field of ["keyId", "wrappedDek", "iv", "tag", "ciphertext"]) {
+    if (typeof envelope[field] !== "string" || !envelope[field]) {
+      throw new Error(`Invalid envelope: missing "${field}"`);
+    }
+  }
+
+  const encrypted = {
+    iv: Buffer.from(envelope.iv, "base64"),
+    tag: Buffer.from(envelope.tag, "base64"),
+    ciphertext: Buffer.from(envelope.ciphertext, "base64"),
+  };
+  if (encrypted.iv.length !== IV_BYTES) {
+    throw new Error(`Invalid envelope: "iv" must be ${IV_BYTES} bytes, got ${encrypted.iv.length}`);
+  }
+  if (encrypted.tag.length !== TAG_BYTES) {
+    throw new Error(`Invalid envelope: "tag" must be ${TAG_BYTES} bytes, got ${encrypted.tag.length}`);
+  }
+
+  return {
+    ...envelope,
+    aad: Array.isArray(envelope.aad) ? envelope.aad : [],
+    encoding: envelope.encoding || "utf8",
+    encrypted,
+  };
+}
@@ -0,0 +1,349 @@
+/**
+ * Structured tool errors
+ *
+ * Turns anything thrown by a tool handler into an MCP `isError: true` result
+ * carrying the backend, HTTP status, KMS reason code or z/OS Connect message
+ * ID, correlation ID, any CICS abend code or IMS status found in the response
+ * body, and the cause and solutions of the matching TROUBLESHOOTING.md
+ * section, so the remediation steps are written down in one place only.
+ */
+
+import fs from "fs";
+
+const TROUBLESHOOTING_URL = new URL("../TROUBLESHOOTING.md", import.meta.url);
+
+// Response headers that carry a request or trace ID, in order of preference
+const CORRELATION_HEADERS = [
+  "correlation-id",
+  "x-correlation-id",
+  "x-request-id",
+  "x-global-transaction-id",
+];
+
+/**
+ * Error with a category, backend and TROUBLESHOOTING.md heading, for
+ * failures detected before any call is made (e.g. missing configuration).
+ */
+export function toolError(message, { category, backend, topic } = {}) {
+  const error = new Error(message);
+  error.category = category;
+  error.backend = backend;
+  error.topic = topic;
+  return error;
+}
+
+// GitHub's heading anchors: lower case, punctuation dropped, spaces to hyphens
+function anchor(heading) {
+  return heading.toLowerCase().replace(/[^a-z0-9 _-]/g, "").replace(/ /g, "-");
+}
+
+let sections = null;
+
+// "### heading" -> { cause, steps } from TROUBLESHOOTING.md, read once
+function troubleshootingSections() {
+  if (sections) {
+    return sections;
+  }
+  sections = new Map();
+  let text;
+  try {
+    text = fs.readFileSync(TROUBLESHOOTING_URL, "utf8");
+  } catch {
+    return sections;
+  }
+
+  let current = null;
+  let inCode = false;
+  for (const line of text.split(/\r?\n/)) {
+    if (line.trimStart().startsWith("```")) {
+      inCode = !inCode;
+      continue;
+    }
+    if (inCode) {
+      continue;
+    }
+    const heading = line.match(/^###\s+(.*)$/);
+    if (heading) {
+      current = { heading: heading[1].trim(), cause: null, steps: [] };
+      sections.set(current.heading, current);
+      continue;
+    }
+    if (/^#{1,2}\s/.test(line)) {
+      current = null;
+      continue;
+    }
+    if (!current) {
+      continue;
+    }
+    const cause = line.match(/^\*\*Cause\*\*:\s*(.*)$/);
+    const solution = line.match(/^\*\*Solution\*\*:\s*(\S.*)$/);
+    const step = line.match(/^\d+\.\s+(.*)$/);
+    if (cause) {
+      current.cause = cause[1].trim();
+    } else if (solution) {
+      current.steps.push(solution[1].trim());
+    } else if (step) {
+      current.steps.push(step[1].trim());
+    }
+  }
+  return sections;
+}
+
+function remediation(heading) {
+  const section = troubleshootingSections().get(heading);
+  if (!section) {
+    return undefined;
+  }
+  return {
+    topic: heading.replace(/`/g, ""),
+    cause: section.cause || undefined,
+    steps: section.steps.length ? section.steps : undefined,
+    see: `TROUBLESHOOTING.md#${anchor(heading)}`,
+  };
+}
+
+function header(headers, name) {
+  if (!headers) {
+    return undefined;
+  }
+  if (typeof headers.get === "function") {
+    return headers.get(name) ?? undefined;
+  }
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+// Every string in a parsed JSON body, for pattern matching
+function bodyText(body) {
+  if (body === undefined || body === null) {
+    return "";
+  }
+  if (typeof body === "string") {
+    try {
+      return bodyText(JSON.parse(body));
+    } catch {
+      return body;
+    }
+  }
+  if (typeof body === "object") {
+    return Object.entries(body).map(([key, value]) =>
+      typeof value === "object" ? bodyText(value) : `${key}: ${value}`).join("\n");
+  }
+  return String(body);
+}
+
+// Request or trace ID from a backend response or error
+export function correlationId(headers) {
+  return CORRELATION_HEADERS.map(name => header(headers, name)).find(Boolean);
+}
+
+export function parseCicsAbend(text) {
+  const match = text.match(/abend(?:[ _-]?code)?["']?\s*[:=]?\s*["']?([A-Z0-9@#$]{4})\b/i);
+  return match && /^[A-Z0-9@#$]{4}$/.test(match[1]) ? match[1] : undefined;
+}
+
+export function parseImsStatus(text) {
+  const match = text.match(/IMS[ _-]?status(?:[ _-]?code)?["']?\s*[:=]?\s*["']?([A-Z0-9]{2})\b/i);
+  return match && /^[A-Z0-9]{2}$/.test(match[1]) ? match[1] : undefined;
+}
+
+function kmsReason(error) {
+  const reason = error.result?.resources?.[0]?.reasons?.[0];
+  return reason?.code;
+}
+
+function classifyKeyProtect(error, details) {
+  const { httpStatus: status, code = "" } = details;
+  if (status === 401) {
+    return ["authentication", "`401 Unauthorized`"];
+  }
+  if (status === 403) {
+    return ["authorization", "`403 Forbidden - Insufficient permissions`"];
+  }
+  if (/INSTANCE/.test(code) || (status === 400 || status === 404) && /instance/i.test(error.message) && !/key ring/i.test(error.message)) {
+    return ["not_found", "`Instance not found`"];
+  }
+  if (status === 404 || status === 410) {
+    return ["not_found", code === "KEY_RING_NOT_FOUND_ERR" ? undefined : "`Key not found`"];
+  }
+  if (code === "INVALID_CIPHERTEXT_ERR" || code === "KEY_ROOT_REQ_ERR") {
+    return ["invalid_request", "`Wrap/Unwrap failed`"];
+  }
+  if (code === "PROTECTED_RESOURCE_ERR") {
+    return ["conflict", "`key_protect_delete_key` returns `\"status\": \"refused\"`"];
+  }
+  if (status === 409) {
+    return ["conflict", undefined];
+  }
+  if (status >= 400 && status < 500) {
+    return ["invalid_request", undefined];
+  }
+  if (/ECONNREFUSED|ENOTFOUND|EHOSTUNREACH|ECONNRESET/.test(error.code || error.cause?.code || "")) {
+    return ["unavailable", undefined];
+  }
+  return [null, undefined];
+}
+
+function classifyZosConnect(error, details) {
+  const { httpStatus: status, cicsAbend } = details;
+  const text = `${error.message}\n${details.body || ""}`;
+  if (status === 401) {
+    return ["authentication", "`401 Unauthorized` (z/OS)"];
+  }
+  if (status === 403) {
+    return ["authorization", "`403 Forbidden` (z/OS)"];
+  }
+  if (cicsAbend === "ASRA" || cicsAbend === "AICA") {
+    return ["program_failure", `CICS abend \`${cicsAbend}\``];
+  }
+  if (cicsAbend || details.imsStatus) {
+    return ["program_failure", "`CICS transaction failed`"];
+  }
+  if ((status === 400 || status === 500) && /json|mapping|transform|conver(t|sion)|copybook|data transformation/i.test(text)) {
+    return ["mapping", "`JSON mapping error`"];
+  }
+  if (status === 404) {
+    return ["not_found", "`Service not found`"];
+  }
+  if (status === 502 || status === 503 || status === 504) {
+    return ["unavailable", undefined];
+  }
+  if (status >= 500) {
+    return ["program_failure", "`500 Internal Server Error`"];
+  }
+  if (status >= 400) {
+    return ["invalid_request", undefined];
+  }
+  if (/ECONNREFUSED|ENOTFOUND|EHOSTUNREACH/.test(error.code || error.cause?.code || "")) {
+    return ["unavailable", "`Connection refused`"];
+  }
+  if (/^TLS error/.test(error.message)) {
+    return ["configuration", "SSL certificate errors"];
+  }
+  return [null, undefined];
+}
+
+function classifyZosmf(error, details) {
+  const { httpStatus: status } = details;
+  if (status === 401) {
+    return ["authentication", "`401 Unauthorized` (z/OSMF)"];
+  }
+  if (status === 403) {
+    return ["authorization", "`403 Forbidden` (z/OSMF)"];
+  }
+  if (status === 404) {
+    if (/restfiles/.test(error.endpoint || "")) {
+      return ["not_found", "`Dataset or file not found` (z/OSMF)"];
+    }
+    return ["not_found", /restjobs/.test(error.endpoint || "") ? "`Job not found` (z/OSMF)" : undefined];
+  }
+  if (status === 409) {
+    return ["conflict", undefined];
+  }
+  if (status === 502 || status === 503 || status === 504) {
+    return ["unavailable", undefined];
+  }
+  if (status >= 400 && status < 500) {
+    return ["invalid_request", undefined];
+  }
+  if (/ECONNREFUSED|ENOTFOUND|EHOSTUNREACH/.test(error.code || error.cause?.code || "")) {
+    return ["unavailable", undefined];
+  }
+  if (/^TLS error/.test(error.message)) {
+    return ["configuration", "SSL certificate errors"];
+  }
+  return [null, undefined];
+}
+
+// CMCI reports CPSM responses (NOTPERMIT, INVALIDPARM, ...) alongside the HTTP status
+function classifyCmci(error, details) {
+  const { httpStatus: status } = details;
+  const reason = error.cpsmResponse;
+  if (status === 401) {
+    return ["authentication", "`401 Unauthorized` (CICS CMCI)"];
+  }
+  if (reason === "NOTPERMIT" || status === 403) {
+    return ["authorization", "`NOTPERMIT` (CICS CMCI)"];
+  }
+  if (reason === "INVALIDPARM" && /CONTEXT|SCOPE/i.test(error.message)) {
+    return ["configuration", "`INVALIDPARM CONTEXT` or `SCOPE` (CICS CMCI)"];
+  }
+  if (reason === "INVALIDPARM" || reason === "INVALIDATA" || status === 400) {
+    return ["invalid_request", undefined];
+  }
+  if (reason === "TABLEERROR" || reason === "FAILED") {
+    return ["conflict", "`FAILED` or `TABLEERROR` (CICS CMCI)"];
+  }
+  if (reason === "SERVERGONE" || reason === "BUSY" || status === 502 || status === 503 || status === 504) {
+    return ["unavailable", undefined];
+  }
+  if (status === 404) {
+    return ["not_found", undefined];
+  }
+  if (/ECONNREFUSED|ENOTFOUND|EHOSTUNREACH/.test(error.code || error.cause?.code || "")) {
+    return ["unavailable", undefined];
+  }
+  if (/^TLS error/.test(error.message)) {
+    return ["configuration", "SSL certificate errors"];
+  }
+  return [null, undefined];
+}
+
+/**
+ * Describe an error thrown by a tool handler. Categories: configuration,
+ * authentication, authorization, not_found, invalid_request, conflict,
+ * mapping, program_failure, timeout, unavailable, error.
+ */
+export function describeError(error) {
+  const details = {
+    message: error.message,
+    backend: error.backend,
+    httpStatus: typeof error.status === "number" ? error.status : undefined,
+  };
+
+  // The body is already part of the message; it is only mined for codes here
+  const body = bodyText(error.body !== undefined ? error.body : error.result);
+  details.code = kmsReason(error) || error.cpsmResponse || body.match(/\b(BAQ[A-Z]\d{4}[EWI])\b/)?.[1];
+  details.correlationId = correlationId(error.headers);
+
+  const isZos = details.backend === "z/OS Connect";
+  if (isZos && body) {
+    details.cicsAbend = parseCicsAbend(body);
+    details.imsStatus = parseImsStatus(body);
+  }
+
+  let category = error.category || null;
+  let topic = error.topic;
+  if (error.timedOut) {
+    [category, topic] = ["timeout", "`... did not respond within N ms`"];
+  } else if (error.breakerOpen) {
+    [category, topic] = ["unavailable", "`... circuit breaker is open after N consecutive failures`"];
+  } else if (!topic && details.backend?.startsWith("Key Protect")) {
+    [category, topic] = classifyKeyProtect(error, details);
+  } else if (!topic && isZos) {
+    [category, topic] = classifyZosConnect(error, { ...details, body });
+  } else if (!topic && details.backend === "z/OSMF") {
+    [category, topic] = classifyZosmf(error, details);
+  } else if (!topic && details.backend === "CICS CMCI") {
+    [category, topic] = classifyCmci(error, details);
+  }
+
+  return {
+    // A classifier that recognises nothing keeps the category the error was raised with
+    category: category || error.category || "error",
+    ...details,
+    attempts: error.attempts,
+    retries: error.retries || undefined,
+    remediation: topic ? remediation(topic) : undefined,
+  };
+}
+
+export function errorResult(error) {
+  return {
+    isError: true,
+    content: [{
+      type: "text",
+      text: JSON.stringify({ error: describeError(error) }, null, 2),
+    }],
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * HTTP connections to backend servers
+ *
+ * Shared by the z/OS Connect, z/OSMF and CICS CMCI clients. Each client gets
+ * its own keep-alive agent with its own TLS settings (client certificate, CA
+ * bundle, server name override), read from environment variables that share a
+ * prefix (ZOS_CONNECT_, ZOSMF_, CICS_CMCI_), so certificate checks never have
+ * to be relaxed process-wide. TLS failures name the variable that fixes them.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import https from "https";
+
+// TLS failures that a CA bundle or server name override fixes
+function tlsHints(prefix, server) {
+  return {
+    SELF_SIGNED_CERT_IN_CHAIN: `set ${prefix}_CA_FILE to the CA bundle that signed the server certificate`,
+    DEPTH_ZERO_SELF_SIGNED_CERT: `set ${prefix}_CA_FILE to the server's self-signed certificate`,
+    UNABLE_TO_VERIFY_LEAF_SIGNATURE: `set ${prefix}_CA_FILE to the full CA chain (intermediate and root)`,
+    UNABLE_TO_GET_ISSUER_CERT_LOCALLY: `set ${prefix}_CA_FILE to the full CA chain (intermediate and root)`,
+    CERT_HAS_EXPIRED: `the ${server} server certificate has expired`,
+    ERR_TLS_CERT_ALTNAME_INVALID: `set ${prefix}_SERVERNAME to a host name in the server certificate`,
+  };
+}
+
+export function readTlsFile(filePath, variable) {
+  try {
+    return fs.readFileSync(filePath);
+  } catch (error) {
+    throw new Error(`Cannot read ${variable} (${filePath}): ${error.message}`);
+  }
+}
+
+function createAgent(config, prefix) {
+  if (!config.url?.startsWith("https:")) {
+    return new http.Agent({ keepAlive: true });
+  }
+  const key = config.key ? readTlsFile(config.key, `${prefix}_KEY`) : undefined;
+  if (key) {
+    // Fail here rather than with an OpenSSL "bad decrypt" on the first request
+    try {
+      crypto.createPrivateKey({ key, passphrase: config.passphrase });
+    } catch (error) {
+      throw new Error(`Cannot load ${prefix}_KEY: ${error.message}. Check ${prefix}_KEY_PASSPHRASE.`);
+    }
+  }
+  return new https.Agent({
+    keepAlive: true,
+    ca: config.caFile ? readTlsFile(config.caFile, `${prefix}_CA_FILE`) : undefined,
+    cert: config.cert ? readTlsFile(config.cert, `${prefix}_CERT`) : undefined,
+    key,
+    passphrase: config.passphrase,
+    servername: config.servername,
+  });
+}
+
+/**
+ * Connection for the server at `config.url`, with the TLS files named in
+ * `config` (cert, key, passphrase, caFile, servername). `prefix` is the
+ * environment variable prefix and `server` the name used in messages.
+ * `send(url, options)` resolves to `{ status, headers, data, text }` for
+ * any HTTP status; connection and TLS failures reject, and so does a
+ * response body longer than `maxBytes` (error code RESPONSE_TOO_LARGE), which
+ * is abandoned as soon as it passes the limit.
+ */
+export function createHttpClient(config, { prefix, server }) {
+  const agent = createAgent(config, prefix);
+  const hints = tlsHints(prefix, server);
+
+  return {
+    send(url, { method = "GET", headers = {}, body, signal, maxBytes } = {}) {
+      const target = new URL(url);
+      const transport = target.protocol === "https:" ? https : http;
+
+      return new Promise((resolve, reject) => {
+        const request = transport.request(target, { method, headers, agent, signal }, (response) => {
+          const chunks = [];
+          let received = 0;
+          response.on("data", (chunk) => {
+            received += chunk.length;
+            if (maxBytes && received > maxBytes) {
+              const error = new Error(`Response from ${target.host} is larger than ${maxBytes} bytes`);
+              error.code = "RESPONSE_TOO_LARGE";
+              reject(error);
+              request.destroy();
+              return;
+            }
+            chunks.push(chunk);
+          });
+          response.on("end", () => {
+            if (maxBytes && received > maxBytes) {
+              return;
+            }
+            const data = Buffer.concat(chunks);
+            resolve({
+              status: response.statusCode,
+              headers: response.headers,
+              data,
+              get text() {
+                return data.toString("utf8");
+              },
+            });
+          });
+          response.on("error", reject);
+        });
+        request.on("error", (error) => {
+          const hint = hints[error.code];
+          reject(hint ? new Error(`TLS error connecting to ${target.host}: ${error.message} (${hint})`) : error);
+        });
+        request.end(body);
+      });
+    },
+
+    close() {
+      agent.destroy();
+    },
+  };
+}
@@ -0,0 +1,332 @@
+/**
+ * Streamable HTTP transport
+ *
+ * Serves MCP over streamable HTTP (POST for requests, SSE for streamed
+ * responses and notifications) at /mcp so one shared instance can serve a
+ * team. Every request is authenticated with a bearer token or a client
+ * certificate, and the client name is passed to the tool handlers as
+ * `authInfo.clientId` for audit and access policy decisions. Each session
+ * gets its own MCP server, is bound to the client that created it and is
+ * closed after a period of inactivity.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import https from "https";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+export const HTTP_AUTH_MODES = ["bearer", "mtls", "none"];
+
+const MCP_PATH = "/mcp";
+const MAX_BODY_BYTES = 16 * 1024 * 1024;
+const LOOPBACK_HOSTS = ["127.0.0.1", "::1", "localhost"];
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest();
+}
+
+function readFileSetting(env, name) {
+  try {
+    return fs.readFileSync(env[name]);
+  } catch (error) {
+    throw new Error(`Cannot read ${name} (${env[name]}): ${error.message}`);
+  }
+}
+
+function positiveInteger(env, name, fallback) {
+  const raw = env[name];
+  if (raw === undefined || raw === "") {
+    return fallback;
+  }
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`${name} must be a whole number > 0, got "${raw}"`);
+  }
+  return value;
+}
+
+/**
+ * Tokens file: a JSON object mapping client names to their token, either
+ * as-is or as "sha256:<hex>". Only the digests are kept.
+ */
+function loadTokens(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read IBMZ_HTTP_TOKENS ${file}: ${error.message}`);
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw) || !Object.keys(raw).length) {
+    throw new Error(`IBMZ_HTTP_TOKENS ${file}: expected an object mapping client names to tokens`);
+  }
+  return Object.entries(raw).map(([client, token]) => {
+    if (typeof token !== "string" || !token) {
+      throw new Error(`IBMZ_HTTP_TOKENS ${file}: token for "${client}" must be a non-empty string`);
+    }
+    const hex = token.match(/^sha256:([0-9a-f]{64})$/i)?.[1];
+    return { client, digest: hex ? Buffer.from(hex, "hex") : sha256(token) };
+  });
+}
+
+/**
+ * Read IBMZ_HTTP_* settings. The auth mode defaults to mtls when a client CA
+ * is set and bearer otherwise; "none" is only accepted on a loopback address.
+ */
+export function httpConfig(env = process.env) {
+  const host = env.IBMZ_HTTP_HOST || "127.0.0.1";
+  const auth = env.IBMZ_HTTP_AUTH || (env.IBMZ_HTTP_CLIENT_CA ? "mtls" : "bearer");
+  if (!HTTP_AUTH_MODES.includes(auth)) {
+    throw new Error(`IBMZ_HTTP_AUTH must be one of ${HTTP_AUTH_MODES.join(", ")}, got "${auth}"`);
+  }
+
+  const config = {
+    host,
+    port: env.IBMZ_HTTP_PORT === "0" ? 0 : positiveInteger(env, "IBMZ_HTTP_PORT", 8080),
+    auth,
+    maxSessions: positiveInteger(env, "IBMZ_HTTP_MAX_SESSIONS", 20),
+    sessionIdleMs: positiveInteger(env, "IBMZ_HTTP_SESSION_IDLE_SECONDS", 1800) * 1000,
+    shutdownGraceMs: positiveInteger(env, "IBMZ_HTTP_SHUTDOWN_GRACE_SECONDS", 10) * 1000,
+  };
+
+  if (env.IBMZ_HTTP_TLS_CERT || env.IBMZ_HTTP_TLS_KEY) {
+    if (!env.IBMZ_HTTP_TLS_CERT || !env.IBMZ_HTTP_TLS_KEY) {
+      throw new Error("IBMZ_HTTP_TLS_CERT and IBMZ_HTTP_TLS_KEY must be set together");
+    }
+    config.tls = {
+      cert: readFileSetting(env, "IBMZ_HTTP_TLS_CERT"),
+      key: readFileSetting(env, "IBMZ_HTTP_TLS_KEY"),
+      passphrase: env.IBMZ_HTTP_TLS_KEY_PASSPHRASE,
+    };
+  }
+
+  if (auth === "bearer") {
+    if (!env.IBMZ_HTTP_TOKENS) {
+      throw new Error("IBMZ_HTTP_AUTH=bearer needs IBMZ_HTTP_TOKENS (a JSON file mapping client names to tokens)");
+    }
+    config.tokens = loadTokens(env.IBMZ_HTTP_TOKENS);
+  } else if (auth === "mtls") {
+    if (!config.tls || !env.IBMZ_HTTP_CLIENT_CA) {
+      throw new Error("IBMZ_HTTP_AUTH=mtls needs IBMZ_HTTP_TLS_CERT, IBMZ_HTTP_TLS_KEY and IBMZ_HTTP_CLIENT_CA");
+    }
+    config.tls.ca = readFileSetting(env, "IBMZ_HTTP_CLIENT_CA");
+  } else if (!LOOPBACK_HOSTS.includes(host)) {
+    throw new Error(`IBMZ_HTTP_AUTH=none is only allowed on a loopback address, not ${host}`);
+  }
+  return config;
+}
+
+function sendError(res, status, message, headers = {}) {
+  if (res.headersSent) {
+    return;
+  }
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code: -32000, message }, id: null }));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(Object.assign(new Error("Request body is not valid JSON"), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Client name for the request, or null when it is not authenticated
+function authenticate(config, req) {
+  if (config.auth === "mtls") {
+    if (!req.socket.authorized) {
+      return null;
+    }
+    const subject = req.socket.getPeerCertificate().subject || {};
+    return subject.CN || null;
+  }
+  if (config.auth === "bearer") {
+    const token = req.headers.authorization?.match(/^Bearer\s+(\S+)$/i)?.[1];
+    if (!token) {
+      return null;
+    }
+    const digest = sha256(token);
+    return config.tokens.find(entry => crypto.timingSafeEqual(entry.digest, digest))?.client || null;
+  }
+  return "anonymous";
+}
+
+/**
+ * Start serving. `createServer()` returns a new, unconnected MCP server for
+ * each session. Resolves to `{ url, close }` once listening; `close()` stops
+ * accepting connections, waits up to the grace period for requests in
+ * progress and then closes every session.
+ */
+export async function startHttpTransport(config, createServer) {
+  const sessions = new Map();
+  let pending = 0;
+  let inFlight = 0;
+  let closing = false;
+  // Host headers accepted with auth "none", set once the listening port is known
+  let allowedHosts = [];
+
+  const closeSession = async (id) => {
+    const session = sessions.get(id);
+    if (session) {
+      sessions.delete(id);
+      await session.transport.close().catch(() => {});
+      await session.server.close().catch(() => {});
+    }
+  };
+
+  const openSession = async (req, res, client, body) => {
+    if (sessions.size + pending >= config.maxSessions) {
+      sendError(res, 503, `Session limit of ${config.maxSessions} reached; try again later`, { "Retry-After": "30" });
+      return;
+    }
+    pending++;
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (id) => {
+        pending--;
+        sessions.set(id, { client, server, transport, lastSeen: Date.now() });
+      },
+      onsessionclosed: (id) => {
+        sessions.delete(id);
+      },
+      ...(config.auth === "none" ? {
+        enableDnsRebindingProtection: true,
+        allowedHosts,
+      } : {}),
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        sessions.delete(transport.sessionId);
+      }
+    };
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res, body);
+    } finally {
+      if (!transport.sessionId) {
+        // initialize failed, so the session never started
+        pending--;
+        await server.close().catch(() => {});
+      }
+    }
+  };
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== MCP_PATH) {
+      sendError(res, 404, `Not found; the MCP endpoint is ${MCP_PATH}`);
+      return;
+    }
+    if (closing) {
+      sendError(res, 503, "Server is shutting down", { "Connection": "close" });
+      return;
+    }
+    const client = authenticate(config, req);
+    if (!client) {
+      sendError(res, 401, "Unauthorized", config.auth === "bearer" ? { "WWW-Authenticate": "Bearer" } : {});
+      return;
+    }
+    req.auth = { token: "", clientId: client, scopes: [] };
+
+    const sessionId = req.headers["mcp-session-id"];
+    const body = req.method === "POST" ? await readJson(req) : undefined;
+    if (!sessionId) {
+      if (req.method !== "POST" || !isInitializeRequest(body)) {
+        sendError(res, 400, "No session: send an initialize request without Mcp-Session-Id first");
+        return;
+      }
+      await openSession(req, res, client, body);
+      return;
+    }
+
+    const session = sessions.get(sessionId);
+    if (!session) {
+      sendError(res, 404, "Session not found or expired; initialize a new session");
+      return;
+    }
+    if (session.client !== client) {
+      sendError(res, 403, "Session belongs to another client");
+      return;
+    }
+    session.lastSeen = Date.now();
+    await session.transport.handleRequest(req, res, body);
+  };
+
+  const onRequest = (req, res) => {
+    // Open SSE streams (GET) would keep shutdown waiting, so only POSTs count
+    const counted = req.method === "POST";
+    if (counted) {
+      inFlight++;
+      res.on("close", () => inFlight--);
+    }
+    handle(req, res).catch((error) => {
+      sendError(res, error.status || 500, error.status ? error.message : "Internal server error");
+      if (!error.status) {
+        console.error(`HTTP transport: ${error.stack || error.message}`);
+      }
+    });
+  };
+
+  const httpServer = config.tls
+    ? https.createServer({
+      ...config.tls,
+      requestCert: config.auth === "mtls",
+      rejectUnauthorized: config.auth === "mtls",
+    }, onRequest)
+    : http.createServer(onRequest);
+
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - config.sessionIdleMs;
+    for (const [id, session] of sessions) {
+      if (session.lastSeen < cutoff) {
+        closeSession(id);
+      }
+    }
+  }, Math.min(config.sessionIdleMs, 60000));
+  sweeper.unref();
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(config.port, config.host, resolve);
+  });
+  const { port } = httpServer.address();
+  allowedHosts = LOOPBACK_HOSTS.map(name => `${name.includes(":") ? `[${name}]` : name}:${port}`);
+  const host = config.host.includes(":") ? `[${config.host}]` : config.host;
+
+  return {
+    url: `${config.tls ? "https" : "http"}://${host}:${port}${MCP_PATH}`,
+    sessions: () => sessions.size,
+
+    async close() {
+      closing = true;
+      clearInterval(sweeper);
+      const stopped = new Promise(resolve => httpServer.close(resolve));
+      const deadline = Date.now() + config.shutdownGraceMs;
+      while (inFlight > 0 && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      await Promise.all([...sessions.keys()].map(closeSession));
+      httpServer.closeAllConnections();
+      await stopped;
+    },
+  };
+}
@@ -0,0 +1,511 @@
+/**
+ * Key Protect client and shared helpers
+ *
+ * Named instance profiles, one cached client per profile (IBM Cloud SDK or
+ * the local emulator), and the lookups used by the key_protect_* tools and the
+ * standalone scripts: paging through keys, resolving aliases and names,
+ * policies, registrations, state transitions and impact summaries.
+ * Client calls run under a per-profile backend policy from lib/resilience.js.
+ */
+
+import fs from "fs";
+import IbmKeyProtectApiV2 from "@ibm-cloud/ibm-key-protect/ibm-key-protect-api/v2.js";
+import { IamAuthenticator } from "ibm-cloud-sdk-core";
+import { LocalKeyProtectClient, DEFAULT_LOCAL_STORE } from "./local-key-protect.js";
+import { getBackend, resiliencePolicy } from "./resilience.js";
+import { toolError } from "./errors.js";
+
+// Regional endpoints, as listed under "Invalid region URL" in TROUBLESHOOTING.md
+export const KEY_PROTECT_REGIONS = {
+  "us-south": "US South (Dallas)",
+  "us-east": "US East (Washington DC)",
+  "eu-de": "EU Germany (Frankfurt)",
+  "eu-gb": "EU Great Britain (London)",
+  "jp-tok": "Asia Pacific (Tokyo)",
+  "au-syd": "Asia Pacific (Sydney)",
+};
+
+export function regionEndpoint(region, privateEndpoint = false) {
+  if (!KEY_PROTECT_REGIONS[region]) {
+    throw toolError(`Unknown Key Protect region "${region}". Valid regions: ${Object.keys(KEY_PROTECT_REGIONS).join(", ")}`, {
+      category: "configuration",
+      backend: "Key Protect",
+      topic: "`Invalid region URL` / `Unknown Key Protect region`",
+    });
+  }
+  return `https://${privateEndpoint ? "private." : ""}${region}.kms.cloud.ibm.com`;
+}
+
+// Key Protect configuration
+// KEY_PROTECT_BACKEND=local uses the in-process emulator instead of IBM Cloud
+// KEY_PROTECT_PROFILES points at a file of named instances; without it the
+// variables below form a single "default" profile
+const KEY_PROTECT_PROFILES = process.env.KEY_PROTECT_PROFILES;
+const KEY_PROTECT_PROFILE = process.env.KEY_PROTECT_PROFILE;
+
+function envProfile() {
+  const env = process.env;
+  const backend = env.KEY_PROTECT_BACKEND || "ibm";
+  if (backend === "local") {
+    return {
+      backend,
+      instanceId: env.KEY_PROTECT_INSTANCE_ID || "local",
+      storePath: env.KEY_PROTECT_LOCAL_STORE || DEFAULT_LOCAL_STORE,
+      identity: env.KEY_PROTECT_LOCAL_IDENTITY,
+    };
+  }
+  if (!env.IBM_CLOUD_API_KEY || !env.KEY_PROTECT_INSTANCE_ID) {
+    return null;
+  }
+  return {
+    backend,
+    instanceId: env.KEY_PROTECT_INSTANCE_ID,
+    region: env.KEY_PROTECT_REGION,
+    private: env.KEY_PROTECT_PRIVATE_ENDPOINT === "true",
+    endpoint: env.KEY_PROTECT_REGION ? undefined : env.KEY_PROTECT_URL || "https://us-south.kms.cloud.ibm.com",
+    apiKeyEnv: "IBM_CLOUD_API_KEY",
+  };
+}
+
+// Validate one profile entry and fill in its endpoint
+function normalizeProfile(name, raw) {
+  const where = `Key Protect profile "${name}"`;
+  const backend = raw.backend || "ibm";
+  if (!["ibm", "local"].includes(backend)) {
+    throw new Error(`${where}: backend must be "ibm" or "local"`);
+  }
+  if (backend === "local") {
+    return {
+      name,
+      backend,
+      instanceId: raw.instanceId || name,
+      storePath: raw.storePath || DEFAULT_LOCAL_STORE,
+      identity: raw.identity,
+      description: raw.description,
+    };
+  }
+
+  if (!raw.instanceId) {
+    throw new Error(`${where}: instanceId is required`);
+  }
+  if (!raw.region && !raw.endpoint) {
+    throw new Error(`${where}: region is required (${Object.keys(KEY_PROTECT_REGIONS).join(", ")})`);
+  }
+  let endpoint = raw.endpoint;
+  if (raw.region) {
+    try {
+      endpoint = endpoint || regionEndpoint(raw.region, raw.private);
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+  }
+  return {
+    name,
+    backend,
+    instanceId: raw.instanceId,
+    region: raw.region,
+    private: Boolean(raw.private),
+    endpoint,
+    apiKeyEnv: raw.apiKeyEnv || "IBM_CLOUD_API_KEY",
+    description: raw.description,
+  };
+}
+
+let profileConfig = null;
+
+/**
+ * Load the profile file (or the environment fallback) once.
+ * File format: { "default": "dev", "profiles": { "dev": { instanceId, region,
+ * private, apiKeyEnv, endpoint, backend, storePath, description } } }
+ */
+export function loadProfiles() {
+  if (profileConfig) {
+    return profileConfig;
+  }
+
+  const profiles = new Map();
+  let defaultName;
+  if (KEY_PROTECT_PROFILES) {
+    let file;
+    try {
+      file = JSON.parse(fs.readFileSync(KEY_PROTECT_PROFILES, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not read Key Protect profiles from ${KEY_PROTECT_PROFILES}: ${error.message}`);
+    }
+    for (const [name, raw] of Object.entries(file.profiles || {})) {
+      profiles.set(name, normalizeProfile(name, raw));
+    }
+    if (!profiles.size) {
+      throw new Error(`${KEY_PROTECT_PROFILES} defines no profiles`);
+    }
+    defaultName = KEY_PROTECT_PROFILE || file.default || profiles.keys().next().value;
+  } else {
+    const raw = envProfile();
+    if (raw) {
+      profiles.set("default", normalizeProfile("default", raw));
+    }
+    defaultName = "default";
+  }
+
+  if (profiles.size && !profiles.has(defaultName)) {
+    throw new Error(`Default Key Protect profile "${defaultName}" is not defined`);
+  }
+  profileConfig = { profiles, defaultName };
+  return profileConfig;
+}
+
+// Profiles for display; API keys are reported as present or missing, never shown
+export function listProfiles() {
+  const { profiles, defaultName } = loadProfiles();
+  return [...profiles.values()].map(profile => ({
+    ...profile,
+    default: profile.name === defaultName,
+    apiKeyConfigured: profile.backend === "local" ? undefined : Boolean(process.env[profile.apiKeyEnv]),
+    clientInitialized: connections.has(profile.name),
+  }));
+}
+
+// One cached connection ({ profile, instanceId, client }) per profile
+const connections = new Map();
+const emulators = new Map();
+
+// Request methods of the SDK client (and the emulator); only these are wrapped
+const KEY_PROTECT_OPERATIONS = new Set([
+  "getKeys", "createKey", "getKey", "getKeyMetadata", "wrapKey", "unwrapKey", "rewrapKey",
+  "rotateKey", "deleteKey", "disableKey", "enableKey", "restoreKey", "purgeKey", "getKeyVersions",
+  "setKeyForDeletion", "unsetKeyForDeletion", "getPolicy", "putPolicy", "getInstancePolicy",
+  "putInstancePolicy", "createKeyAlias", "deleteKeyAlias", "listKeyRings", "createKeyRing",
+  "deleteKeyRing", "patchKey", "getRegistrations", "getRegistrationsAllKeys",
+]);
+
+// Reads and wrap/unwrap change nothing, so they can be retried
+const IDEMPOTENT_OPERATIONS = new Set([
+  "getKeys", "getKey", "getKeyMetadata", "getKeyVersions", "getPolicy", "getInstancePolicy",
+  "listKeyRings", "getRegistrations", "getRegistrationsAllKeys", "wrapKey", "unwrapKey", "rewrapKey",
+]);
+
+function withBackend(client, backend) {
+  return new Proxy(client, {
+    get(target, property, receiver) {
+      const value = Reflect.get(target, property, receiver);
+      if (typeof value !== "function" || !KEY_PROTECT_OPERATIONS.has(property)) {
+        return value;
+      }
+      return (...args) => backend.execute(property, () => value.apply(target, args), {
+        idempotent: IDEMPOTENT_OPERATIONS.has(property),
+      });
+    },
+  });
+}
+
+/**
+ * Connection for a named profile, or the default profile. Returns null when
+ * nothing is configured.
+ */
+export function getKeyProtect(profileName) {
+  const { profiles, defaultName } = loadProfiles();
+  const name = profileName || defaultName;
+  const profile = profiles.get(name);
+  if (!profile) {
+    if (!profileName) {
+      return null;
+    }
+    throw toolError(`Unknown Key Protect instance profile "${profileName}". Configured profiles: ${[...profiles.keys()].join(", ") || "none"}`, {
+      category: "configuration",
+      backend: "Key Protect",
+      topic: "`Unknown Key Protect instance profile`",
+    });
+  }
+
+  if (!connections.has(name)) {
+    const policy = resiliencePolicy("KEY_PROTECT");
+    let client;
+    if (profile.backend === "local") {
+      // Profiles sharing a store file must share the emulator, or their saves clobber each other
+      if (!emulators.has(profile.storePath)) {
+        emulators.set(profile.storePath, new LocalKeyProtectClient({ storePath: profile.storePath }));
+      }
+      client = emulators.get(profile.storePath);
+      if (profile.identity) {
+        client = client.withIdentity(profile.identity);
+      }
+    } else {
+      const apikey = process.env[profile.apiKeyEnv];
+      if (!apikey) {
+        throw toolError(`Key Protect profile "${name}" needs an API key in ${profile.apiKeyEnv}`, {
+          category: "configuration",
+          backend: "Key Protect",
+          topic: "`Key Protect profile \"...\" needs an API key in ...`",
+        });
+      }
+      client = new IbmKeyProtectApiV2({
+        authenticator: new IamAuthenticator({ apikey }),
+        serviceUrl: profile.endpoint,
+      });
+      // Also end the socket, not just the wait, when a request times out
+      client.getHttpClient().defaults.timeout = policy.timeoutMs;
+    }
+    const backend = getBackend(`Key Protect (${name})`, { policy });
+    connections.set(name, {
+      profile: name,
+      instanceId: profile.instanceId,
+      storePath: profile.storePath,
+      client: withBackend(client, backend),
+    });
+  }
+  return connections.get(name);
+}
+
+// Normalize the key policy collection into { rotation, dualAuthDelete }
+export async function getKeyPolicies(kp, keyId) {
+  const response = await kp.client.getPolicy({
+    bluemixInstance: kp.instanceId,
+    id: keyId,
+  });
+  const resources = response.result.resources || [];
+  const rotation = resources.find(r => r.rotation);
+  const dualAuth = resources.find(r => r.dualAuthDelete);
+
+  return {
+    rotation: rotation ? {
+      enabled: rotation.rotation.enabled !== false,
+      intervalMonths: rotation.rotation.interval_month,
+      lastUpdateDate: rotation.lastUpdateDate,
+      updatedBy: rotation.updatedBy,
+    } : null,
+    dualAuthDelete: dualAuth ? {
+      enabled: Boolean(dualAuth.dualAuthDelete.enabled),
+      lastUpdateDate: dualAuth.lastUpdateDate,
+      updatedBy: dualAuth.updatedBy,
+    } : null,
+  };
+}
+
+// Instance policies keyed by policy type
+export async function getInstancePolicies(kp, policy) {
+  const response = await kp.client.getInstancePolicy({
+    bluemixInstance: kp.instanceId,
+    policy,
+  });
+
+  const policies = {};
+  for (const resource of response.result.resources || []) {
+    policies[resource.policy_type] = {
+      enabled: Boolean(resource.policy_data?.enabled),
+      attributes: resource.policy_data?.attributes,
+      lastUpdated: resource.lastUpdated,
+      updatedBy: resource.updatedBy,
+    };
+  }
+  return policies;
+}
+
+export function policyCollection(resources) {
+  return {
+    metadata: {
+      collectionType: "application/vnd.ibm.kms.policy+json",
+      collectionTotal: resources.length,
+    },
+    resources,
+  };
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Page through every key in the instance (the API caps a page at 200)
+export async function listAllKeys(kp, { state, keyRing } = {}) {
+  const keys = [];
+  const pageSize = 200;
+  for (let offset = 0; ; offset += pageSize) {
+    const response = await kp.client.getKeys({
+      bluemixInstance: kp.instanceId,
+      limit: pageSize,
+      offset,
+      state,
+      xKmsKeyRing: keyRing,
+    });
+    const page = response.result.resources || [];
+    keys.push(...page);
+    if (page.length < pageSize) {
+      return keys;
+    }
+  }
+}
+
+// Accept a key ID, alias or unique key name wherever a key_id is expected
+export async function resolveKeyId(kp, ref) {
+  if (UUID_PATTERN.test(ref)) {
+    return ref;
+  }
+
+  // Key Protect resolves aliases in place of key IDs
+  try {
+    const response = await kp.client.getKeyMetadata({
+      bluemixInstance: kp.instanceId,
+      id: ref,
+    });
+    const id = response.result.resources?.[0]?.id;
+    if (id) {
+      return id;
+    }
+  } catch (error) {
+    if (error.status !== 404 && error.status !== 400) {
+      throw error;
+    }
+  }
+
+  const matches = (await listAllKeys(kp)).filter(k => k.name === ref);
+  if (matches.length === 1) {
+    return matches[0].id;
+  }
+  if (matches.length > 1) {
+    throw toolError(`Key name "${ref}" is ambiguous (${matches.map(k => k.id).join(", ")}). Use the key ID or an alias.`, {
+      category: "invalid_request",
+      backend: "Key Protect",
+    });
+  }
+  throw toolError(`No key found with ID, alias or name "${ref}"`, {
+    category: "not_found",
+    backend: "Key Protect",
+    topic: "`Key not found`",
+  });
+}
+
+// Key states as reported by key_protect_list_keys (NIST SP 800-57)
+export const KEY_STATE_NAMES = {
+  0: "Pre-activation",
+  1: "Active",
+  2: "Suspended",
+  3: "Deactivated",
+  5: "Destroyed",
+};
+
+export function describeState(state) {
+  return { state, name: KEY_STATE_NAMES[state] || "Unknown" };
+}
+
+// Run a lifecycle action and report the key's state before and after it
+export async function keyStateTransition(kp, keyId, action) {
+  const metadata = () => kp.client.getKeyMetadata({
+    bluemixInstance: kp.instanceId,
+    id: keyId,
+  });
+
+  const before = (await metadata()).result.resources?.[0];
+  await action(before);
+
+  let after;
+  try {
+    after = describeState((await metadata()).result.resources?.[0]?.state);
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+    after = { state: null, name: "Purged" };
+  }
+
+  return {
+    keyId,
+    name: before?.name,
+    transition: { from: describeState(before?.state), to: after },
+  };
+}
+
+// Page through registrations for one key, or for every key in the instance
+export async function listRegistrations(kp, { keyId, keyRing, crnQuery, preventKeyDeletion } = {}) {
+  const registrations = [];
+  const pageSize = 200;
+  for (let offset = 0; ; offset += pageSize) {
+    const params = {
+      bluemixInstance: kp.instanceId,
+      xKmsKeyRing: keyRing,
+      limit: pageSize,
+      offset,
+      preventKeyDeletion,
+      urlEncodedResourceCrnQuery: crnQuery && encodeURIComponent(crnQuery),
+    };
+    const response = keyId
+      ? await kp.client.getRegistrations({ ...params, id: keyId })
+      : await kp.client.getRegistrationsAllKeys(params);
+    const page = response.result.resources || [];
+    registrations.push(...page);
+    if (page.length < pageSize) {
+      return registrations;
+    }
+  }
+}
+
+// crn:v1:<cname>:<ctype>:<service>:<location>:<scope>:<instance>:<type>:<resource>
+// The first eight segments identify the service instance that owns the resource
+export function serviceCrn(resourceCrn) {
+  const parts = String(resourceCrn || "").split(":");
+  if (parts[0] !== "crn" || parts.length < 8) {
+    return resourceCrn;
+  }
+  return `${parts.slice(0, 8).join(":")}::`;
+}
+
+// Group registrations by owning service instance CRN
+export function groupRegistrations(registrations) {
+  const services = new Map();
+  for (const r of registrations) {
+    const crn = serviceCrn(r.resourceCrn);
+    if (!services.has(crn)) {
+      services.set(crn, {
+        serviceCrn: crn,
+        serviceName: String(r.resourceCrn || "").split(":")[4],
+        total: 0,
+        resources: [],
+      });
+    }
+    const service = services.get(crn);
+    service.total++;
+    service.resources.push({
+      resourceCrn: r.resourceCrn,
+      keyId: r.keyId,
+      keyVersion: r.keyVersion?.id,
+      preventKeyDeletion: Boolean(r.preventKeyDeletion),
+      description: r.description,
+      creationDate: r.creationDate,
+    });
+  }
+
+  return {
+    total: registrations.length,
+    preventKeyDeletion: registrations.filter(r => r.preventKeyDeletion).length,
+    services: [...services.values()].sort((a, b) => b.total - a.total || a.serviceCrn.localeCompare(b.serviceCrn)),
+  };
+}
+
+// Summarize what a destructive operation on a key would affect
+export async function describeKeyImpact(kp, keyId) {
+  const response = await kp.client.getKeyMetadata({
+    bluemixInstance: kp.instanceId,
+    id: keyId,
+  });
+  const key = response.result.resources?.[0] || {};
+
+  let registrations;
+  try {
+    registrations = groupRegistrations(await listRegistrations(kp, { keyId }));
+  } catch (error) {
+    registrations = { error: `Could not list registrations: ${error.message}` };
+  }
+
+  return {
+    keyId,
+    name: key.name,
+    type: key.extractable ? "standard_key" : "root_key",
+    state: key.state,
+    imported: key.imported,
+    keyVersion: key.keyVersion?.id,
+    lastRotateDate: key.lastRotateDate,
+    lastUseDate: key.lastUseDate || null,
+    dualAuthDelete: {
+      enabled: Boolean(key.dualAuthDelete?.enabled),
+      keySetForDeletion: Boolean(key.dualAuthDelete?.keySetForDeletion),
+      authExpiration: key.dualAuthDelete?.authExpiration,
+    },
+    registrations,
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * Key inventory compliance report
+ *
+ * Walks every key in the instance, evaluates a configurable rule set and
+ * renders the findings as JSON, Markdown or CSV. Used by the
+ * key_protect_compliance_report tool and the standalone key-report.js
+ * command for scheduled runs.
+ */
+
+import { readFile, writeFile } from "fs/promises";
+import {
+  listAllKeys,
+  getKeyPolicies,
+  KEY_STATE_NAMES,
+} from "./key-protect.js";
+import { mapWithConcurrency } from "./rewrap.js";
+
+export const SEVERITIES = ["low", "medium", "high", "critical"];
+
+export const DEFAULT_RULES = {
+  rotationAge: { enabled: true, severity: "high", maxDays: 90 },
+  extractable: { enabled: true, severity: "medium" },
+  missingDescription: { enabled: true, severity: "low" },
+  rotationPolicyAbsent: { enabled: true, severity: "medium" },
+  state: { enabled: true, severity: "medium", states: [2, 3, 5], pendingDeletion: true },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Overlay user rules on the defaults; `false` disables a rule outright
+export function resolveRules(overrides = {}) {
+  const rules = {};
+  for (const [name, defaults] of Object.entries(DEFAULT_RULES)) {
+    const override = overrides[name];
+    if (override === false) {
+      rules[name] = { ...defaults, enabled: false };
+    } else {
+      rules[name] = { ...defaults, ...(override || {}) };
+    }
+    if (!SEVERITIES.includes(rules[name].severity)) {
+      throw new Error(`Rule ${name}: severity must be one of ${SEVERITIES.join(", ")}`);
+    }
+  }
+  const unknown = Object.keys(overrides).filter(name => !DEFAULT_RULES[name]);
+  if (unknown.length) {
+    throw new Error(`Unknown report rule(s): ${unknown.join(", ")}. Known rules: ${Object.keys(DEFAULT_RULES).join(", ")}`);
+  }
+  return rules;
+}
+
+export async function loadRules(filePath) {
+  return JSON.parse(await readFile(filePath, "utf8"));
+}
+
+function keyType(key) {
+  return key.extractable ? "standard_key" : "root_key";
+}
+
+function finding(rule, rules, key, message, details) {
+  return {
+    rule,
+    severity: rules[rule].severity,
+    keyId: key.id,
+    name: key.name,
+    type: keyType(key),
+    state: KEY_STATE_NAMES[key.state] || "Unknown",
+    message,
+    details,
+  };
+}
+
+function evaluateKey(key, rules, policies, now) {
+  const findings = [];
+  const destroyed = key.state === 5;
+
+  if (rules.rotationAge.enabled && !key.extractable && !destroyed) {
+    const since = key.lastRotateDate || key.creationDate;
+    const ageDays = Math.floor((now - new Date(since).getTime()) / DAY_MS);
+    if (ageDays > rules.rotationAge.maxDays) {
+      findings.push(finding("rotationAge", rules, key,
+        `Root key not rotated for ${ageDays} days (limit ${rules.rotationAge.maxDays})`,
+        { lastRotateDate: key.lastRotateDate || null, creationDate: key.creationDate, ageDays }));
+    }
+  }
+
+  if (rules.extractable.enabled && key.extractable && !destroyed) {
+    findings.push(finding("extractable", rules, key,
+      "Standard key is extractable; its material can be read back out of Key Protect",
+      { extractable: true }));
+  }
+
+  if (rules.missingDescription.enabled && !destroyed && !key.description?.trim()) {
+    findings.push(finding("missingDescription", rules, key, "Key has no description", {}));
+  }
+
+  if (rules.rotationPolicyAbsent.enabled && policies) {
+    if (policies.error) {
+      findings.push(finding("rotationPolicyAbsent", rules, key,
+        `Could not read key policies: ${policies.error}`, { error: policies.error }));
+    } else if (!policies.rotation?.enabled) {
+      findings.push(finding("rotationPolicyAbsent", rules, key,
+        policies.rotation ? "Rotation policy is disabled" : "No rotation policy set",
+        { rotation: policies.rotation }));
+    }
+  }
+
+  if (rules.state.enabled) {
+    if (rules.state.states.includes(key.state)) {
+      findings.push(finding("state", rules, key, `Key is ${KEY_STATE_NAMES[key.state] || "Unknown"}`,
+        { state: key.state, deletionDate: key.deletionDate }));
+    } else if (rules.state.pendingDeletion && key.dualAuthDelete?.keySetForDeletion) {
+      findings.push(finding("state", rules, key, "Key is set for deletion (dual authorization pending)",
+        { authExpiration: key.dualAuthDelete.authExpiration }));
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Build the report. Rotation policies are only fetched for active root keys
+ * and only when that rule is enabled, since it costs one request per key.
+ * Keys for which `filter` returns false are left out and only counted.
+ */
+export async function buildKeyReport(kp, { rules: overrides, keyRing, filter, concurrency = 8, now = Date.now() } = {}) {
+  const rules = resolveRules(overrides);
+  const listed = await listAllKeys(kp, { state: [0, 1, 2, 3, 5], keyRing });
+  const keys = filter ? listed.filter(filter) : listed;
+
+  const policies = new Map();
+  if (rules.rotationPolicyAbsent.enabled) {
+    const rootKeys = keys.filter(k => !k.extractable && k.state === 1);
+    await mapWithConcurrency(rootKeys, concurrency, async (key) => {
+      try {
+        policies.set(key.id, await getKeyPolicies(kp, key.id));
+      } catch (error) {
+        policies.set(key.id, { error: error.message });
+      }
+    });
+  }
+
+  const findings = keys.flatMap(key => evaluateKey(key, rules, policies.get(key.id), now));
+  findings.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity)
+    || a.rule.localeCompare(b.rule) || (a.name || "").localeCompare(b.name || ""));
+
+  const bySeverity = Object.fromEntries(SEVERITIES.map(s => [s, 0]));
+  const byRule = Object.fromEntries(Object.keys(rules).map(r => [r, 0]));
+  for (const f of findings) {
+    bySeverity[f.severity]++;
+    byRule[f.rule]++;
+  }
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    profile: kp.profile,
+    instanceId: kp.instanceId,
+    keyRing: keyRing || undefined,
+    rules,
+    summary: {
+      totalKeys: keys.length,
+      rootKeys: keys.filter(k => !k.extractable).length,
+      standardKeys: keys.filter(k => k.extractable).length,
+      keysWithFindings: new Set(findings.map(f => f.keyId)).size,
+      findings: findings.length,
+      excludedKeys: listed.length - keys.length || undefined,
+      bySeverity,
+      byRule,
+    },
+    findings,
+  };
+}
+
+// Highest severity present, for exit codes and alerting
+export function worstSeverity(report) {
+  return [...SEVERITIES].reverse().find(s => report.summary.bySeverity[s] > 0) || null;
+}
+
+function mdCell(value) {
+  return String(value ?? "").replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+export function toMarkdown(report) {
+  const { summary } = report;
+  const lines = [
+    "# Key Protect Compliance Report",
+    "",
+    `- Instance: \`${report.instanceId}\` (profile \`${report.profile}\`)${report.keyRing ? ` (key ring \`${report.keyRing}\`)` : ""}`,
+    `- Generated: ${report.generatedAt}`,
+    `- Keys: ${summary.totalKeys} (${summary.rootKeys} root, ${summary.standardKeys} standard), ${summary.keysWithFindings} with findings`,
+    ...(summary.excludedKeys ? [`- Keys left out by the access policy: ${summary.excludedKeys}`] : []),
+    "",
+    "## Summary",
+    "",
+    "| Severity | Findings |",
+    "|----------|----------|",
+    ...[...SEVERITIES].reverse().map(s => `| ${s} | ${summary.bySeverity[s]} |`),
+    "",
+    "| Rule | Findings |",
+    "|------|----------|",
+    ...Object.entries(summary.byRule).map(([rule, count]) =>
+      `| ${rule}${report.rules[rule].enabled ? "" : " (disabled)"} | ${count} |`),
+    "",
+    "## Findings",
+    "",
+  ];
+
+  if (!report.findings.length) {
+    lines.push("No findings.");
+  } else {
+    lines.push("| Severity | Rule | Key | Type | State | Finding |");
+    lines.push("|----------|------|-----|------|-------|---------|");
+    for (const f of report.findings) {
+      lines.push(`| ${f.severity} | ${f.rule} | ${mdCell(f.name)} (\`${f.keyId}\`) | ${f.type} | ${f.state} | ${mdCell(f.message)} |`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+export function toCsv(report) {
+  const columns = ["severity", "rule", "keyId", "name", "type", "state", "message"];
+  const rows = report.findings.map(f => columns.map(c => csvCell(f[c])).join(","));
+  return [columns.join(","), ...rows].join("\n") + "\n";
+}
+
+export function renderReport(report, format = "json") {
+  switch (format) {
+    case "markdown":
+      return toMarkdown(report);
+    case "csv":
+      return toCsv(report);
+    case "json":
+      return JSON.stringify(report, null, 2);
+    default:
+      throw new Error(`Unknown report format: ${format}. Use json, markdown or csv.`);
+  }
+}
+
+export async function writeReport(outputPath, text) {
+  await writeFile(outputPath, text, { mode: 0o600 });
+}
@@ -0,0 +1,814 @@
+/**
+ * Local Key Protect emulator
+ *
+ * In-process stand-in for the IBM Key Protect SDK client (IbmKeyProtectApiV2).
+ * Methods take the same parameters and resolve to the same `{ status, result }`
+ * response shape, so handlers written against the real SDK run unchanged.
+ *
+ * Keys, versions and key material are kept per instance ID and persisted to a
+ * local JSON file. Key material is random and never leaves this process except
+ * for extractable standard keys, exactly as with the real service.
+ *
+ * NOT an HSM: use only for development and tests.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+export const DEFAULT_LOCAL_STORE = path.join(os.homedir(), ".ibmz-mcp", "keyprotect-local.json");
+
+const KEY_MIME = "application/vnd.ibm.kms.key+json";
+const REGISTRATION_MIME = "application/vnd.ibm.kms.registration+json";
+const POLICY_MIME = "application/vnd.ibm.kms.policy+json";
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ALIAS_PATTERN = /^[A-Za-z0-9_-]{2,90}$/;
+const KEY_RING_PATTERN = /^[A-Za-z0-9-]{2,100}$/;
+const RESERVED_ALIASES = [
+  "allowed_ip", "key", "keys", "metadata", "policy", "policies", "registration",
+  "registrations", "ring", "rings", "rotate", "wrap", "unwrap", "rewrap", "version", "versions",
+];
+const MAX_ALIASES = 5;
+
+const RESTORE_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+const PURGE_DELAY_MS = 4 * 60 * 60 * 1000;
+const TAG_BYTES = 16;
+
+const INSTANCE_POLICY_TYPES = ["allowedNetwork", "dualAuthDelete", "keyCreateImportAccess", "allowedIP", "metrics"];
+const ERROR_MIME = "application/vnd.ibm.kms.error+json";
+
+// NIST SP 800-57 states, as used by Key Protect
+export const KEY_STATES = {
+  PRE_ACTIVATION: 0,
+  ACTIVE: 1,
+  SUSPENDED: 2,
+  DEACTIVATED: 3,
+  DESTROYED: 5,
+};
+
+const REASONS = {
+  400: "BAD_BODY_ERR",
+  403: "FORBIDDEN_ERR",
+  404: "KEY_NOT_FOUND_ERR",
+  409: "KEY_ACTION_INVALID_VIA_STATE_ERR",
+  410: "KEY_DELETED_ERR",
+  422: "UNPROCESSABLE_ERR",
+};
+
+const STATUS_TEXT = {
+  200: "OK",
+  201: "Created",
+  204: "No Content",
+  400: "Bad Request",
+  403: "Forbidden",
+  404: "Not Found",
+  409: "Conflict",
+  410: "Gone",
+  422: "Unprocessable Entity",
+};
+
+// Build an error shaped like the ones thrown by ibm-cloud-sdk-core
+function kmsError(status, message, code = REASONS[status]) {
+  const result = {
+    metadata: { collectionType: ERROR_MIME, collectionTotal: 1 },
+    resources: [{
+      errorMsg: `${STATUS_TEXT[status]}: ${message}`,
+      reasons: [{ code, message, status }],
+    }],
+  };
+  const error = new Error(`${STATUS_TEXT[status]}: ${message}`);
+  error.status = status;
+  error.statusText = STATUS_TEXT[status];
+  error.result = result;
+  error.body = JSON.stringify(result);
+  error.headers = { "correlation-id": crypto.randomUUID() };
+  return error;
+}
+
+function respond(status, result = {}) {
+  return {
+    status,
+    statusText: STATUS_TEXT[status],
+    headers: { "correlation-id": crypto.randomUUID() },
+    result,
+  };
+}
+
+function collection(resources, collectionType = KEY_MIME) {
+  return {
+    metadata: { collectionType, collectionTotal: resources.length },
+    resources,
+  };
+}
+
+// AAD is bound to the wrapped ciphertext exactly as Key Protect does
+function aadBuffer(aad) {
+  return Buffer.from(JSON.stringify(aad || []), "utf8");
+}
+
+export class LocalKeyProtectClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storePath] - JSON file for persistence; `null` keeps state in memory only
+   * @param {string} [options.createdBy] - Identity recorded on created keys
+   * @param {number} [options.purgeDelayMs] - Minimum time between delete and purge (Key Protect: 4 hours)
+   */
+  constructor({ storePath = DEFAULT_LOCAL_STORE, createdBy = "local-emulator", purgeDelayMs = PURGE_DELAY_MS } = {}) {
+    this.storePath = storePath;
+    this.createdBy = createdBy;
+    this.purgeDelayMs = purgeDelayMs;
+    this.state = { instances: {} };
+    this.load();
+  }
+
+  load() {
+    if (!this.storePath || !fs.existsSync(this.storePath)) {
+      return;
+    }
+    this.state = JSON.parse(fs.readFileSync(this.storePath, "utf8"));
+    this.state.instances ||= {};
+  }
+
+  // The same keys as seen by another user, e.g. the second approver of a dual authorization delete
+  withIdentity(identity) {
+    return Object.create(this, { createdBy: { value: identity } });
+  }
+
+  save() {
+    if (!this.storePath) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true, mode: 0o700 });
+    const tmp = `${this.storePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.state, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, this.storePath);
+  }
+
+  instance(bluemixInstance) {
+    if (!bluemixInstance) {
+      throw kmsError(400, "Bluemix-Instance header is required", "BAD_HEADER_ERR");
+    }
+    const inst = this.state.instances[bluemixInstance] ||= { keys: {} };
+    inst.registrations ||= [];
+    inst.policies ||= {};
+    inst.keyRings ||= {
+      default: { id: "default", createdBy: this.createdBy, creationDate: new Date().toISOString() },
+    };
+    return inst;
+  }
+
+  // Like Key Protect, accept an alias wherever a key ID is expected
+  findKey(bluemixInstance, id) {
+    const keys = this.instance(bluemixInstance).keys;
+    const key = keys[id] || Object.values(keys).find(k => k.aliases?.includes(id));
+    if (!key) {
+      throw kmsError(404, "Key could not be found");
+    }
+    return key;
+  }
+
+  // Key must exist, not be destroyed and be in one of the allowed states
+  usableKey(bluemixInstance, id, { rootOnly = false, states = [KEY_STATES.ACTIVE] } = {}) {
+    const key = this.findKey(bluemixInstance, id);
+    if (key.state === KEY_STATES.DESTROYED) {
+      throw kmsError(410, "The key has been deleted");
+    }
+    if (rootOnly && key.extractable) {
+      throw kmsError(400, "This action can only be performed on root keys", "KEY_ROOT_REQ_ERR");
+    }
+    if (!states.includes(key.state)) {
+      throw kmsError(409, `Key is not in a valid state for this action (state ${key.state})`);
+    }
+    return key;
+  }
+
+  crn(bluemixInstance, id) {
+    return `crn:v1:local:public:kms:local:a/local:${bluemixInstance}:key:${id}`;
+  }
+
+  // Public view of a key, matching the Key Protect resource shape
+  describe(key, { includePayload = false } = {}) {
+    const latest = key.versions[key.versions.length - 1];
+    const resource = {
+      type: KEY_MIME,
+      id: key.id,
+      name: key.name,
+      description: key.description,
+      state: key.state,
+      extractable: key.extractable,
+      imported: key.imported,
+      crn: key.crn,
+      keyRingID: key.keyRingID,
+      aliases: key.aliases?.length ? [...key.aliases] : undefined,
+      algorithmType: "AES",
+      algorithmMetadata: { bitLength: "256", mode: "CBC_PAD" },
+      createdBy: key.createdBy,
+      creationDate: key.creationDate,
+      lastUpdateDate: key.lastUpdateDate,
+      lastRotateDate: key.lastRotateDate,
+      keyVersion: latest && { id: latest.id, creationDate: latest.creationDate },
+      lastUseDate: key.lastUseDate,
+      dualAuthDelete: {
+        enabled: Boolean(key.dualAuth?.enabled),
+        keySetForDeletion: Boolean(key.dualAuth?.setForDeletion),
+        authExpiration: key.dualAuth?.authExpiration,
+      },
+      deleted: key.state === KEY_STATES.DESTROYED,
+      deletionDate: key.deletionDate,
+      deletedBy: key.deletedBy,
+    };
+
+    if (includePayload && key.extractable && key.state !== KEY_STATES.DESTROYED) {
+      resource.payload = latest.material;
+    }
+    return resource;
+  }
+
+  newVersion(payload) {
+    const material = payload || crypto.randomBytes(32).toString("base64");
+    if (Buffer.from(material, "base64").length !== 32) {
+      throw kmsError(400, "Key material must be 256 bits (32 bytes) base64 encoded", "KEY_PAYLOAD_REQ_ERR");
+    }
+    return {
+      id: crypto.randomUUID(),
+      creationDate: new Date().toISOString(),
+      material,
+    };
+  }
+
+  seal(key, version, plaintext, aad) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", Buffer.from(version.material, "base64"), iv, { authTagLength: TAG_BYTES });
+    cipher.setAAD(aadBuffer(aad));
+    const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    // Opaque to callers; records which key version produced it
+    return Buffer.from(JSON.stringify({
+      k: key.id,
+      v: version.id,
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      ct: ct.toString("base64"),
+    })).toString("base64");
+  }
+
+  open(key, ciphertext, aad) {
+    let parsed;
+    try {
+      parsed = JSON.parse(Buffer.from(ciphertext, "base64").toString("utf8"));
+    } catch {
+      throw kmsError(422, "The provided ciphertext is invalid or corrupted", "INVALID_CIPHERTEXT_ERR");
+    }
+
+    const version = key.versions.find(v => v.id === parsed.v);
+    if (parsed.k !== key.id || !version) {
+      throw kmsError(422, "The provided ciphertext was not wrapped by this key", "INVALID_CIPHERTEXT_ERR");
+    }
+
+    // Only full-length tags: a truncated one would still verify
+    const tag = Buffer.from(String(parsed.tag ?? ""), "base64");
+    if (tag.length !== TAG_BYTES) {
+      throw kmsError(422, "The provided ciphertext is invalid or corrupted", "INVALID_CIPHERTEXT_ERR");
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(
+        "aes-256-gcm",
+        Buffer.from(version.material, "base64"),
+        Buffer.from(parsed.iv, "base64"),
+        { authTagLength: TAG_BYTES }
+      );
+      decipher.setAAD(aadBuffer(aad));
+      decipher.setAuthTag(tag);
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(parsed.ct, "base64")), decipher.final()]);
+      return { plaintext, version };
+    } catch {
+      throw kmsError(422, "The provided ciphertext is invalid or the additional authentication data (AAD) does not match", "INVALID_CIPHERTEXT_ERR");
+    }
+  }
+
+  checkAlias(inst, alias) {
+    if (!ALIAS_PATTERN.test(alias) || UUID_PATTERN.test(alias) || RESERVED_ALIASES.includes(alias)) {
+      throw kmsError(400, `Invalid alias "${alias}"`, "KEY_ALIAS_INVALID_ERR");
+    }
+    if (Object.values(inst.keys).some(k => k.aliases?.includes(alias))) {
+      throw kmsError(409, `Alias "${alias}" is already in use in this instance`, "KEY_ALIAS_NOT_UNIQUE_ERR");
+    }
+  }
+
+  touch(key) {
+    key.lastUseDate = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Emulator-only: record that a resource is protected by a key, as an IBM
+   * Cloud service (COS, Databases, ...) would when it registers a key.
+   */
+  registerResource(bluemixInstance, keyId, resourceCrn, { preventKeyDeletion = false, description } = {}) {
+    const key = this.findKey(bluemixInstance, keyId);
+    const now = new Date().toISOString();
+    this.instance(bluemixInstance).registrations.push({
+      keyId: key.id,
+      resourceCrn,
+      description,
+      preventKeyDeletion,
+      keyVersion: { id: key.versions[key.versions.length - 1].id },
+      createdBy: this.createdBy,
+      creationDate: now,
+      updatedBy: this.createdBy,
+      lastUpdated: now,
+    });
+    this.save();
+  }
+
+  // ============ SDK-compatible methods ============
+
+  async getKeys({ bluemixInstance, limit = 200, offset = 0, state, extractable, xKmsKeyRing }) {
+    const states = state?.length ? state.map(Number) : [KEY_STATES.PRE_ACTIVATION, KEY_STATES.ACTIVE, KEY_STATES.SUSPENDED, KEY_STATES.DEACTIVATED];
+    let keys = Object.values(this.instance(bluemixInstance).keys)
+      .filter(k => states.includes(k.state));
+    if (extractable !== undefined) {
+      keys = keys.filter(k => k.extractable === extractable);
+    }
+    if (xKmsKeyRing) {
+      keys = keys.filter(k => k.keyRingID === xKmsKeyRing);
+    }
+    keys.sort((a, b) => a.creationDate.localeCompare(b.creationDate));
+
+    const page = keys.slice(offset, offset + limit).map(k => this.describe(k));
+    return respond(200, collection(page));
+  }
+
+  async createKey({ bluemixInstance, keyCreateBody, xKmsKeyRing = "default" }) {
+    const body = keyCreateBody?.resources?.[0];
+    if (!body?.name) {
+      throw kmsError(400, "Key name is required", "BAD_BODY_ERR");
+    }
+
+    const inst = this.instance(bluemixInstance);
+    const access = inst.policies.keyCreateImportAccess?.policy_data;
+    if (access?.enabled) {
+      const kind = `${body.payload ? "import" : "create"}_${body.extractable ? "standard" : "root"}_key`;
+      if (access.attributes?.[kind] === false) {
+        throw kmsError(403, `The instance keyCreateImportAccess policy does not allow ${kind}`, "KEY_CREATE_IMPORT_ACCESS_ERR");
+      }
+    }
+
+    if (!inst.keyRings[xKmsKeyRing]) {
+      throw kmsError(404, `Key ring "${xKmsKeyRing}" could not be found`, "KEY_RING_NOT_FOUND_ERR");
+    }
+    const aliases = body.aliases || [];
+    if (aliases.length > MAX_ALIASES) {
+      throw kmsError(400, `A key can have at most ${MAX_ALIASES} aliases`, "KEY_ALIAS_QUOTA_ERR");
+    }
+    aliases.forEach(alias => this.checkAlias(inst, alias));
+
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    const key = {
+      id,
+      aliases: [...aliases],
+      name: body.name,
+      description: body.description,
+      extractable: Boolean(body.extractable),
+      imported: Boolean(body.payload),
+      state: KEY_STATES.ACTIVE,
+      crn: this.crn(bluemixInstance, id),
+      keyRingID: xKmsKeyRing,
+      createdBy: this.createdBy,
+      creationDate: now,
+      lastUpdateDate: now,
+      versions: [this.newVersion(body.payload)],
+      dualAuth: { enabled: Boolean(inst.policies.dualAuthDelete?.policy_data?.enabled) },
+      policies: {},
+    };
+
+    inst.keys[id] = key;
+    this.save();
+    return respond(201, collection([this.describe(key, { includePayload: true })]));
+  }
+
+  async getKey({ bluemixInstance, id }) {
+    const key = this.findKey(bluemixInstance, id);
+    return respond(200, collection([this.describe(key, { includePayload: true })]));
+  }
+
+  async getKeyMetadata({ bluemixInstance, id }) {
+    const key = this.findKey(bluemixInstance, id);
+    return respond(200, collection([this.describe(key)]));
+  }
+
+  async wrapKey({ bluemixInstance, id, keyActionWrapBody = {} }) {
+    const key = this.usableKey(bluemixInstance, id, { rootOnly: true });
+    const version = key.versions[key.versions.length - 1];
+    const generated = !keyActionWrapBody.plaintext;
+    const plaintext = generated
+      ? crypto.randomBytes(32)
+      : Buffer.from(keyActionWrapBody.plaintext, "base64");
+
+    const result = {
+      ciphertext: this.seal(key, version, plaintext, keyActionWrapBody.aad),
+      keyVersion: { id: version.id, creationDate: version.creationDate },
+    };
+    if (generated) {
+      result.plaintext = plaintext.toString("base64");
+    }
+    this.touch(key);
+    return respond(200, result);
+  }
+
+  async unwrapKey({ bluemixInstance, id, keyActionUnwrapBody = {} }) {
+    const key = this.usableKey(bluemixInstance, id, { rootOnly: true });
+    const { plaintext, version } = this.open(key, keyActionUnwrapBody.ciphertext, keyActionUnwrapBody.aad);
+    const latest = key.versions[key.versions.length - 1];
+
+    const result = {
+      plaintext: plaintext.toString("base64"),
+      keyVersion: { id: version.id, creationDate: version.creationDate },
+    };
+
+    // Like Key Protect, hand back a ciphertext for the latest version after rotation
+    if (version.id !== latest.id) {
+      result.ciphertext = this.seal(key, latest, plaintext, keyActionUnwrapBody.aad);
+      result.rewrappedKeyVersion = { id: latest.id, creationDate: latest.creationDate };
+    }
+    this.touch(key);
+    return respond(200, result);
+  }
+
+  async rewrapKey({ bluemixInstance, id, keyActionRewrapBody = {} }) {
+    const key = this.usableKey(bluemixInstance, id, { rootOnly: true });
+    const { plaintext, version } = this.open(key, keyActionRewrapBody.ciphertext, keyActionRewrapBody.aad);
+    const latest = key.versions[key.versions.length - 1];
+    this.touch(key);
+
+    return respond(200, {
+      ciphertext: this.seal(key, latest, plaintext, keyActionRewrapBody.aad),
+      keyVersion: { id: version.id, creationDate: version.creationDate },
+      rewrappedKeyVersion: { id: latest.id, creationDate: latest.creationDate },
+    });
+  }
+
+  async rotateKey({ bluemixInstance, id, keyActionRotateBody }) {
+    const key = this.usableKey(bluemixInstance, id, { rootOnly: true });
+    if (key.imported && !keyActionRotateBody?.payload) {
+      throw kmsError(400, "Imported keys must be rotated with a new payload", "KEY_PAYLOAD_REQ_ERR");
+    }
+    if (!key.imported && keyActionRotateBody?.payload) {
+      throw kmsError(400, "Keys generated by Key Protect cannot be rotated with a payload", "BAD_BODY_ERR");
+    }
+
+    const now = new Date().toISOString();
+    key.versions.push(this.newVersion(keyActionRotateBody?.payload));
+    key.lastRotateDate = now;
+    key.lastUpdateDate = now;
+    this.save();
+    return respond(204);
+  }
+
+  async deleteKey({ bluemixInstance, id, force = false }) {
+    const key = this.findKey(bluemixInstance, id);
+    if (key.state === KEY_STATES.DESTROYED) {
+      throw kmsError(410, "The key has been deleted");
+    }
+
+    const registrations = this.instance(bluemixInstance).registrations.filter(r => r.keyId === key.id);
+    if (registrations.some(r => r.preventKeyDeletion)) {
+      throw kmsError(409, "The key is protecting a resource that prevents key deletion", "PROTECTED_RESOURCE_ERR");
+    }
+    if (registrations.length && !force) {
+      throw kmsError(409, "The key cannot be deleted because it is protecting one or more cloud resources", "PROTECTED_RESOURCE_ERR");
+    }
+
+    // Dual authorization: a prior set-for-deletion by another user is required
+    if (key.dualAuth?.enabled) {
+      const authorized = key.dualAuth.setForDeletion && new Date(key.dualAuth.authExpiration) > new Date();
+      if (!authorized) {
+        throw kmsError(409, "The key has a dual authorization policy and must be set for deletion first", "AUTHORIZATIONS_NOT_MET");
+      }
+      if (key.dualAuth.setBy === this.createdBy) {
+        throw kmsError(409, `The key was set for deletion by ${this.createdBy}; a different user must delete it`, "AUTHORIZATIONS_NOT_MET");
+      }
+    }
+
+    const now = new Date().toISOString();
+    key.state = KEY_STATES.DESTROYED;
+    key.deletionDate = now;
+    key.deletedBy = this.createdBy;
+    key.lastUpdateDate = now;
+    this.save();
+    return respond(200, collection([this.describe(key)]));
+  }
+
+  async disableKey({ bluemixInstance, id }) {
+    const key = this.usableKey(bluemixInstance, id);
+    key.state = KEY_STATES.SUSPENDED;
+    key.lastUpdateDate = new Date().toISOString();
+    this.save();
+    return respond(204);
+  }
+
+  async enableKey({ bluemixInstance, id }) {
+    const key = this.usableKey(bluemixInstance, id, { states: [KEY_STATES.SUSPENDED] });
+    key.state = KEY_STATES.ACTIVE;
+    key.lastUpdateDate = new Date().toISOString();
+    this.save();
+    return respond(204);
+  }
+
+  async restoreKey({ bluemixInstance, id, keyRestoreBody }) {
+    const key = this.findKey(bluemixInstance, id);
+    if (key.state !== KEY_STATES.DESTROYED) {
+      throw kmsError(409, "Only deleted keys can be restored", "KEY_ACTION_INVALID_VIA_STATE_ERR");
+    }
+    if (Date.now() - new Date(key.deletionDate).getTime() > RESTORE_WINDOW_MS) {
+      throw kmsError(409, "The key was deleted more than 30 days ago and can no longer be restored", "KEY_RESTORE_EXPIRED");
+    }
+
+    const payload = keyRestoreBody?.resources?.[0]?.payload;
+    if (key.imported) {
+      const latest = key.versions[key.versions.length - 1];
+      if (!payload) {
+        throw kmsError(400, "Imported keys require the original key material to be restored", "KEY_PAYLOAD_REQ_ERR");
+      }
+      if (payload !== latest.material) {
+        throw kmsError(400, "The key material does not match the deleted key", "KEY_IMPORT_MISMATCH_ERR");
+      }
+    }
+
+    const now = new Date().toISOString();
+    key.state = KEY_STATES.ACTIVE;
+    key.deletionDate = undefined;
+    key.deletedBy = undefined;
+    key.lastUpdateDate = now;
+    if (key.dualAuth) {
+      key.dualAuth.setForDeletion = false;
+      key.dualAuth.authExpiration = undefined;
+      key.dualAuth.setBy = undefined;
+    }
+    this.save();
+    return respond(201, collection([this.describe(key)]));
+  }
+
+  async purgeKey({ bluemixInstance, id }) {
+    const key = this.findKey(bluemixInstance, id);
+    if (key.state !== KEY_STATES.DESTROYED) {
+      throw kmsError(409, "Only deleted keys can be purged", "KEY_ACTION_INVALID_VIA_STATE_ERR");
+    }
+    if (Date.now() - new Date(key.deletionDate).getTime() < this.purgeDelayMs) {
+      throw kmsError(409, "A key can only be purged 4 hours after it was deleted", "KEY_PURGE_TOO_EARLY");
+    }
+
+    const inst = this.instance(bluemixInstance);
+    delete inst.keys[key.id];
+    inst.registrations = inst.registrations.filter(r => r.keyId !== key.id);
+    this.save();
+    return respond(200, collection([this.describe(key)]));
+  }
+
+  async getKeyVersions({ bluemixInstance, id, limit = 200, offset = 0 }) {
+    const key = this.findKey(bluemixInstance, id);
+    const versions = key.versions
+      .map(v => ({ id: v.id, creationDate: v.creationDate }))
+      .reverse();
+    return respond(200, {
+      metadata: { collectionType: "application/vnd.ibm.kms.key_version+json", collectionTotal: versions.length },
+      resources: versions.slice(offset, offset + limit),
+    });
+  }
+
+  async setKeyForDeletion({ bluemixInstance, id }) {
+    const key = this.usableKey(bluemixInstance, id, { states: [KEY_STATES.ACTIVE, KEY_STATES.SUSPENDED, KEY_STATES.DEACTIVATED] });
+    if (!key.dualAuth?.enabled) {
+      throw kmsError(409, "The key does not have a dual authorization policy", "NOT_DUAL_AUTH_ERR");
+    }
+    key.dualAuth.setForDeletion = true;
+    key.dualAuth.authExpiration = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+    key.dualAuth.setBy = this.createdBy;
+    key.lastUpdateDate = new Date().toISOString();
+    this.save();
+    return respond(204);
+  }
+
+  async unsetKeyForDeletion({ bluemixInstance, id }) {
+    const key = this.usableKey(bluemixInstance, id, { states: [KEY_STATES.ACTIVE, KEY_STATES.SUSPENDED, KEY_STATES.DEACTIVATED] });
+    if (!key.dualAuth?.setForDeletion) {
+      throw kmsError(409, "The key is not set for deletion", "KEY_ACTION_INVALID_VIA_STATE_ERR");
+    }
+    key.dualAuth.setForDeletion = false;
+    key.dualAuth.authExpiration = undefined;
+    key.dualAuth.setBy = undefined;
+    key.lastUpdateDate = new Date().toISOString();
+    this.save();
+    return respond(204);
+  }
+
+  async getPolicy({ bluemixInstance, id, policy }) {
+    const key = this.findKey(bluemixInstance, id);
+    const resources = Object.entries(key.policies || {})
+      .filter(([type]) => !policy || type === policy)
+      .map(([type, record]) => ({
+        type: POLICY_MIME,
+        id: record.id,
+        crn: `${key.crn}:policy:${record.id}`,
+        [type]: record.value,
+        createdBy: record.createdBy,
+        creationDate: record.creationDate,
+        updatedBy: record.updatedBy,
+        lastUpdateDate: record.lastUpdateDate,
+      }));
+    return respond(200, collection(resources, POLICY_MIME));
+  }
+
+  async putPolicy({ bluemixInstance, id, policy, setKeyPoliciesOneOf }) {
+    const key = this.usableKey(bluemixInstance, id, { states: [KEY_STATES.ACTIVE, KEY_STATES.SUSPENDED, KEY_STATES.DEACTIVATED] });
+    const body = setKeyPoliciesOneOf?.resources?.[0] || {};
+    const type = policy || (body.rotation ? "rotation" : body.dualAuthDelete ? "dualAuthDelete" : null);
+    const value = body[type];
+    if (!value) {
+      throw kmsError(400, "Policy body must contain a rotation or dualAuthDelete policy", "BAD_BODY_ERR");
+    }
+
+    if (type === "rotation") {
+      if (key.extractable) {
+        throw kmsError(400, "Rotation policies can only be set on root keys", "KEY_ROOT_REQ_ERR");
+      }
+      if (!Number.isInteger(value.interval_month) || value.interval_month < 1 || value.interval_month > 12) {
+        throw kmsError(400, "interval_month must be between 1 and 12", "BAD_BODY_ERR");
+      }
+    }
+    if (type === "dualAuthDelete") {
+      key.dualAuth = { ...key.dualAuth, enabled: Boolean(value.enabled) };
+    }
+
+    const now = new Date().toISOString();
+    key.policies ||= {};
+    const existing = key.policies[type];
+    key.policies[type] = {
+      id: existing?.id || crypto.randomUUID(),
+      value: { ...value },
+      createdBy: existing?.createdBy || this.createdBy,
+      creationDate: existing?.creationDate || now,
+      updatedBy: this.createdBy,
+      lastUpdateDate: now,
+    };
+    key.lastUpdateDate = now;
+    this.save();
+    return this.getPolicy({ bluemixInstance, id, policy: type });
+  }
+
+  async getInstancePolicy({ bluemixInstance, policy }) {
+    const policies = this.instance(bluemixInstance).policies;
+    const resources = Object.entries(policies)
+      .filter(([type]) => !policy || type === policy)
+      .map(([type, record]) => ({ policy_type: type, ...record }));
+    return respond(200, collection(resources, POLICY_MIME));
+  }
+
+  async putInstancePolicy({ bluemixInstance, policy, setInstancePoliciesOneOf }) {
+    const body = setInstancePoliciesOneOf?.resources?.[0] || {};
+    const type = policy || body.policy_type;
+    if (!INSTANCE_POLICY_TYPES.includes(type) || !body.policy_data) {
+      throw kmsError(400, `Unknown or malformed instance policy: ${type}`, "BAD_BODY_ERR");
+    }
+
+    const policies = this.instance(bluemixInstance).policies;
+    const now = new Date().toISOString();
+    policies[type] = {
+      policy_data: body.policy_data,
+      createdBy: policies[type]?.createdBy || this.createdBy,
+      creationDate: policies[type]?.creationDate || now,
+      updatedBy: this.createdBy,
+      lastUpdated: now,
+    };
+    this.save();
+    return respond(204);
+  }
+
+  async createKeyAlias({ bluemixInstance, id, alias }) {
+    const inst = this.instance(bluemixInstance);
+    const key = this.usableKey(bluemixInstance, id, { states: [KEY_STATES.ACTIVE, KEY_STATES.SUSPENDED, KEY_STATES.DEACTIVATED] });
+    key.aliases ||= [];
+    if (key.aliases.includes(alias)) {
+      throw kmsError(409, `Alias "${alias}" is already assigned to this key`, "KEY_ALIAS_NOT_UNIQUE_ERR");
+    }
+    if (key.aliases.length >= MAX_ALIASES) {
+      throw kmsError(400, `A key can have at most ${MAX_ALIASES} aliases`, "KEY_ALIAS_QUOTA_ERR");
+    }
+    this.checkAlias(inst, alias);
+
+    key.aliases.push(alias);
+    key.lastUpdateDate = new Date().toISOString();
+    this.save();
+    return respond(201, collection([{
+      keyId: key.id,
+      alias,
+      createdBy: this.createdBy,
+      creationDate: key.lastUpdateDate,
+    }], "application/vnd.ibm.kms.key_alias+json"));
+  }
+
+  async deleteKeyAlias({ bluemixInstance, id, alias }) {
+    const key = this.findKey(bluemixInstance, id);
+    if (!key.aliases?.includes(alias)) {
+      throw kmsError(404, `Alias "${alias}" could not be found on this key`, "KEY_ALIAS_NOT_FOUND_ERR");
+    }
+    key.aliases = key.aliases.filter(a => a !== alias);
+    key.lastUpdateDate = new Date().toISOString();
+    this.save();
+    return respond(204);
+  }
+
+  async listKeyRings({ bluemixInstance }) {
+    const rings = Object.values(this.instance(bluemixInstance).keyRings);
+    return respond(200, collection(rings, "application/vnd.ibm.kms.key_ring+json"));
+  }
+
+  async createKeyRing({ bluemixInstance, keyRingId }) {
+    const inst = this.instance(bluemixInstance);
+    if (!KEY_RING_PATTERN.test(keyRingId || "")) {
+      throw kmsError(400, "Key ring IDs must be 2-100 characters of letters, digits and '-'", "KEY_RING_INVALID_ERR");
+    }
+    if (inst.keyRings[keyRingId]) {
+      throw kmsError(409, `Key ring "${keyRingId}" already exists`, "KEY_RING_NOT_UNIQUE_ERR");
+    }
+    inst.keyRings[keyRingId] = { id: keyRingId, createdBy: this.createdBy, creationDate: new Date().toISOString() };
+    this.save();
+    return respond(201);
+  }
+
+  async deleteKeyRing({ bluemixInstance, keyRingId, force = false }) {
+    const inst = this.instance(bluemixInstance);
+    if (!inst.keyRings[keyRingId]) {
+      throw kmsError(404, `Key ring "${keyRingId}" could not be found`, "KEY_RING_NOT_FOUND_ERR");
+    }
+    if (keyRingId === "default") {
+      throw kmsError(400, "The default key ring cannot be deleted", "KEY_RING_RESERVED_ERR");
+    }
+
+    const members = Object.values(inst.keys).filter(k => k.keyRingID === keyRingId);
+    if (members.some(k => k.state !== KEY_STATES.DESTROYED)) {
+      throw kmsError(409, "The key ring still contains keys that are not deleted", "KEY_RING_KEYS_NOT_DELETED");
+    }
+    if (members.length && !force) {
+      throw kmsError(409, "The key ring contains deleted keys; use force to move them to the default key ring", "KEY_RING_NOT_EMPTY_ERR");
+    }
+
+    members.forEach(k => { k.keyRingID = "default"; });
+    delete inst.keyRings[keyRingId];
+    this.save();
+    return respond(204);
+  }
+
+  async patchKey({ bluemixInstance, id, keyPatchBody = {} }) {
+    const inst = this.instance(bluemixInstance);
+    const key = this.usableKey(bluemixInstance, id, { states: [KEY_STATES.ACTIVE, KEY_STATES.SUSPENDED, KEY_STATES.DEACTIVATED] });
+    if (keyPatchBody.keyRingID) {
+      if (!inst.keyRings[keyPatchBody.keyRingID]) {
+        throw kmsError(404, `Key ring "${keyPatchBody.keyRingID}" could not be found`, "KEY_RING_NOT_FOUND_ERR");
+      }
+      key.keyRingID = keyPatchBody.keyRingID;
+    }
+    key.lastUpdateDate = new Date().toISOString();
+    this.save();
+    return respond(200, collection([this.describe(key)]));
+  }
+
+  async getRegistrations({ bluemixInstance, id, limit = 200, offset = 0, preventKeyDeletion, urlEncodedResourceCrnQuery }) {
+    const key = this.findKey(bluemixInstance, id);
+    const all = this.filterRegistrations(bluemixInstance, { preventKeyDeletion, urlEncodedResourceCrnQuery })
+      .filter(r => r.keyId === key.id);
+    return respond(200, {
+      metadata: { collectionType: REGISTRATION_MIME, collectionTotal: all.length },
+      resources: all.slice(offset, offset + limit),
+    });
+  }
+
+  async getRegistrationsAllKeys({ bluemixInstance, limit = 200, offset = 0, preventKeyDeletion, urlEncodedResourceCrnQuery, xKmsKeyRing }) {
+    const keys = this.instance(bluemixInstance).keys;
+    const all = this.filterRegistrations(bluemixInstance, { preventKeyDeletion, urlEncodedResourceCrnQuery })
+      .filter(r => !xKmsKeyRing || keys[r.keyId]?.keyRingID === xKmsKeyRing);
+    return respond(200, {
+      metadata: { collectionType: REGISTRATION_MIME, collectionTotal: all.length },
+      resources: all.slice(offset, offset + limit),
+    });
+  }
+
+  // CRN queries use `*` wildcards per segment, and as a prefix match on the last one
+  filterRegistrations(bluemixInstance, { preventKeyDeletion, urlEncodedResourceCrnQuery }) {
+    let all = this.instance(bluemixInstance).registrations;
+    if (preventKeyDeletion !== undefined) {
+      all = all.filter(r => Boolean(r.preventKeyDeletion) === preventKeyDeletion);
+    }
+    if (urlEncodedResourceCrnQuery) {
+      const query = decodeURIComponent(urlEncodedResourceCrnQuery);
+      const escaped = query.replace(/[.+?^$()|[\]\\{}]/g, "\\$&").replace(/\*/g, "[^:]*");
+      const pattern = new RegExp(`^${escaped}`);
+      all = all.filter(r => pattern.test(r.resourceCrn));
+    }
+    return all;
+  }
+}
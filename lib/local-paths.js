@@ -0,0 +1,89 @@
+/**
+ * Server-local file arguments of remote clients
+ *
+ * Several tools read or write files on the server (file_path, output_path,
+ * copybook_path, checkpoint_path). A stdio client runs on the same machine
+ * as the same user and may name any file. An HTTP client may not: its path
+ * arguments are refused unless IBMZ_HTTP_FILE_ROOT names a directory to keep
+ * them in. There, relative paths are taken from that directory and every
+ * path is resolved with realpath, so neither ".." nor a symbolic link leads
+ * out of it.
+ */
+
+import { lstat, realpath } from "fs/promises";
+import path from "path";
+import { toolError } from "./errors.js";
+
+export const PATH_ARGUMENTS = ["file_path", "output_path", "copybook_path", "checkpoint_path"];
+
+let rootPath = null;
+
+async function fileRoot(root) {
+  rootPath ||= realpath(root).catch((error) => {
+    rootPath = null;
+    throw toolError(`IBMZ_HTTP_FILE_ROOT ${root} cannot be used: ${error.message}`, {
+      category: "configuration",
+      topic: "`File paths are not accepted from HTTP clients`",
+    });
+  });
+  return rootPath;
+}
+
+function inside(root, filePath) {
+  const prefix = root.endsWith(path.sep) ? root : `${root}${path.sep}`;
+  return filePath === root || filePath.startsWith(prefix);
+}
+
+// Real path of `filePath`, which need not exist yet, or null when it is outside `root`
+async function resolveInside(root, filePath) {
+  const target = path.resolve(root, filePath);
+  let real;
+  try {
+    real = await realpath(target);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+    // A link to a missing file would be followed on write
+    if (await lstat(target).then(() => true, () => false)) {
+      return null;
+    }
+    try {
+      real = path.join(await realpath(path.dirname(target)), path.basename(target));
+    } catch (dirError) {
+      if (dirError.code === "ENOENT" && inside(root, target)) {
+        throw toolError(`Directory ${path.dirname(filePath)} does not exist in IBMZ_HTTP_FILE_ROOT`, { category: "not_found" });
+      }
+      return null;
+    }
+  }
+  return inside(root, real) ? real : null;
+}
+
+/**
+ * Check the path arguments of a remote client's call: refused without
+ * `root`, otherwise replaced in `args` by their real path inside it.
+ */
+export async function confinePaths(args, root) {
+  const names = PATH_ARGUMENTS.filter(name => args?.[name]);
+  if (!names.length) {
+    return;
+  }
+  if (!root) {
+    throw toolError(`${names.join(" and ")} cannot be used over HTTP: the server does not accept file paths from remote clients`, {
+      category: "authorization",
+      topic: "`File paths are not accepted from HTTP clients`",
+    });
+  }
+  const real = await fileRoot(root);
+  for (const name of names) {
+    const resolved = await resolveInside(real, String(args[name]));
+    if (!resolved) {
+      throw toolError(`${name} ${args[name]} is outside IBMZ_HTTP_FILE_ROOT`, {
+        category: "authorization",
+        topic: "`File paths are not accepted from HTTP clients`",
+      });
+    }
+    args[name] = resolved;
+  }
+}
@@ -0,0 +1,209 @@
+/**
+ * OpenAPI / Swagger helpers
+ *
+ * Shared by the z/OS Connect mock server and tooling that works from the
+ * service documents returned by `zos_connect_get_service`. Handles both
+ * Swagger 2.0 (what z/OS Connect EE generates) and OpenAPI 3.x.
+ */
+
+export const HTTP_METHODS = ["get", "post", "put", "delete", "patch"];
+
+// Resolve a local JSON pointer ("#/definitions/Account")
+export function resolveRef(doc, ref) {
+  if (!ref.startsWith("#/")) {
+    throw new Error(`Only local $ref values are supported: ${ref}`);
+  }
+  let node = doc;
+  for (const part of ref.slice(2).split("/")) {
+    node = node?.[part.replace(/~1/g, "/").replace(/~0/g, "~")];
+  }
+  if (node === undefined) {
+    throw new Error(`Unresolvable $ref: ${ref}`);
+  }
+  return node;
+}
+
+// Follow $ref chains until a concrete schema or parameter is reached
+export function deref(doc, node) {
+  let current = node;
+  const seen = new Set();
+  while (current && current.$ref) {
+    if (seen.has(current.$ref)) {
+      throw new Error(`Circular $ref: ${current.$ref}`);
+    }
+    seen.add(current.$ref);
+    current = resolveRef(doc, current.$ref);
+  }
+  return current;
+}
+
+export function basePath(doc) {
+  if (doc.basePath) {
+    return doc.basePath.replace(/\/$/, "");
+  }
+  const server = doc.servers?.[0]?.url;
+  if (server) {
+    try {
+      return new URL(server, "http://localhost").pathname.replace(/\/$/, "");
+    } catch {
+      return "";
+    }
+  }
+  return "";
+}
+
+/**
+ * Flatten a document into a list of operations with dereferenced
+ * parameters, request body schema and responses.
+ */
+export function listOperations(doc) {
+  const operations = [];
+  for (const [path, item] of Object.entries(doc.paths || {})) {
+    const shared = item.parameters || [];
+    for (const method of HTTP_METHODS) {
+      const op = item[method];
+      if (!op) {
+        continue;
+      }
+
+      const parameters = [...shared, ...(op.parameters || [])].map(p => deref(doc, p));
+      const bodyParam = parameters.find(p => p.in === "body");
+      let requestBody = bodyParam?.schema ? deref(doc, bodyParam.schema) : null;
+      let requestBodyRequired = Boolean(bodyParam?.required);
+      if (op.requestBody) {
+        const body = deref(doc, op.requestBody);
+        const media = body.content?.["application/json"] || Object.values(body.content || {})[0];
+        requestBody = media?.schema ? deref(doc, media.schema) : null;
+        requestBodyRequired = Boolean(body.required);
+      }
+
+      operations.push({
+        method: method.toUpperCase(),
+        path,
+        operationId: op.operationId,
+        summary: op.summary || op.description,
+        parameters: parameters.filter(p => p.in !== "body"),
+        requestBody,
+        requestBodyRequired,
+        responses: op.responses || {},
+      });
+    }
+  }
+  return operations;
+}
+
+// Convert a templated path ("/accounts/{id}") into a matcher
+export function pathMatcher(template) {
+  const names = [];
+  const pattern = template.replace(/[.*+?^$()|[\]\\]/g, "\\$&").replace(/\{([^}]+)\}/g, (_, name) => {
+    names.push(name);
+    return "([^/]+)";
+  });
+  const regex = new RegExp(`^${pattern}/?$`);
+  return (path) => {
+    const match = regex.exec(path);
+    if (!match) {
+      return null;
+    }
+    return Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+  };
+}
+
+// Pick the success response (2xx, else default) and its schema/example
+export function successResponse(doc, operation) {
+  const codes = Object.keys(operation.responses);
+  const code = codes.find(c => /^2\d\d$/.test(c)) || (codes.includes("default") ? "default" : null);
+  if (!code) {
+    return { status: 200, schema: null, example: undefined };
+  }
+
+  const response = deref(doc, operation.responses[code]);
+  const media = response.content?.["application/json"] || Object.values(response.content || {})[0];
+  const schema = response.schema || media?.schema || null;
+  let example = response.examples?.["application/json"] ?? media?.example;
+  if (example === undefined && media?.examples) {
+    const first = Object.values(media.examples)[0];
+    example = first && deref(doc, first).value;
+  }
+
+  return {
+    status: code === "default" ? 200 : Number(code),
+    schema: schema ? deref(doc, schema) : null,
+    example,
+  };
+}
+
+function exampleString(schema) {
+  if (schema.format === "date-time") {
+    return new Date(0).toISOString();
+  }
+  if (schema.format === "date") {
+    return "1970-01-01";
+  }
+  const max = schema.maxLength ?? 8;
+  const min = schema.minLength ?? 1;
+  return "X".repeat(Math.max(min, Math.min(max, 8)));
+}
+
+function exampleNumber(schema) {
+  let value = Math.max(schema.minimum ?? 0, 0);
+  if (schema.exclusiveMinimum === true && value === schema.minimum) {
+    value += schema.type === "integer" ? 1 : 0.01;
+  } else if (typeof schema.exclusiveMinimum === "number" && value <= schema.exclusiveMinimum) {
+    value = schema.exclusiveMinimum + (schema.type === "integer" ? 1 : 0.01);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    value = schema.maximum;
+  }
+  return schema.type === "integer" ? Math.trunc(value) : value;
+}
+
+/**
+ * Synthesize a schema-valid example value. Explicit `example`, `default`
+ * and `enum` values win over generated ones.
+ */
+export function exampleFromSchema(doc, schema, depth = 0) {
+  const s = deref(doc, schema || {});
+  if (s.example !== undefined) {
+    return s.example;
+  }
+  if (s.default !== undefined) {
+    return s.default;
+  }
+  if (Array.isArray(s.enum) && s.enum.length) {
+    return s.enum[0];
+  }
+  if (depth > 8) {
+    return null;
+  }
+  if (s.allOf) {
+    return Object.assign({}, ...s.allOf.map(part => exampleFromSchema(doc, part, depth + 1)));
+  }
+  if (s.oneOf || s.anyOf) {
+    return exampleFromSchema(doc, (s.oneOf || s.anyOf)[0], depth + 1);
+  }
+
+  const type = s.type || (s.properties ? "object" : s.items ? "array" : "string");
+  switch (type) {
+    case "object": {
+      const value = {};
+      for (const [name, prop] of Object.entries(s.properties || {})) {
+        value[name] = exampleFromSchema(doc, prop, depth + 1);
+      }
+      return value;
+    }
+    case "array": {
+      const count = Math.max(1, s.minItems || 0);
+      return Array.from({ length: count }, () => exampleFromSchema(doc, s.items || {}, depth + 1));
+    }
+    case "integer":
+    case "number":
+      return exampleNumber(s);
+    case "boolean":
+      return false;
+    case "null":
+      return null;
+    default:
+      return exampleString(s);
+  }
+}
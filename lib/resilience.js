@@ -0,0 +1,281 @@
+/**
+ * Timeouts, retries and circuit breaking for backend calls
+ *
+ * Each backend (z/OS Connect, every Key Protect profile) gets a policy from
+ * the environment and a circuit breaker. Only idempotent calls are retried,
+ * with exponential backoff and full jitter, waiting at least as long as a
+ * Retry-After header asks. The breaker opens after consecutive failures,
+ * fails fast while open and lets one trial call through once the cool-down
+ * has passed. trackBackendCalls() collects what happened during a tool call
+ * so the result can report retries and breaker state.
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import { correlationId } from "./errors.js";
+
+const DEFAULT_POLICY = {
+  timeoutMs: 30000,
+  retries: 2,
+  retryBaseMs: 250,
+  retryMaxMs: 8000,
+  breakerThreshold: 5,
+  breakerResetMs: 30000,
+};
+
+const POLICY_VARIABLES = {
+  timeoutMs: "TIMEOUT_MS",
+  retries: "RETRIES",
+  retryBaseMs: "RETRY_BASE_MS",
+  retryMaxMs: "RETRY_MAX_MS",
+  breakerThreshold: "BREAKER_THRESHOLD",
+  breakerResetMs: "BREAKER_RESET_MS",
+};
+
+// Errors without an HTTP status that mean the backend could not be reached
+const NETWORK_ERRORS = new Set([
+  "ECONNREFUSED", "ECONNRESET", "ECONNABORTED", "ETIMEDOUT", "EHOSTUNREACH",
+  "ENETUNREACH", "ENOTFOUND", "EAI_AGAIN", "EPIPE", "ERR_SOCKET_CONNECTION_TIMEOUT",
+]);
+
+/**
+ * Read `<PREFIX>_TIMEOUT_MS`, `_RETRIES`, `_RETRY_BASE_MS`, `_RETRY_MAX_MS`,
+ * `_BREAKER_THRESHOLD` and `_BREAKER_RESET_MS`. A threshold of 0 turns the
+ * breaker off; a timeout of 0 waits indefinitely.
+ */
+export function resiliencePolicy(prefix, env = process.env) {
+  const policy = {};
+  for (const [field, suffix] of Object.entries(POLICY_VARIABLES)) {
+    const variable = `${prefix}_${suffix}`;
+    const raw = env[variable];
+    if (raw === undefined || raw === "") {
+      policy[field] = DEFAULT_POLICY[field];
+      continue;
+    }
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${variable} must be a whole number >= 0, got "${raw}"`);
+    }
+    policy[field] = value;
+  }
+  return policy;
+}
+
+// Seconds or an HTTP date; null when absent or unparseable
+export function retryAfterMs(headers) {
+  const value = headers?.["retry-after"] ?? headers?.get?.("retry-after");
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  if (/^\d+$/.test(String(value).trim())) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function errorKind(error, retryStatuses) {
+  if (error.timedOut) {
+    return "timeout";
+  }
+  if (typeof error.status === "number") {
+    return retryStatuses.includes(error.status) ? "status" : null;
+  }
+  const code = error.code || error.statusText;
+  return NETWORK_ERRORS.has(code) || error.cause && NETWORK_ERRORS.has(error.cause.code) ? "network" : null;
+}
+
+const activity = new AsyncLocalStorage();
+
+/**
+ * Run `fn` and collect every backend call made while it runs.
+ * Resolves to `{ result, calls }`.
+ */
+export async function trackBackendCalls(fn) {
+  const calls = [];
+  const result = await activity.run(calls, fn);
+  return { result, calls };
+}
+
+const backends = new Map();
+
+/**
+ * Get or create the backend named `name`. `retryStatuses` are the HTTP
+ * statuses worth retrying; all of them except 429 (the backend is up, just
+ * throttling) count as failures for the breaker, as do timeouts and network
+ * errors. Other errors, such as 404 or a validation failure, mean the
+ * backend answered and reset the failure count.
+ */
+export function getBackend(name, { policy, retryStatuses = [429, 500, 502, 503, 504] } = {}) {
+  if (backends.has(name)) {
+    return backends.get(name);
+  }
+
+  const settings = policy || { ...DEFAULT_POLICY };
+  const breaker = {
+    state: "closed",
+    consecutiveFailures: 0,
+    openedAt: null,
+    trialInFlight: false,
+    lastFailure: null,
+  };
+
+  const admit = () => {
+    if (!settings.breakerThreshold || breaker.state === "closed") {
+      return;
+    }
+    const retryAt = breaker.openedAt + settings.breakerResetMs;
+    if (breaker.state === "open" && Date.now() >= retryAt) {
+      breaker.state = "half-open";
+    }
+    if (breaker.state === "half-open" && !breaker.trialInFlight) {
+      breaker.trialInFlight = true;
+      return;
+    }
+    const error = new Error(`${name} circuit breaker is open after ${breaker.consecutiveFailures} consecutive failures `
+      + `(last: ${breaker.lastFailure?.message}); failing fast until ${new Date(retryAt).toISOString()}`);
+    error.backend = name;
+    error.breakerOpen = true;
+    throw error;
+  };
+
+  const succeeded = () => {
+    breaker.state = "closed";
+    breaker.consecutiveFailures = 0;
+    breaker.openedAt = null;
+    breaker.trialInFlight = false;
+  };
+
+  const failed = (error) => {
+    breaker.consecutiveFailures++;
+    breaker.lastFailure = { message: error.message, at: new Date().toISOString() };
+    breaker.trialInFlight = false;
+    if (settings.breakerThreshold && (breaker.state === "half-open" || breaker.consecutiveFailures >= settings.breakerThreshold)) {
+      breaker.state = "open";
+      breaker.openedAt = Date.now();
+    }
+  };
+
+  const withTimeout = async (fn) => {
+    if (!settings.timeoutMs) {
+      return fn(undefined);
+    }
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${name} did not respond within ${settings.timeoutMs} ms`);
+        error.timedOut = true;
+        controller.abort(error);
+        reject(error);
+      }, settings.timeoutMs);
+    });
+    try {
+      return await Promise.race([fn(controller.signal), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  const retryDelay = (error, attempt) => {
+    const backoff = Math.random() * Math.min(settings.retryMaxMs, settings.retryBaseMs * 2 ** attempt);
+    const requested = retryAfterMs(error.headers);
+    if (requested !== null && requested > settings.retryMaxMs) {
+      return null;
+    }
+    return Math.max(backoff, requested ?? 0);
+  };
+
+  const backend = {
+    name,
+    policy: settings,
+
+    /**
+     * Call `fn(signal)` under the timeout, breaker and (for idempotent
+     * operations) retry policy. Errors thrown carry `backend`, `attempts`
+     * and `retries`.
+     */
+    async execute(operation, fn, { idempotent = false } = {}) {
+      const call = { backend: name, operation, attempts: 0, retries: 0 };
+      activity.getStore()?.push(call);
+
+      for (let attempt = 0; ; attempt++) {
+        try {
+          admit();
+        } catch (error) {
+          call.breaker = breaker.state;
+          call.error = error.message;
+          error.attempts = call.attempts;
+          error.retries = call.retries;
+          throw error;
+        }
+        call.attempts++;
+        try {
+          const result = await withTimeout(fn);
+          succeeded();
+          call.breaker = breaker.state;
+          call.requestId = correlationId(result?.headers);
+          return result;
+        } catch (error) {
+          const kind = errorKind(error, retryStatuses);
+          if (kind && error.status !== 429) {
+            failed(error);
+          } else {
+            succeeded();
+          }
+
+          const delay = idempotent && kind && attempt < settings.retries && breaker.state !== "open"
+            ? retryDelay(error, attempt)
+            : null;
+          if (delay === null) {
+            call.breaker = breaker.state;
+            call.error = error.message;
+            call.requestId = correlationId(error.headers);
+            error.backend ??= name;
+            error.attempts = call.attempts;
+            error.retries = call.retries;
+            throw error;
+          }
+          call.retries++;
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    },
+
+    describe() {
+      return {
+        state: breaker.state,
+        consecutiveFailures: breaker.consecutiveFailures,
+        ...(breaker.state !== "closed" ? { retryAt: new Date(breaker.openedAt + settings.breakerResetMs).toISOString() } : {}),
+        lastFailure: breaker.lastFailure,
+        policy: settings,
+      };
+    },
+  };
+
+  backends.set(name, backend);
+  return backend;
+}
+
+// Breaker state of every backend used so far
+export function describeBackends() {
+  return Object.fromEntries([...backends.values()].map(b => [b.name, b.describe()]));
+}
+
+/**
+ * Summarise tracked calls per backend for a tool result. Returns null when
+ * nothing is worth reporting: no retries, no failures and every breaker closed.
+ */
+export function summarizeCalls(calls) {
+  const summary = {};
+  for (const call of calls) {
+    const entry = summary[call.backend] ??= { calls: 0, retries: 0, breaker: "closed" };
+    entry.calls++;
+    entry.retries += call.retries;
+    entry.breaker = backends.get(call.backend)?.describe().state || call.breaker;
+    if (call.error) {
+      entry.failedCalls = (entry.failedCalls || 0) + 1;
+    }
+  }
+  const notable = Object.values(summary).some(e => e.retries || e.breaker !== "closed");
+  return notable ? summary : null;
+}
@@ -0,0 +1,185 @@
+/**
+ * MCP resources and subscriptions
+ *
+ * Key metadata, key policies, z/OS Connect OpenAPI documents and z/OS Connect
+ * health are exposed as `ibmz://` resources. Neither backend pushes changes,
+ * so subscriptions are served by polling: every subscribed resource is read
+ * again at a fixed interval and subscribers are notified when its fingerprint
+ * (key state and version, policy settings, document digest, health status)
+ * differs from the previous read.
+ */
+
+import crypto from "crypto";
+import { toolError } from "./errors.js";
+
+export const RESOURCE_MIME_TYPE = "application/json";
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "ibmz://keyprotect/keys/{id}{?instance}",
+    name: "key_protect_key",
+    title: "Key Protect key",
+    description: "Metadata of a key (by ID, name or alias): state, type, key ring, current version and dates. Notifies subscribers when the state or version changes.",
+    mimeType: RESOURCE_MIME_TYPE,
+  },
+  {
+    uriTemplate: "ibmz://keyprotect/keys/{id}/policies{?instance}",
+    name: "key_protect_key_policies",
+    title: "Key Protect key policies",
+    description: "Rotation and dual authorization policies of a key",
+    mimeType: RESOURCE_MIME_TYPE,
+  },
+  {
+    uriTemplate: "ibmz://zosconnect/services/{name}/openapi",
+    name: "zos_connect_service_openapi",
+    title: "z/OS Connect service OpenAPI document",
+    description: "OpenAPI document of a deployed service. Notifies subscribers when the service is redeployed with a different document.",
+    mimeType: RESOURCE_MIME_TYPE,
+  },
+];
+
+export const ZOS_HEALTH_URI = "ibmz://zosconnect/health";
+
+// host + path of an ibmz:// URI, and the resource type it names
+const URI_PATTERNS = [
+  [/^keyprotect\/keys\/([^/]+)$/, "key"],
+  [/^keyprotect\/keys\/([^/]+)\/policies$/, "key_policies"],
+  [/^zosconnect\/services\/([^/]+)\/openapi$/, "service_openapi"],
+  [/^zosconnect\/health$/, "zos_health"],
+];
+
+/**
+ * Resource type and parameters of an `ibmz://` URI:
+ * `{ type, keyId, instance }` for keys, `{ type, service }` for services.
+ */
+export function parseResourceUri(uri) {
+  let url = null;
+  try {
+    url = new URL(uri);
+  } catch {
+    // reported below
+  }
+  const target = url?.protocol === "ibmz:" ? `${url.host}${url.pathname}` : null;
+  for (const [pattern, type] of URI_PATTERNS) {
+    const match = target?.match(pattern);
+    if (!match) {
+      continue;
+    }
+    const param = match[1] && decodeURIComponent(match[1]);
+    if (type.startsWith("key")) {
+      return { type, keyId: param, instance: url.searchParams.get("instance") || undefined };
+    }
+    return { type, service: param };
+  }
+  throw toolError(`Unknown resource ${uri}. Resources: ${RESOURCE_TEMPLATES.map(t => t.uriTemplate).join(", ")}, ${ZOS_HEALTH_URI}`, {
+    category: "invalid_request",
+  });
+}
+
+export function keyUri(keyId, instance) {
+  return `ibmz://keyprotect/keys/${encodeURIComponent(keyId)}${instance ? `?instance=${encodeURIComponent(instance)}` : ""}`;
+}
+
+export function serviceOpenApiUri(service) {
+  return `ibmz://zosconnect/services/${encodeURIComponent(service)}/openapi`;
+}
+
+export function digest(value) {
+  return crypto.createHash("sha256").update(JSON.stringify(value)).digest("hex");
+}
+
+export function keyFingerprint(key) {
+  return `${key.state}:${key.keyVersion?.id ?? ""}:${key.deleted ? "deleted" : ""}`;
+}
+
+// Overall and per-service status; counters and uptime are left out
+export function healthFingerprint(health) {
+  const services = Array.isArray(health?.services)
+    ? health.services.map(s => [s.name, s.status])
+    : null;
+  return JSON.stringify([health?.status ?? null, services]);
+}
+
+/**
+ * Subscriptions by URI. `fingerprint(uri, context)` reads the resource with
+ * the subscriber's context (client and access policy); its result is
+ * compared between polls. Polling runs only while something is subscribed.
+ */
+export function createResourceWatcher({ fingerprint, intervalMs }) {
+  // uri -> { fingerprint, servers: Map(server -> context) }
+  const watched = new Map();
+  let timer = null;
+  let polling = false;
+
+  const current = async (uri, context) => {
+    try {
+      return await fingerprint(uri, context);
+    } catch (error) {
+      // Disappearing (or coming back) is a change too
+      return `unavailable:${error.status ?? error.category ?? error.message}`;
+    }
+  };
+
+  const stopIfIdle = () => {
+    if (!watched.size && timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  const watcher = {
+    /**
+     * Subscribe `server` to `uri`. The first read is not caught, so a
+     * resource the client may not read cannot be subscribed to.
+     */
+    async subscribe(server, uri, context) {
+      const value = await fingerprint(uri, context);
+      if (!watched.has(uri)) {
+        watched.set(uri, { fingerprint: value, servers: new Map() });
+      }
+      watched.get(uri).servers.set(server, context);
+      if (!timer) {
+        timer = setInterval(() => watcher.poll(), intervalMs);
+        timer.unref();
+      }
+    },
+
+    unsubscribe(server, uri) {
+      const entry = watched.get(uri);
+      entry?.servers.delete(server);
+      if (entry && !entry.servers.size) {
+        watched.delete(uri);
+      }
+      stopIfIdle();
+    },
+
+    // Forget every subscription of a closed server
+    drop(server) {
+      for (const uri of [...watched.keys()]) {
+        watcher.unsubscribe(server, uri);
+      }
+    },
+
+    // Read every subscribed resource once and notify subscribers of changes
+    async poll() {
+      if (polling) {
+        return;
+      }
+      polling = true;
+      try {
+        for (const [uri, entry] of watched) {
+          const [context] = entry.servers.values();
+          const next = await current(uri, context);
+          if (next !== entry.fingerprint) {
+            entry.fingerprint = next;
+            await Promise.all([...entry.servers.keys()].map(server =>
+              server.sendResourceUpdated({ uri }).catch(() => {})));
+          }
+        }
+      } finally {
+        polling = false;
+      }
+    },
+  };
+  return watcher;
+}
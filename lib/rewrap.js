@@ -0,0 +1,178 @@
+/**
+ * Batch rewrap helpers
+ *
+ * Loads wrapped DEKs from inline arrays or JSON / CSV / NDJSON files, runs
+ * rewraps with bounded concurrency and keeps an append-only NDJSON checkpoint
+ * so an interrupted run can be resumed without repeating completed items.
+ */
+
+import crypto from "crypto";
+import { readFile, appendFile, writeFile } from "fs/promises";
+import fs from "fs";
+import path from "path";
+
+// Stable item identity: explicit id, else a digest of the ciphertext
+export function itemId(item) {
+  if (item.id !== undefined && item.id !== null && item.id !== "") {
+    return String(item.id);
+  }
+  return `sha256:${crypto.createHash("sha256").update(item.ciphertext).digest("hex").slice(0, 16)}`;
+}
+
+function normalizeItem(raw, index) {
+  const item = typeof raw === "string" ? { ciphertext: raw } : { ...raw };
+  if (!item.ciphertext || typeof item.ciphertext !== "string") {
+    throw new Error(`Item ${index}: missing ciphertext`);
+  }
+  if (typeof item.aad === "string") {
+    item.aad = item.aad ? item.aad.split(";") : undefined;
+  }
+  if (item.key_id === "") {
+    delete item.key_id;
+  }
+  return { ...item, id: itemId(item) };
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === "\"" && text[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (ch === "\"") {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === "\"") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(cell => cell.trim() !== ""));
+  const [header, ...data] = nonEmpty;
+  if (!header || !header.includes("ciphertext")) {
+    throw new Error("CSV input needs a header row with a ciphertext column (optional: id, key_id, aad)");
+  }
+  return data.map(cells => Object.fromEntries(header.map((name, i) => [name.trim(), cells[i] ?? ""])));
+}
+
+function detectFormat(filePath, text) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === ".csv") {
+    return "csv";
+  }
+  if (ext === ".ndjson" || ext === ".jsonl") {
+    return "ndjson";
+  }
+  if (ext === ".json") {
+    return "json";
+  }
+  return text.trimStart().startsWith("[") ? "json" : "ndjson";
+}
+
+/**
+ * Parse wrapped DEKs. Items are ciphertext strings or objects with
+ * `ciphertext` and optional `id`, `key_id` and `aad`.
+ */
+export async function loadRewrapItems({ items, filePath, format }) {
+  let raw = items || [];
+  if (filePath) {
+    const text = await readFile(filePath, "utf8");
+    switch (format || detectFormat(filePath, text)) {
+      case "csv":
+        raw = parseCsv(text);
+        break;
+      case "ndjson":
+        raw = text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+        break;
+      default: {
+        const parsed = JSON.parse(text);
+        raw = Array.isArray(parsed) ? parsed : parsed.items;
+        if (!Array.isArray(raw)) {
+          throw new Error("JSON input must be an array or an object with an items array");
+        }
+      }
+    }
+  }
+
+  const seen = new Set();
+  return raw.map(normalizeItem).filter(item => {
+    if (seen.has(item.id)) {
+      return false;
+    }
+    seen.add(item.id);
+    return true;
+  });
+}
+
+// Completed results from a previous run, keyed by item id (last entry wins)
+export function loadCheckpoint(checkpointPath) {
+  const done = new Map();
+  if (!checkpointPath || !fs.existsSync(checkpointPath)) {
+    return done;
+  }
+  for (const line of fs.readFileSync(checkpointPath, "utf8").split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      const entry = JSON.parse(line);
+      done.set(entry.id, entry);
+    } catch {
+      // A torn final line from an interrupted run is ignored
+    }
+  }
+  return done;
+}
+
+export function appendCheckpoint(checkpointPath, entry) {
+  return appendFile(checkpointPath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+}
+
+// Run `fn` over items with at most `limit` in flight, preserving order
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+export async function writeRewrapResults(outputPath, results) {
+  const body = path.extname(outputPath).toLowerCase() === ".json"
+    ? JSON.stringify(results, null, 2)
+    : results.map(r => JSON.stringify(r)).join("\n") + "\n";
+  await writeFile(outputPath, body, { mode: 0o600 });
+}
@@ -0,0 +1,117 @@
+/**
+ * In-memory vault for unwrapped key material
+ *
+ * In secure mode key_protect_unwrap_key keeps the plaintext DEK here and
+ * returns an opaque handle, and tools that take key bytes accept the handle
+ * instead, so the key never appears in the conversation. Entries expire
+ * after a TTL and are zeroed when they expire or are released. A handle only
+ * works for the client that created it. Nothing is written to disk, so
+ * handles do not survive a server restart.
+ */
+
+import crypto from "crypto";
+import { toolError } from "./errors.js";
+
+export const SECRET_HANDLE_PREFIX = "kpsecret:";
+
+function flag(value, fallback) {
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+  return value === "true" || value === "1";
+}
+
+/**
+ * Settings from KEY_PROTECT_SECURE_MODE, KEY_PROTECT_ALLOW_PLAINTEXT,
+ * KEY_PROTECT_SECRET_TTL_SECONDS and KEY_PROTECT_SECRET_MAX. Forbidding
+ * plaintext implies secure mode.
+ */
+export function secretPolicy(env = process.env) {
+  const allowPlaintext = flag(env.KEY_PROTECT_ALLOW_PLAINTEXT, true);
+  return {
+    secureMode: flag(env.KEY_PROTECT_SECURE_MODE, false) || !allowPlaintext,
+    allowPlaintext,
+    ttlMs: Number(env.KEY_PROTECT_SECRET_TTL_SECONDS || 300) * 1000,
+    maxSecrets: Number(env.KEY_PROTECT_SECRET_MAX || 100),
+  };
+}
+
+export const SECRET_POLICY = secretPolicy();
+
+const secrets = new Map();
+
+function discard(handle) {
+  const entry = secrets.get(handle);
+  if (!entry) {
+    return false;
+  }
+  clearTimeout(entry.timer);
+  entry.value.fill(0);
+  secrets.delete(handle);
+  return true;
+}
+
+export function isSecretHandle(value) {
+  return typeof value === "string" && value.startsWith(SECRET_HANDLE_PREFIX);
+}
+
+/**
+ * Keep a copy of `bytes` and return `{ handle, expiresAt, bytes }`. The limit
+ * applies per owner: when `owner` holds the maximum, its own oldest entry is
+ * discarded, so one client cannot push out another's handles.
+ */
+export function storeSecret(bytes, { keyId, keyVersion, owner, ttlMs = SECRET_POLICY.ttlMs } = {}) {
+  const owned = [...secrets].filter(([, entry]) => entry.owner === owner).map(([handle]) => handle);
+  while (owned.length >= SECRET_POLICY.maxSecrets) {
+    discard(owned.shift());
+  }
+  const handle = `${SECRET_HANDLE_PREFIX}${crypto.randomBytes(18).toString("base64url")}`;
+  const expiresAt = Date.now() + ttlMs;
+  const timer = setTimeout(() => discard(handle), ttlMs);
+  timer.unref();
+  secrets.set(handle, { value: Buffer.from(bytes), keyId, keyVersion, owner, expiresAt, timer });
+  return { handle, expiresAt: new Date(expiresAt).toISOString(), bytes: bytes.length };
+}
+
+// The entry for `handle` if `owner` may use it; other clients' handles look unknown
+function lookup(handle, owner) {
+  const entry = secrets.get(handle);
+  return entry && entry.owner === owner ? entry : undefined;
+}
+
+/**
+ * Copy of the bytes behind `handle`; zero it after use. Throws when the
+ * handle is unknown, has expired or belongs to another client.
+ */
+export function readSecret(handle, owner) {
+  const entry = lookup(handle, owner);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    if (entry) {
+      discard(handle);
+    }
+    throw toolError(`Secret handle ${handle} is unknown or has expired. Unwrap the key again to get a new handle.`, {
+      category: "not_found",
+      topic: "`Secret handle ... is unknown or has expired`",
+    });
+  }
+  return Buffer.from(entry.value);
+}
+
+// Zero and forget the secret; false when there was nothing to release
+export function releaseSecret(handle, owner) {
+  return lookup(handle, owner) ? discard(handle) : false;
+}
+
+/**
+ * Base64 key bytes for an argument that takes either base64 key material or
+ * a secret handle.
+ */
+export function keyMaterialArgument(value, owner) {
+  if (!isSecretHandle(value)) {
+    return value;
+  }
+  const bytes = readSecret(value, owner);
+  const base64 = bytes.toString("base64");
+  bytes.fill(0);
+  return base64;
+}
@@ -0,0 +1,319 @@
+/**
+ * z/OS Connect HTTP client
+ *
+ * One connection per server with its own authentication and TLS settings, so
+ * certificate checks never have to be relaxed process-wide. Auth modes:
+ * basic, bearer (static JWT, a token file, or a token endpoint with refresh),
+ * LTPA cookie (given, or obtained with the basic credentials) and mTLS.
+ * The client certificate, CA bundle and server name override apply to
+ * whichever mode is used. Calls run under the "z/OS Connect" backend policy
+ * from lib/resilience.js (timeout, GET-only retries, circuit breaker).
+ */
+
+import { getBackend, resiliencePolicy } from "./resilience.js";
+import { createHttpClient, readTlsFile } from "./http-client.js";
+
+export const AUTH_MODES = ["none", "basic", "bearer", "ltpa", "mtls"];
+
+// Refresh bearer tokens this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+function defaultAuthMode(env) {
+  if (env.ZOS_CONNECT_USERNAME && env.ZOS_CONNECT_PASSWORD) {
+    return "basic";
+  }
+  if (env.ZOS_CONNECT_TOKEN || env.ZOS_CONNECT_TOKEN_FILE || env.ZOS_CONNECT_TOKEN_URL) {
+    return "bearer";
+  }
+  if (env.ZOS_CONNECT_LTPA_TOKEN) {
+    return "ltpa";
+  }
+  if (env.ZOS_CONNECT_CERT) {
+    return "mtls";
+  }
+  return "none";
+}
+
+/**
+ * Read the connection settings from the environment. Throws when the chosen
+ * auth mode is missing something it needs.
+ */
+export function zosConnectConfig(env = process.env) {
+  const auth = (env.ZOS_CONNECT_AUTH || defaultAuthMode(env)).toLowerCase();
+  if (!AUTH_MODES.includes(auth)) {
+    throw new Error(`Unknown ZOS_CONNECT_AUTH "${auth}". Use one of ${AUTH_MODES.join(", ")}.`);
+  }
+
+  const config = {
+    url: env.ZOS_CONNECT_URL,
+    auth,
+    username: env.ZOS_CONNECT_USERNAME,
+    password: env.ZOS_CONNECT_PASSWORD,
+    token: env.ZOS_CONNECT_TOKEN,
+    tokenFile: env.ZOS_CONNECT_TOKEN_FILE,
+    tokenUrl: env.ZOS_CONNECT_TOKEN_URL,
+    clientId: env.ZOS_CONNECT_CLIENT_ID,
+    clientSecret: env.ZOS_CONNECT_CLIENT_SECRET,
+    tokenScope: env.ZOS_CONNECT_TOKEN_SCOPE,
+    ltpaToken: env.ZOS_CONNECT_LTPA_TOKEN,
+    ltpaCookie: env.ZOS_CONNECT_LTPA_COOKIE || "LtpaToken2",
+    cert: env.ZOS_CONNECT_CERT,
+    key: env.ZOS_CONNECT_KEY,
+    passphrase: env.ZOS_CONNECT_KEY_PASSPHRASE,
+    caFile: env.ZOS_CONNECT_CA_FILE,
+    servername: env.ZOS_CONNECT_SERVERNAME,
+  };
+
+  const hasCredentials = Boolean(config.username && config.password);
+  switch (auth) {
+    case "basic":
+      if (!hasCredentials) {
+        throw new Error("ZOS_CONNECT_AUTH=basic needs ZOS_CONNECT_USERNAME and ZOS_CONNECT_PASSWORD");
+      }
+      break;
+    case "bearer":
+      if (!config.token && !config.tokenFile && !config.tokenUrl) {
+        throw new Error("ZOS_CONNECT_AUTH=bearer needs ZOS_CONNECT_TOKEN, ZOS_CONNECT_TOKEN_FILE or ZOS_CONNECT_TOKEN_URL");
+      }
+      if (config.tokenUrl && !(config.clientId && config.clientSecret) && !hasCredentials) {
+        throw new Error("ZOS_CONNECT_TOKEN_URL needs ZOS_CONNECT_CLIENT_ID and ZOS_CONNECT_CLIENT_SECRET, or ZOS_CONNECT_USERNAME and ZOS_CONNECT_PASSWORD");
+      }
+      break;
+    case "ltpa":
+      if (!config.ltpaToken && !hasCredentials) {
+        throw new Error("ZOS_CONNECT_AUTH=ltpa needs ZOS_CONNECT_LTPA_TOKEN, or ZOS_CONNECT_USERNAME and ZOS_CONNECT_PASSWORD to obtain one");
+      }
+      break;
+    case "mtls":
+      if (!config.cert || !config.key) {
+        throw new Error("ZOS_CONNECT_AUTH=mtls needs ZOS_CONNECT_CERT and ZOS_CONNECT_KEY");
+      }
+      break;
+  }
+  if (Boolean(config.cert) !== Boolean(config.key)) {
+    throw new Error("Set both ZOS_CONNECT_CERT and ZOS_CONNECT_KEY for a client certificate");
+  }
+  return config;
+}
+
+function basicHeader(username, password) {
+  return `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}`;
+}
+
+// Expiry (ms since epoch) from a JWT's exp claim; null for opaque tokens
+export function jwtExpiry(token) {
+  const [, payload] = String(token).split(".");
+  if (!payload) {
+    return null;
+  }
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return typeof claims.exp === "number" ? claims.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+function bearerAuth(config, connection) {
+  let token = null;
+  let expiresAt = null;
+
+  const obtain = async (signal) => {
+    if (config.tokenUrl) {
+      const headers = { "Accept": "application/json" };
+      let body;
+      if (config.clientId && config.clientSecret) {
+        const form = new URLSearchParams({ grant_type: "client_credentials", client_id: config.clientId, client_secret: config.clientSecret });
+        if (config.tokenScope) {
+          form.set("scope", config.tokenScope);
+        }
+        body = form.toString();
+        headers["Content-Type"] = "application/x-www-form-urlencoded";
+      } else {
+        headers["Authorization"] = basicHeader(config.username, config.password);
+      }
+
+      const response = await connection.send(config.tokenUrl, { method: body ? "POST" : "GET", headers, body, signal });
+      if (response.status < 200 || response.status >= 300) {
+        throw new Error(`Token request to ZOS_CONNECT_TOKEN_URL failed with ${response.status}: ${response.text}`);
+      }
+      let result;
+      try {
+        result = JSON.parse(response.text);
+      } catch {
+        result = { token: response.text.trim() };
+      }
+      token = result.access_token || result.token || result.jwt || result.id_token;
+      if (!token) {
+        throw new Error("Token response from ZOS_CONNECT_TOKEN_URL has no access_token or token field");
+      }
+      expiresAt = result.expires_in ? Date.now() + result.expires_in * 1000 : jwtExpiry(token);
+    } else if (config.tokenFile) {
+      // Re-read on every refresh so an external process can renew the file
+      token = readTlsFile(config.tokenFile, "ZOS_CONNECT_TOKEN_FILE").toString("utf8").trim();
+      expiresAt = jwtExpiry(token);
+    } else {
+      token = config.token;
+      expiresAt = jwtExpiry(token);
+    }
+  };
+
+  return {
+    async apply(headers, signal) {
+      if (!token || (expiresAt && expiresAt - TOKEN_REFRESH_MARGIN_MS < Date.now())) {
+        await obtain(signal);
+      }
+      headers["Authorization"] = `Bearer ${token}`;
+    },
+    // A static token cannot be renewed, so there is nothing to retry with
+    refresh() {
+      if (!config.tokenUrl && !config.tokenFile) {
+        return false;
+      }
+      token = null;
+      return true;
+    },
+    describe() {
+      return {
+        source: config.tokenUrl ? "tokenUrl" : config.tokenFile ? "tokenFile" : "token",
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      };
+    },
+  };
+}
+
+function ltpaAuth(config) {
+  let cookie = config.ltpaToken || null;
+  const pattern = new RegExp(`^${config.ltpaCookie}=([^;]*)`);
+
+  return {
+    async apply(headers) {
+      if (cookie) {
+        headers["Cookie"] = `${config.ltpaCookie}=${cookie}`;
+      } else {
+        // The first authenticated response carries the LTPA cookie
+        headers["Authorization"] = basicHeader(config.username, config.password);
+      }
+    },
+    receive(responseHeaders) {
+      for (const line of responseHeaders["set-cookie"] || []) {
+        const match = line.match(pattern);
+        if (match && match[1]) {
+          cookie = match[1];
+        }
+      }
+    },
+    refresh() {
+      if (!cookie || !(config.username && config.password)) {
+        return false;
+      }
+      cookie = null;
+      return true;
+    },
+    describe() {
+      return { cookie: config.ltpaCookie, established: Boolean(cookie) };
+    },
+  };
+}
+
+function createAuth(config, connection) {
+  switch (config.auth) {
+    case "basic":
+      return {
+        async apply(headers) {
+          headers["Authorization"] = basicHeader(config.username, config.password);
+        },
+      };
+    case "bearer":
+      return bearerAuth(config, connection);
+    case "ltpa":
+      return ltpaAuth(config);
+    default:
+      // mtls and none: the TLS handshake (if any) is the only credential
+      return { async apply() {} };
+  }
+}
+
+// Only reads are retried; a repeated POST could run a transaction twice
+const IDEMPOTENT_METHODS = ["GET", "HEAD"];
+
+function statusError(response) {
+  const error = new Error(`z/OS Connect error ${response.status}: ${response.text}`);
+  error.status = response.status;
+  error.headers = response.headers;
+  error.body = response.text;
+  return error;
+}
+
+/**
+ * Create a client for one z/OS Connect server. `request(endpoint, method,
+ * body)` resolves to the parsed JSON (or text) response and throws
+ * `z/OS Connect error <status>: <body>` for non-2xx responses. A 401 is
+ * retried once after renewing a refreshable bearer token or LTPA cookie.
+ */
+export function createZosConnectClient(config) {
+  const connection = createHttpClient(config, { prefix: "ZOS_CONNECT", server: "z/OS Connect" });
+  const auth = createAuth(config, connection);
+  const backend = getBackend("z/OS Connect", {
+    policy: resiliencePolicy("ZOS_CONNECT"),
+    // A 500 is usually the program failing (an abend), which a retry will not fix
+    retryStatuses: [429, 502, 503, 504],
+  });
+
+  async function attempt(endpoint, method, body, signal) {
+    const headers = {
+      "Content-Type": "application/json",
+      "Accept": "application/json",
+    };
+    await auth.apply(headers, signal);
+
+    let payload;
+    if (body && (method === "POST" || method === "PUT" || method === "PATCH")) {
+      payload = JSON.stringify(body);
+      headers["Content-Length"] = Buffer.byteLength(payload);
+    }
+    const response = await connection.send(`${config.url}${endpoint}`, { method, headers, body: payload, signal });
+    auth.receive?.(response.headers);
+    return response;
+  }
+
+  return {
+    config,
+    backend,
+
+    async request(endpoint, method = "GET", body = null) {
+      const response = await backend.execute(`${method} ${endpoint}`, async (signal) => {
+        let response = await attempt(endpoint, method, body, signal);
+        if (response.status === 401 && auth.refresh?.()) {
+          response = await attempt(endpoint, method, body, signal);
+        }
+        if (response.status < 200 || response.status >= 300) {
+          throw statusError(response);
+        }
+        return response;
+      }, { idempotent: IDEMPOTENT_METHODS.includes(method) });
+
+      const contentType = response.headers["content-type"];
+      if (contentType && contentType.includes("application/json") && response.text) {
+        return JSON.parse(response.text);
+      }
+      return response.text;
+    },
+
+    // Connection settings without secrets
+    describe() {
+      return {
+        url: config.url,
+        auth: config.auth,
+        clientCertificate: Boolean(config.cert),
+        caFile: config.caFile || null,
+        servername: config.servername || null,
+        ...(auth.describe ? { [config.auth]: auth.describe() } : {}),
+      };
+    },
+
+    close() {
+      connection.close();
+    },
+  };
+}
@@ -0,0 +1,228 @@
+/**
+ * Mock z/OS Connect server
+ *
+ * Serves the z/OS Connect admin endpoints used by the `zos_connect_*` tools
+ * (/zosConnect/services, /zosConnect/apis, /zosConnect/health) from a set of
+ * OpenAPI/Swagger documents, and answers service operations with recorded
+ * fixtures or schema-valid example responses.
+ */
+
+import http from "http";
+import fs from "fs";
+import path from "path";
+import {
+  basePath,
+  listOperations,
+  pathMatcher,
+  successResponse,
+  exampleFromSchema,
+} from "./openapi.js";
+
+const FIXTURES_SUFFIX = ".fixtures.json";
+
+function serviceNameFromFile(file) {
+  return path.basename(file).replace(/\.(openapi|swagger)?\.?json$/i, "");
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot load ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Load service documents from files or directories. A directory contributes
+ * every `*.json` file; `<name>.fixtures.json` files next to a document (or in
+ * `fixturesDir`) hold recorded responses for service `<name>`.
+ */
+export function loadMockServices(specPaths, { fixturesDir } = {}) {
+  const files = [];
+  for (const specPath of specPaths) {
+    if (fs.statSync(specPath).isDirectory()) {
+      for (const entry of fs.readdirSync(specPath).sort()) {
+        if (entry.endsWith(".json") && !entry.endsWith(FIXTURES_SUFFIX)) {
+          files.push(path.join(specPath, entry));
+        }
+      }
+    } else {
+      files.push(specPath);
+    }
+  }
+
+  return files.map(file => {
+    const name = serviceNameFromFile(file);
+    const candidates = [
+      path.join(path.dirname(file), `${name}${FIXTURES_SUFFIX}`),
+      fixturesDir && path.join(fixturesDir, `${name}${FIXTURES_SUFFIX}`),
+    ].filter(Boolean);
+    const fixturesFile = candidates.find(f => fs.existsSync(f));
+
+    return {
+      name,
+      doc: readJson(file),
+      fixtures: fixturesFile ? readJson(fixturesFile) : {},
+    };
+  });
+}
+
+function prepareService(service) {
+  const operations = listOperations(service.doc).map(op => ({
+    ...op,
+    match: pathMatcher(op.path),
+  }));
+  return { ...service, basePath: basePath(service.doc), operations, calls: 0 };
+}
+
+function send(res, status, body, headers = {}) {
+  const payload = typeof body === "string" ? body : JSON.stringify(body, null, 2);
+  res.writeHead(status, {
+    "Content-Type": typeof body === "string" ? "text/plain" : "application/json",
+    ...headers,
+  });
+  res.end(payload);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", chunk => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+// Fixture lookup: concrete path, then templated path, then operationId
+function findFixture(service, operation, method, opPath) {
+  const { fixtures } = service;
+  return fixtures[`${method} ${opPath}`]
+    ?? fixtures[`${method} ${operation.path}`]
+    ?? (operation.operationId ? fixtures[operation.operationId] : undefined);
+}
+
+function invoke(service, method, opPath, res) {
+  for (const operation of service.operations) {
+    if (operation.method !== method) {
+      continue;
+    }
+    const params = operation.match(opPath);
+    if (!params) {
+      continue;
+    }
+
+    service.calls += 1;
+    const fixture = findFixture(service, operation, method, opPath);
+    if (fixture !== undefined) {
+      return send(res, fixture.status || 200, fixture.body ?? {}, fixture.headers);
+    }
+
+    const response = successResponse(service.doc, operation);
+    const body = response.example !== undefined
+      ? response.example
+      : response.schema ? exampleFromSchema(service.doc, response.schema) : {};
+    return send(res, response.status, body);
+  }
+
+  const allowed = service.operations.some(op => op.match(opPath));
+  return send(res, allowed ? 405 : 404, {
+    errorMessage: allowed
+      ? `BAQR0429W: Method ${method} is not supported for ${opPath} in service ${service.name}`
+      : `BAQR0407W: No operation matches ${method} ${opPath} in service ${service.name}`,
+  });
+}
+
+/**
+ * Create (but do not start) the mock server.
+ * @param {Array<{name: string, doc: Object, fixtures?: Object}>} services
+ * @returns {http.Server}
+ */
+export function createZosConnectMock(services) {
+  const registry = new Map(services.map(s => [s.name, prepareService({ fixtures: {}, ...s })]));
+  const startedAt = Date.now();
+
+  return http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+      const method = req.method.toUpperCase();
+      const segments = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+      await readBody(req);
+
+      if (segments[0] === "zosConnect") {
+        const [, collection, name, ...rest] = segments;
+
+        if (collection === "health" && method === "GET") {
+          return send(res, 200, {
+            status: "UP",
+            server: "z/OS Connect mock",
+            uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+            services: [...registry.values()].map(s => ({ name: s.name, status: "Started", invocations: s.calls })),
+          });
+        }
+
+        if (collection === "services" && !name && method === "GET") {
+          return send(res, 200, {
+            zosConnectServices: [...registry.values()].map(s => ({
+              ServiceName: s.name,
+              ServiceDescription: s.doc.info?.description || s.doc.info?.title || "",
+              ServiceProvider: "mock",
+              ServiceURL: `${url.origin}/zosConnect/services/${s.name}`,
+            })),
+          });
+        }
+
+        if (collection === "apis" && !name && method === "GET") {
+          return send(res, 200, {
+            apis: [...registry.values()].map(s => ({
+              name: s.name,
+              version: s.doc.info?.version || "1.0.0",
+              description: s.doc.info?.description || "",
+              adminUrl: `${url.origin}/zosConnect/apis/${s.name}`,
+            })),
+          });
+        }
+
+        const service = name && registry.get(name);
+        if ((collection === "services" || collection === "apis") && name && !service) {
+          return send(res, 404, { errorMessage: `BAQR0406W: Service ${name} was not found` });
+        }
+
+        if (collection === "apis" && service && method === "GET") {
+          if (rest.length === 1 && rest[0] === "api-docs") {
+            return send(res, 200, service.doc);
+          }
+          if (rest.length === 0) {
+            return send(res, 200, {
+              name: service.name,
+              version: service.doc.info?.version || "1.0.0",
+              description: service.doc.info?.description || "",
+              basePath: service.basePath,
+              status: "Started",
+              documentation: { swagger: `${url.origin}/zosConnect/apis/${service.name}/api-docs` },
+            });
+          }
+        }
+
+        if (collection === "services" && service) {
+          if (rest.length === 0 && method === "GET") {
+            return send(res, 200, service.doc);
+          }
+          return invoke(service, method, `/${rest.join("/")}`, res);
+        }
+
+        return send(res, 404, { errorMessage: `BAQR0400W: Unknown z/OS Connect resource ${url.pathname}` });
+      }
+
+      // Services are also reachable on their API base path, as in z/OS Connect EE
+      for (const service of registry.values()) {
+        if (service.basePath && (url.pathname === service.basePath || url.pathname.startsWith(`${service.basePath}/`))) {
+          return invoke(service, method, url.pathname.slice(service.basePath.length) || "/", res);
+        }
+      }
+
+      return send(res, 404, { errorMessage: `No service is mapped to ${url.pathname}` });
+    } catch (error) {
+      return send(res, 500, { errorMessage: error.message });
+    }
+  });
+}
@@ -0,0 +1,354 @@
+/**
+ * Generated tools for z/OS Connect service operations
+ *
+ * Fetches the OpenAPI document of every deployed service and turns each
+ * operation into a dedicated MCP tool (e.g. `zos_acctinq_get_account`) whose
+ * input schema comes from the operation's path/query parameters and request
+ * body, so callers no longer guess paths and payload shapes. Requests from
+ * these tools and from zos_connect_call_service are validated against the
+ * same operation schema before they are sent.
+ */
+
+import { toolError } from "./errors.js";
+import { deref, listOperations, pathMatcher } from "./openapi.js";
+import { validateSchema, coerceParameter } from "./schema-validate.js";
+
+// MCP tool names: [a-zA-Z0-9_-], at most 64 characters
+const MAX_TOOL_NAME = 64;
+
+const PARAMETER_KEYWORDS = [
+  "type", "format", "enum", "default", "items",
+  "maxLength", "minLength", "pattern",
+  "minimum", "maximum", "exclusiveMinimum", "exclusiveMaximum", "multipleOf",
+  "maxItems", "minItems", "uniqueItems",
+];
+
+export function snakeCase(text) {
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/[^A-Za-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .toLowerCase();
+}
+
+/**
+ * Copy a schema with every local $ref inlined, so clients that do not see the
+ * service document still get a self-contained JSON Schema.
+ */
+export function inlineSchema(doc, schema, seen = []) {
+  if (Array.isArray(schema)) {
+    return schema.map(item => inlineSchema(doc, item, seen));
+  }
+  if (!schema || typeof schema !== "object") {
+    return schema;
+  }
+  if (schema.$ref) {
+    if (seen.includes(schema.$ref)) {
+      return { type: "object", description: `Recursive reference to ${schema.$ref}` };
+    }
+    return inlineSchema(doc, deref(doc, schema), [...seen, schema.$ref]);
+  }
+
+  const copy = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === "xml" || key === "discriminator" || key.startsWith("x-")) {
+      continue;
+    }
+    copy[key] = inlineSchema(doc, value, seen);
+  }
+  return copy;
+}
+
+// Swagger 2 puts the schema keywords on the parameter itself, OpenAPI 3 under `schema`
+export function parameterSchema(doc, param) {
+  let schema;
+  if (param.schema) {
+    schema = inlineSchema(doc, param.schema);
+  } else {
+    schema = {};
+    for (const keyword of PARAMETER_KEYWORDS) {
+      if (param[keyword] !== undefined) {
+        schema[keyword] = inlineSchema(doc, param[keyword]);
+      }
+    }
+  }
+  if (param.description && !schema.description) {
+    schema.description = param.description;
+  }
+  return schema;
+}
+
+// The zos_connect_ prefix belongs to the built-in tools
+const RESERVED_PREFIX = "zos_connect_";
+
+function toolName(serviceName, operation, taken) {
+  const suffix = snakeCase(operation.operationId || `${operation.method} ${operation.path}`);
+  let prefix = `zos_${snakeCase(serviceName)}_`;
+  if (prefix.startsWith(RESERVED_PREFIX)) {
+    prefix = `zos_service_${snakeCase(serviceName)}_`;
+  }
+  const base = `${prefix}${suffix}`.slice(0, MAX_TOOL_NAME);
+  let name = base;
+  for (let n = 2; taken.has(name); n++) {
+    name = `${base.slice(0, MAX_TOOL_NAME - String(n).length - 1)}_${n}`;
+  }
+  taken.add(name);
+  return name;
+}
+
+/**
+ * Build tool definitions for every operation of every service.
+ * @param {Array<{name: string, doc: Object}>} services
+ * @returns {Map<string, {tool: Object, service: string, doc: Object, operation: Object, bodyArgument: string}>}
+ */
+export function buildServiceTools(services) {
+  const taken = new Set();
+  const tools = new Map();
+
+  for (const { name: serviceName, doc } of services) {
+    for (const operation of listOperations(doc)) {
+      const properties = {};
+      const required = [];
+
+      // Header and cookie parameters are not forwarded by callZosConnect
+      const parameters = operation.parameters.filter(p => p.in === "path" || p.in === "query");
+      for (const param of parameters) {
+        properties[param.name] = parameterSchema(doc, param);
+        if (param.required || param.in === "path") {
+          required.push(param.name);
+        }
+      }
+
+      const bodyArgument = properties.body ? "request_body" : "body";
+      if (operation.requestBody) {
+        properties[bodyArgument] = {
+          ...inlineSchema(doc, operation.requestBody),
+          description: operation.requestBody.description || "JSON request body (mapped to the COBOL copybook by z/OS Connect)",
+        };
+        if (operation.requestBodyRequired) {
+          required.push(bodyArgument);
+        }
+      }
+
+      const route = `z/OS Connect service ${serviceName}: ${operation.method} ${operation.path}`;
+      const name = toolName(serviceName, operation, taken);
+      tools.set(name, {
+        service: serviceName,
+        doc,
+        operation,
+        bodyArgument,
+        tool: {
+          name,
+          description: operation.summary ? `${operation.summary} (${route})` : route,
+          inputSchema: {
+            type: "object",
+            properties,
+            ...(required.length ? { required } : {}),
+          },
+        },
+      });
+    }
+  }
+  return tools;
+}
+
+// Split tool arguments back into the path, query and body of the request
+export function serviceRequest(entry, args = {}) {
+  const { service, operation, bodyArgument } = entry;
+  const pathParams = {};
+  const query = {};
+  for (const param of operation.parameters) {
+    if (args[param.name] === undefined || args[param.name] === null) {
+      continue;
+    }
+    if (param.in === "path") {
+      pathParams[param.name] = args[param.name];
+    } else if (param.in === "query") {
+      query[param.name] = args[param.name];
+    }
+  }
+
+  return {
+    method: operation.method,
+    endpoint: serviceEndpoint(service, operation.path, pathParams, query),
+    pathParams,
+    query,
+    body: args[bodyArgument],
+  };
+}
+
+// "." and ".." segments, also percent-encoded, which URL parsing resolves
+function isDotSegment(segment) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(segment);
+  } catch {
+    decoded = segment;
+  }
+  return decoded === "." || decoded === "..";
+}
+
+/**
+ * A service name as given by the caller, refused when it could leave
+ * /zosConnect/services/<name>, so access policy rules see the service that
+ * is actually called.
+ */
+export function checkServiceName(name) {
+  if (typeof name !== "string" || !name || name.split(/[/\\]/).some(isDotSegment)) {
+    throw toolError(`Invalid z/OS Connect service name "${name}"`, { category: "invalid_request" });
+  }
+  return name;
+}
+
+/**
+ * An operation path with a leading slash and no empty segments. "." and ".."
+ * segments, backslashes, "?" and "#" are refused, so the path the access
+ * policy checks is the path that is requested.
+ */
+export function normalizeOperationPath(path) {
+  if (typeof path !== "string" || /[\\?#]/.test(path)) {
+    throw toolError(`Invalid operation path "${path}": backslashes, "?" and "#" are not allowed (query parameters go in query_params)`, {
+      category: "invalid_request",
+    });
+  }
+  const segments = path.split("/").filter(Boolean);
+  if (segments.some(isDotSegment)) {
+    throw toolError(`Invalid operation path "${path}": "." and ".." segments are not allowed`, { category: "invalid_request" });
+  }
+  const trailing = segments.length && path.endsWith("/") ? "/" : "";
+  return `/${segments.join("/")}${trailing}`;
+}
+
+// /zosConnect/services/<service><path> with path parameters substituted and a query string
+export function serviceEndpoint(service, path, pathParams = {}, query = {}) {
+  let endpoint = `/zosConnect/services/${encodeURIComponent(service)}${path}`;
+  for (const [key, value] of Object.entries(pathParams)) {
+    if (isDotSegment(String(value))) {
+      throw toolError(`Path parameter ${key} may not be "${value}"`, { category: "invalid_request" });
+    }
+    endpoint = endpoint.replace(`{${key}}`, encodeURIComponent(String(value)));
+  }
+
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    for (const item of Array.isArray(value) ? value : [value]) {
+      search.append(key, String(item));
+    }
+  }
+  const queryString = search.toString();
+  return queryString ? `${endpoint}?${queryString}` : endpoint;
+}
+
+// Service names in a /zosConnect/services response
+export function serviceNames(list) {
+  const entries = list?.zosConnectServices || list?.services || [];
+  return entries.map(s => s.ServiceName || s.name).filter(Boolean);
+}
+
+function isOpenApi(doc) {
+  return Boolean(doc && typeof doc === "object" && doc.paths && (doc.swagger || doc.openapi));
+}
+
+// The service resource first, then the API's api-docs
+export async function fetchServiceDocument(call, name) {
+  let doc = await call(`/zosConnect/services/${encodeURIComponent(name)}`);
+  if (!isOpenApi(doc)) {
+    doc = await call(`/zosConnect/apis/${encodeURIComponent(name)}/api-docs`);
+  }
+  if (!isOpenApi(doc)) {
+    throw new Error(`No OpenAPI document found for service ${name}`);
+  }
+  return doc;
+}
+
+/**
+ * Fetch the OpenAPI document of every deployed service. Services whose
+ * document cannot be read are reported in `errors` instead of failing the run.
+ * @param {(endpoint: string) => Promise<any>} call callZosConnect
+ */
+export async function discoverServiceDocuments(call) {
+  const names = serviceNames(await call("/zosConnect/services"));
+  const services = [];
+  const errors = [];
+
+  for (const name of names) {
+    try {
+      services.push({ name, doc: await fetchServiceDocument(call, name) });
+    } catch (error) {
+      errors.push({ service: name, error: error.message });
+    }
+  }
+  return { services, errors };
+}
+
+/**
+ * Find the operation for a method and path. `operationPath` may be the
+ * template from the document ("/accounts/{accountId}") or a concrete path,
+ * in which case the path parameters it carries are returned too.
+ */
+export function findOperation(doc, method, operationPath) {
+  const operations = listOperations(doc).filter(op => op.method === method);
+  const exact = operations.find(op => op.path === operationPath);
+  if (exact) {
+    return { operation: exact, pathParams: {} };
+  }
+  for (const operation of operations) {
+    const pathParams = pathMatcher(operation.path)(operationPath);
+    if (pathParams) {
+      return { operation, pathParams };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check path params, query params and body against an operation. Returns
+ * `{ violations, warnings }`; each violation has `location` (path, query or
+ * body), a dotted field `path`, the failing `keyword` and a `message`.
+ */
+export function validateServiceRequest(doc, operation, { pathParams = {}, query = {}, body } = {}) {
+  const violations = [];
+  const warnings = [];
+  const add = (location, prefix) => (v) => violations.push({
+    location,
+    path: v.path === "(root)" ? prefix : prefix ? `${prefix}.${v.path}` : v.path,
+    keyword: v.keyword,
+    message: v.message,
+  });
+
+  for (const location of ["path", "query"]) {
+    const values = location === "path" ? pathParams : query;
+    const declared = operation.parameters.filter(p => p.in === location);
+    for (const param of declared) {
+      const value = values[param.name];
+      if (value === undefined || value === null || value === "") {
+        if (param.required || location === "path") {
+          violations.push({ location, path: param.name, keyword: "required", message: `${location} parameter is required` });
+        }
+        continue;
+      }
+      const schema = parameterSchema(doc, param);
+      const items = location === "query" && Array.isArray(value) && schema.type !== "array" ? value : [value];
+      for (const item of items) {
+        validateSchema(doc, schema, coerceParameter(schema, item)).forEach(add(location, param.name));
+      }
+    }
+    for (const name of Object.keys(values)) {
+      if (!declared.some(p => p.name === name)) {
+        warnings.push(`${location} parameter "${name}" is not declared by ${operation.method} ${operation.path}`);
+      }
+    }
+  }
+
+  if (body === undefined || body === null) {
+    if (operation.requestBodyRequired) {
+      violations.push({ location: "body", path: "body", keyword: "required", message: "request body is required" });
+    }
+  } else if (operation.requestBody) {
+    validateSchema(doc, operation.requestBody, body).forEach(add("body", "body"));
+  } else {
+    warnings.push(`${operation.method} ${operation.path} does not declare a request body`);
+  }
+
+  return { violations, warnings };
+}
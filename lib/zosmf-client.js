@@ -0,0 +1,162 @@
+/**
+ * z/OSMF REST client
+ *
+ * Client for the z/OSMF REST services (jobs and files) with its own
+ * authentication and TLS settings, like the z/OS Connect client. Auth modes:
+ * basic (user ID and password or passphrase) and mTLS (a client certificate
+ * mapped to a user ID). Every request carries the CSRF header z/OSMF
+ * requires and runs under the "z/OSMF" backend policy from lib/resilience.js.
+ */
+
+import { getBackend, resiliencePolicy } from "./resilience.js";
+import { createHttpClient } from "./http-client.js";
+import { toolError } from "./errors.js";
+
+export const ZOSMF_AUTH_MODES = ["basic", "mtls"];
+
+/**
+ * Read the z/OSMF connection settings from the environment. Throws when the
+ * chosen auth mode is missing something it needs.
+ */
+export function zosmfConfig(env = process.env) {
+  const auth = (env.ZOSMF_AUTH || (env.ZOSMF_CERT && !env.ZOSMF_USERNAME ? "mtls" : "basic")).toLowerCase();
+  if (!ZOSMF_AUTH_MODES.includes(auth)) {
+    throw new Error(`Unknown ZOSMF_AUTH "${auth}". Use one of ${ZOSMF_AUTH_MODES.join(", ")}.`);
+  }
+
+  const config = {
+    url: env.ZOSMF_URL?.replace(/\/+$/, ""),
+    auth,
+    username: env.ZOSMF_USERNAME,
+    password: env.ZOSMF_PASSWORD,
+    cert: env.ZOSMF_CERT,
+    key: env.ZOSMF_KEY,
+    passphrase: env.ZOSMF_KEY_PASSPHRASE,
+    caFile: env.ZOSMF_CA_FILE,
+    servername: env.ZOSMF_SERVERNAME,
+  };
+
+  if (auth === "basic" && !(config.username && config.password)) {
+    throw new Error("ZOSMF_AUTH=basic needs ZOSMF_USERNAME and ZOSMF_PASSWORD");
+  }
+  if (auth === "mtls" && !(config.cert && config.key)) {
+    throw new Error("ZOSMF_AUTH=mtls needs ZOSMF_CERT and ZOSMF_KEY");
+  }
+  if (Boolean(config.cert) !== Boolean(config.key)) {
+    throw new Error("Set both ZOSMF_CERT and ZOSMF_KEY for a client certificate");
+  }
+  return config;
+}
+
+// z/OSMF error bodies are JSON with rc, reason, category and message
+function statusError(response, endpoint) {
+  const text = response.data.toString("utf8");
+  let detail = text;
+  try {
+    const parsed = JSON.parse(text);
+    detail = [parsed.message, ...(parsed.details || [])].filter(Boolean).join(" ") || text;
+  } catch {
+    // plain text or HTML error page
+  }
+  const error = new Error(`z/OSMF error ${response.status}: ${detail}`);
+  error.status = response.status;
+  error.headers = response.headers;
+  error.body = text;
+  error.endpoint = endpoint;
+  return error;
+}
+
+// HLQ.NAME.LIKE.THIS, optionally with a (MEMBER): up to 44 characters, qualifiers of 1-8
+const DATASET_PATTERN = /^([A-Z#$@][A-Z0-9#$@-]{0,7}(?:\.[A-Z#$@][A-Z0-9#$@-]{0,7})*)(?:\(([A-Z#$@][A-Z0-9#$@]{0,7})\))?$/;
+
+/**
+ * Upper-cased dataset name split into `{ dataset, member }`. Quotes around
+ * the name (TSO style) are accepted; the name is always fully qualified.
+ */
+export function parseDatasetName(name) {
+  const text = String(name ?? "").trim().replace(/^'(.*)'$/, "$1").toUpperCase();
+  const match = text.match(DATASET_PATTERN);
+  if (!match || match[1].length > 44) {
+    throw toolError(`"${name}" is not a valid dataset name (HLQ.QUALIFIER... up to 44 characters, optionally with (MEMBER))`, {
+      category: "invalid_request",
+    });
+  }
+  return { dataset: match[1], member: match[2] };
+}
+
+// Only reads are retried; resubmitting a job or rewriting a file is not safe
+const IDEMPOTENT_METHODS = ["GET", "HEAD"];
+
+/**
+ * Create a client for one z/OSMF server. `request(endpoint, options)`
+ * resolves to `{ status, headers, body }`: parsed JSON for JSON responses, a
+ * Buffer when `binary` is set, and text otherwise. `body` may be an object
+ * (sent as JSON), a string or a Buffer. Non-2xx responses throw
+ * `z/OSMF error <status>: <message>`; responses longer than `maxBytes` throw
+ * with code RESPONSE_TOO_LARGE.
+ */
+export function createZosmfClient(config) {
+  const connection = createHttpClient(config, { prefix: "ZOSMF", server: "z/OSMF" });
+  const backend = getBackend("z/OSMF", {
+    policy: resiliencePolicy("ZOSMF"),
+    retryStatuses: [429, 502, 503, 504],
+  });
+
+  return {
+    config,
+    backend,
+
+    async request(endpoint, { method = "GET", query, headers = {}, body, binary = false, maxBytes } = {}) {
+      const search = new URLSearchParams(Object.entries(query || {})
+        .filter(([, value]) => value !== undefined && value !== null && value !== "")
+        .map(([name, value]) => [name, String(value)])).toString();
+      const url = `${config.url}${endpoint}${search ? `?${search}` : ""}`;
+
+      const requestHeaders = { "X-CSRF-ZOSMF-HEADER": "true", ...headers };
+      if (config.auth === "basic") {
+        requestHeaders["Authorization"] = `Basic ${Buffer.from(`${config.username}:${config.password}`).toString("base64")}`;
+      }
+      let payload = body;
+      if (body && typeof body === "object" && !Buffer.isBuffer(body)) {
+        payload = JSON.stringify(body);
+        requestHeaders["Content-Type"] ??= "application/json";
+      }
+      if (payload !== undefined && payload !== null) {
+        requestHeaders["Content-Length"] = Buffer.byteLength(payload);
+      }
+
+      const response = await backend.execute(`${method} ${endpoint}`, async (signal) => {
+        const response = await connection.send(url, { method, headers: requestHeaders, body: payload ?? undefined, signal, maxBytes });
+        if (response.status < 200 || response.status >= 300) {
+          throw statusError(response, endpoint);
+        }
+        return response;
+      }, { idempotent: IDEMPOTENT_METHODS.includes(method) });
+
+      let result = response.data;
+      if (!binary) {
+        result = response.data.toString("utf8");
+        if (response.headers["content-type"]?.includes("application/json") && result) {
+          result = JSON.parse(result);
+        }
+      }
+      return { status: response.status, headers: response.headers, body: result };
+    },
+
+    // Connection settings without secrets
+    describe() {
+      return {
+        url: config.url,
+        auth: config.auth,
+        user: config.username || null,
+        clientCertificate: Boolean(config.cert),
+        caFile: config.caFile || null,
+        servername: config.servername || null,
+      };
+    },
+
+    close() {
+      connection.close();
+    },
+  };
+}
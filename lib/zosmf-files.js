@@ -0,0 +1,330 @@
+/**
+ * z/OSMF datasets and z/OS UNIX files
+ *
+ * Lists, reads and writes datasets, PDS members and USS files through the
+ * z/OSMF files REST interface, and allocates and deletes datasets. Text is
+ * converted by z/OSMF between UTF-8 and the file's code page (its default, or
+ * the one asked for); binary content travels as base64. Text reads are paged
+ * by record on the server and binary USS reads by byte range. Binary datasets
+ * cannot be read by range, so they are fetched whole, up to BINARY_READ_MAX
+ * bytes, and returned one slice at a time.
+ */
+
+import crypto from "crypto";
+import { parseDatasetName } from "./zosmf-client.js";
+import { toolError } from "./errors.js";
+
+const DATASETS = "/zosmf/restfiles/ds";
+const USS_FILES = "/zosmf/restfiles/fs";
+
+export const TEXT_PAGE_DEFAULT = 500;
+export const TEXT_PAGE_MAX = 5000;
+export const BINARY_PAGE_DEFAULT = 256 * 1024;
+export const BINARY_PAGE_MAX = 4 * 1024 * 1024;
+export const BINARY_READ_MAX = 16 * 1024 * 1024;
+
+export const DATA_TYPES = ["text", "binary"];
+
+// "1047", "cp037" and "IBM-1047" all mean IBM-nnnn; other names (ISO8859-1, UTF-8) pass through
+function codepageName(codepage) {
+  const number = String(codepage).match(/^(?:cp|ibm-?)?(\d{3,5})$/i)?.[1];
+  if (number) {
+    return `IBM-${number}`;
+  }
+  if (!/^[A-Za-z0-9_.-]+$/.test(codepage)) {
+    throw toolError(`"${codepage}" is not a code page name (e.g. IBM-1047, IBM-037, ISO8859-1)`, { category: "invalid_request" });
+  }
+  return codepage;
+}
+
+// X-IBM-Data-Type header for a read or write
+function dataTypeHeader(dataType = "text", codepage) {
+  if (!DATA_TYPES.includes(dataType)) {
+    throw toolError(`encoding must be one of ${DATA_TYPES.join(", ")}`, { category: "invalid_request" });
+  }
+  if (dataType === "binary") {
+    return "binary";
+  }
+  return codepage ? `text;fileEncoding=${codepageName(codepage)}` : "text";
+}
+
+export function datasetEndpoint(name) {
+  const { dataset, member } = parseDatasetName(name);
+  return { dataset, member, endpoint: `${DATASETS}/${dataset}${member ? `(${member})` : ""}` };
+}
+
+export function ussEndpoint(path) {
+  if (typeof path !== "string" || !path.startsWith("/")) {
+    throw toolError(`USS paths must be absolute, got "${path}"`, { category: "invalid_request" });
+  }
+  const normalized = path.replace(/\/+/g, "/").replace(/(.)\/$/, "$1");
+  if (normalized.split("/").includes("..")) {
+    throw toolError(`USS path ${path} must not contain ".."`, { category: "invalid_request" });
+  }
+  return { path: normalized, endpoint: `${USS_FILES}${normalized.split("/").map(encodeURIComponent).join("/")}` };
+}
+
+/**
+ * Datasets matching `pattern` (e.g. "PROD.PAYROLL.**"), `maxItems` at a
+ * time. `start` is the dataset name to continue from (`nextStart` of the
+ * previous page).
+ */
+export async function listDatasets(client, { pattern, start, maxItems = 100 }) {
+  const response = await client.request(DATASETS, {
+    query: { dslevel: pattern.toUpperCase(), start: start?.toUpperCase() },
+    headers: { "X-IBM-Attributes": "base", "X-IBM-Max-Items": String(maxItems + 1) },
+  });
+  const items = response.body?.items || [];
+  return {
+    datasets: items.slice(0, maxItems).map(item => ({
+      name: item.dsname,
+      dsorg: item.dsorg,
+      recfm: item.recfm,
+      lrecl: item.lrecl === undefined ? undefined : Number(item.lrecl),
+      blksize: item.blksz === undefined ? undefined : Number(item.blksz),
+      volume: item.vol,
+      usedPercent: item.used === undefined ? undefined : Number(item.used),
+      created: item.cdate,
+      referenced: item.rdate,
+      migrated: item.migr === "YES" || undefined,
+    })),
+    nextStart: items.length > maxItems ? items[maxItems].dsname : null,
+  };
+}
+
+// Members of a PDS or PDSE, optionally matching `pattern` (e.g. "PAY*")
+export async function listMembers(client, dataset, { pattern, start, maxItems = 100 } = {}) {
+  const { dataset: name } = parseDatasetName(dataset);
+  const response = await client.request(`${DATASETS}/${name}/member`, {
+    query: { pattern: pattern?.toUpperCase(), start: start?.toUpperCase() },
+    headers: { "X-IBM-Attributes": "base", "X-IBM-Max-Items": String(maxItems + 1) },
+  });
+  const items = response.body?.items || [];
+  return {
+    dataset: name,
+    members: items.slice(0, maxItems).map(item => ({
+      name: item.member,
+      version: item.vers === undefined ? undefined : `${item.vers}.${item.mod}`,
+      created: item.c4date,
+      changed: item.m4date && `${item.m4date}${item.mtime ? ` ${item.mtime}` : ""}`,
+      user: item.user,
+      lines: item.cnorc,
+    })),
+    nextStart: items.length > maxItems ? items[maxItems].member : null,
+  };
+}
+
+// Total size from a Content-Range header ("bytes 0-99/1234" or "bytes */1234")
+function rangeTotal(contentRange) {
+  const total = Number(String(contentRange ?? "").split("/")[1]);
+  return Number.isInteger(total) ? total : undefined;
+}
+
+// One binary page: a byte range of a USS file, or a slice of a whole dataset
+async function readBinary(client, endpoint, headers, offset, size) {
+  const uss = endpoint.startsWith(USS_FILES);
+  if (uss) {
+    headers["Range"] = `bytes=${offset}-${offset + size - 1}`;
+  }
+  let response;
+  try {
+    response = await client.request(endpoint, { headers, binary: true, maxBytes: BINARY_READ_MAX });
+  } catch (error) {
+    if (error.status === 416) {
+      // Range starts past the end of the file
+      return { data: Buffer.alloc(0), totalBytes: rangeTotal(error.headers?.["content-range"]) ?? offset };
+    }
+    if (error.code === "RESPONSE_TOO_LARGE") {
+      throw toolError(`${uss ? "The file" : "The dataset"} is larger than ${BINARY_READ_MAX} bytes, the limit for binary reads that cannot be done by byte range${uss ? " (the server ignored the Range header)" : ""}. Copy it to a z/OS UNIX file and read that, or read it as text.`, {
+        category: "invalid_request",
+      });
+    }
+    throw error;
+  }
+  // 206: just the range asked for; 200: the whole content, to slice here
+  if (response.status === 206) {
+    return { data: response.body, totalBytes: rangeTotal(response.headers["content-range"]), etag: response.headers.etag };
+  }
+  return { data: response.body.subarray(offset, offset + size), totalBytes: response.body.length, etag: response.headers.etag };
+}
+
+/**
+ * One page of a dataset, member or USS file. Text: `records` lines from
+ * record `start` (0-based). Binary: `length` bytes from byte `offset`, as
+ * base64. Both report where the next page starts, or null at the end.
+ */
+export async function readContent(client, endpoint, { dataType = "text", codepage, start = 0, records, offset = 0, length } = {}) {
+  const headers = { "X-IBM-Data-Type": dataTypeHeader(dataType, codepage) };
+  if (dataType === "binary") {
+    const size = Math.min(Math.max(1, length || BINARY_PAGE_DEFAULT), BINARY_PAGE_MAX);
+    const { data, totalBytes, etag } = await readBinary(client, endpoint, headers, offset, size);
+    const end = offset + data.length;
+    return {
+      encoding: "binary",
+      offset,
+      bytes: data.length,
+      totalBytes,
+      nextOffset: data.length && (totalBytes === undefined ? data.length === size : end < totalBytes) ? end : null,
+      etag,
+      content: data.toString("base64"),
+    };
+  }
+
+  // One record more than asked for tells whether there is another page
+  const count = Math.min(Math.max(1, records || TEXT_PAGE_DEFAULT), TEXT_PAGE_MAX);
+  headers["X-IBM-Record-Range"] = `${start},${count + 1}`;
+  const response = await client.request(endpoint, { headers });
+  const text = String(response.body ?? "").replace(/\n$/, "");
+  const lines = text ? text.split("\n") : [];
+  return {
+    encoding: "text",
+    codepage: codepage ? codepageName(codepage) : undefined,
+    start,
+    returned: Math.min(lines.length, count),
+    nextStart: lines.length > count ? start + count : null,
+    etag: response.headers.etag,
+    content: lines.slice(0, count).join("\n"),
+  };
+}
+
+// `content` as bytes: base64 for binary, UTF-8 text otherwise
+export function contentBytes(content, dataType = "text") {
+  if (typeof content !== "string") {
+    throw toolError("content must be a string (base64 for binary)", { category: "invalid_request" });
+  }
+  return dataType === "binary" ? Buffer.from(content, "base64") : Buffer.from(content, "utf8");
+}
+
+export function contentDigest(bytes) {
+  return crypto.createHash("sha256").update(bytes).digest("hex");
+}
+
+/**
+ * Replace the content at `endpoint`. z/OSMF creates USS files that do not
+ * exist; datasets must be allocated first (members are created).
+ */
+export async function writeContent(client, endpoint, bytes, { dataType = "text", codepage } = {}) {
+  const response = await client.request(endpoint, {
+    method: "PUT",
+    headers: {
+      "X-IBM-Data-Type": dataTypeHeader(dataType, codepage),
+      "Content-Type": dataType === "binary" ? "application/octet-stream" : "text/plain; charset=UTF-8",
+    },
+    body: bytes,
+  });
+  return { etag: response.headers.etag };
+}
+
+/**
+ * What a write would replace: null when the target does not exist or is
+ * empty, otherwise a short description of it.
+ */
+export async function existingContent(client, target) {
+  if (target.path) {
+    // Listing the path itself returns just that file, or a directory's entries starting with "."
+    let items;
+    try {
+      items = (await client.request(USS_FILES, { query: { path: target.path } })).body?.items || [];
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+    if (items.some(item => item.name === "." || item.mode?.startsWith("d")) || items.length > 1) {
+      throw toolError(`${target.path} is a directory`, { category: "invalid_request" });
+    }
+    const file = items[0];
+    return file && Number(file.size) > 0
+      ? { path: target.path, bytes: Number(file.size), modified: file.mtime, owner: file.user }
+      : null;
+  }
+
+  if (target.member) {
+    const { members } = await listMembers(client, target.dataset, { pattern: target.member, maxItems: 1 });
+    const member = members.find(m => m.name === target.member);
+    return member
+      ? { dataset: target.dataset, member: member.name, lines: member.lines, changed: member.changed, user: member.user }
+      : null;
+  }
+
+  // A sequential dataset always exists by the time it is written; it matters whether it holds records
+  try {
+    const page = await readContent(client, target.endpoint, { records: 1 });
+    return page.returned ? { dataset: target.dataset, firstRecord: page.content } : null;
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+export const ALLOCATION_DEFAULTS = {
+  dsorg: "PS",
+  recfm: "FB",
+  lrecl: 80,
+  alcunit: "TRK",
+  primary: 1,
+  secondary: 1,
+};
+
+/**
+ * Allocate `dataset` with the given attributes, or like the `like` model
+ * dataset. PO datasets are PDSEs (LIBRARY) unless `dsntype` says otherwise.
+ */
+export async function allocateDataset(client, dataset, attributes = {}) {
+  const { dataset: name, member } = parseDatasetName(dataset);
+  if (member) {
+    throw toolError("Allocate the dataset without a member name; members are created by writing them", { category: "invalid_request" });
+  }
+  let body;
+  if (attributes.like) {
+    body = { like: parseDatasetName(attributes.like).dataset };
+  } else {
+    body = { ...ALLOCATION_DEFAULTS };
+    for (const [field, value] of Object.entries(attributes)) {
+      if (value !== undefined && value !== null) {
+        body[field] = typeof value === "string" ? value.toUpperCase() : value;
+      }
+    }
+    if (body.dsorg === "PO") {
+      body.dsntype ??= "LIBRARY";
+      body.dirblk ??= 10;
+    }
+    body.blksize ??= body.recfm.startsWith("F") ? Math.floor(27920 / body.lrecl) * body.lrecl || body.lrecl : 27998;
+  }
+  await client.request(`${DATASETS}/${name}`, { method: "POST", body });
+  return { dataset: name, attributes: body };
+}
+
+// Delete a dataset, or one member of a PDS
+export async function deleteDataset(client, dataset) {
+  const target = datasetEndpoint(dataset);
+  await client.request(target.endpoint, { method: "DELETE" });
+  return { dataset: target.dataset, member: target.member };
+}
+
+// Directory listing of a USS path
+export async function listUssFiles(client, path, { maxItems = 200 } = {}) {
+  const target = ussEndpoint(path);
+  const response = await client.request(USS_FILES, {
+    query: { path: target.path },
+    headers: { "X-IBM-Max-Items": String(maxItems) },
+  });
+  const items = response.body?.items || [];
+  return {
+    path: target.path,
+    files: items.filter(item => item.name !== "." && item.name !== "..").map(item => ({
+      name: item.name,
+      type: item.mode?.startsWith("d") ? "directory" : item.mode?.startsWith("l") ? "symlink" : "file",
+      mode: item.mode,
+      bytes: item.size,
+      owner: item.user,
+      group: item.group,
+      modified: item.mtime,
+    })),
+    totalRows: response.body?.totalRows ?? items.length,
+    truncated: (response.body?.totalRows ?? 0) > items.length,
+  };
+}
@@ -0,0 +1,260 @@
+/**
+ * z/OSMF batch jobs
+ *
+ * Submit JCL (inline or from a dataset member), follow a job until it ends,
+ * list jobs and spool files, read spool output a page of records at a time,
+ * and cancel or purge jobs through the z/OSMF jobs REST interface. The
+ * `retcode` strings z/OSMF reports ("CC 0004", "ABEND S0C7", "JCL ERROR")
+ * are turned into structured completion, return code and ABEND fields.
+ */
+
+import { parseDatasetName } from "./zosmf-client.js";
+import { toolError } from "./errors.js";
+
+const JOBS = "/zosmf/restjobs/jobs";
+
+// JCL statements are card images
+const JCL_RECORD_LENGTH = 80;
+
+export const SPOOL_PAGE_DEFAULT = 500;
+export const SPOOL_PAGE_MAX = 5000;
+
+const COMPLETIONS = [
+  [/^CC\s+(\d+)$/, match => ({ completion: "normal", returnCode: Number(match[1]) })],
+  [/^(?:ABEND\s+)?([SU][0-9A-F]{3,4})$/, match => ({
+    completion: "abend",
+    abendCode: match[1],
+    abendType: match[1].startsWith("S") ? "system" : "user",
+  })],
+  [/^JCL\s+ERROR$/, () => ({ completion: "jcl_error" })],
+  [/^CANCEL+ED$/, () => ({ completion: "canceled" })],
+  [/^SEC(?:URITY)?\s+ERR(?:OR)?$/, () => ({ completion: "security_error" })],
+  [/^CONV\s+ABEND$/, () => ({ completion: "conversion_abend" })],
+  [/^SYS\s+FAIL$/, () => ({ completion: "system_failure" })],
+];
+
+/**
+ * Structured form of a job or step completion string. Null while the job
+ * has not ended; `{ completion: "unknown" }` for strings not recognised.
+ */
+export function parseCompletion(retcode) {
+  if (!retcode) {
+    return null;
+  }
+  const text = String(retcode).trim().toUpperCase();
+  for (const [pattern, build] of COMPLETIONS) {
+    const match = text.match(pattern);
+    if (match) {
+      return { returnCode: null, abendCode: null, ...build(match) };
+    }
+  }
+  return { completion: "unknown", returnCode: null, abendCode: null };
+}
+
+// The parts of a z/OSMF job document worth returning, plus the parsed result
+export function describeJob(job) {
+  return {
+    jobname: job.jobname,
+    jobid: job.jobid,
+    owner: job.owner,
+    status: job.status,
+    type: job.type,
+    class: job.class,
+    phase: job["phase-name"],
+    retcode: job.retcode ?? null,
+    result: parseCompletion(job.retcode),
+    started: job["exec-started"],
+    ended: job["exec-ended"],
+    steps: job["step-data"]?.map(step => ({
+      step: step["step-name"],
+      procStep: step["proc-step-name"] || undefined,
+      program: step["program-name"],
+      completion: step.completion,
+      result: parseCompletion(step.completion),
+    })),
+  };
+}
+
+function jobPath(jobname, jobid) {
+  if (!jobname || !jobid) {
+    throw toolError("Both jobname and jobid are needed to identify a job", { category: "invalid_request" });
+  }
+  return `${JOBS}/${encodeURIComponent(jobname.toUpperCase())}/${encodeURIComponent(jobid.toUpperCase())}`;
+}
+
+// Reject JCL z/OSMF would fail on with a less helpful message
+function checkJcl(jcl) {
+  const lines = jcl.replace(/\r\n/g, "\n").replace(/\n$/, "").split("\n");
+  if (!lines[0]?.startsWith("//")) {
+    throw toolError("JCL must start with a JOB statement (//jobname JOB ...)", { category: "invalid_request" });
+  }
+  const long = lines.findIndex(line => line.length > JCL_RECORD_LENGTH);
+  if (long !== -1) {
+    throw toolError(`JCL line ${long + 1} is ${lines[long].length} characters; records are at most ${JCL_RECORD_LENGTH}`, {
+      category: "invalid_request",
+    });
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Submit inline `jcl`, or the JCL in `dataset` (e.g. "PROD.JCL(NIGHTLY)").
+ * `symbols` are JCL symbols substituted by z/OSMF.
+ */
+export async function submitJob(client, { jcl, dataset, symbols = {} }) {
+  if (Boolean(jcl) === Boolean(dataset)) {
+    throw toolError("Provide either jcl or dataset", { category: "invalid_request" });
+  }
+  const headers = {};
+  for (const [name, value] of Object.entries(symbols)) {
+    headers[`X-IBM-JCL-Symbol-${name}`] = String(value);
+  }
+
+  let response;
+  if (jcl) {
+    response = await client.request(JOBS, {
+      method: "PUT",
+      headers: {
+        ...headers,
+        "Content-Type": "text/plain",
+        "X-IBM-Intrdr-Class": "A",
+        "X-IBM-Intrdr-Recfm": "F",
+        "X-IBM-Intrdr-Lrecl": String(JCL_RECORD_LENGTH),
+        "X-IBM-Intrdr-Mode": "TEXT",
+      },
+      body: checkJcl(jcl),
+    });
+  } else {
+    const { dataset: name, member } = parseDatasetName(dataset);
+    response = await client.request(JOBS, {
+      method: "PUT",
+      headers,
+      body: { file: `//'${name}${member ? `(${member})` : ""}'` },
+    });
+  }
+  return response.body;
+}
+
+export async function getJob(client, jobname, jobid) {
+  const response = await client.request(jobPath(jobname, jobid), { query: { "step-data": "Y" } });
+  return response.body;
+}
+
+const sleep = (ms, signal) => new Promise((resolve) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener("abort", () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+/**
+ * Poll until the job reaches OUTPUT, `timeoutMs` passes or `signal` aborts.
+ * `onProgress(job, elapsedMs)` is called after every poll. Resolves to
+ * `{ job, finished }`.
+ */
+export async function waitForJob(client, job, { timeoutMs, intervalMs = 2000, signal, onProgress } = {}) {
+  const started = Date.now();
+  let current = job;
+  while (current.status !== "OUTPUT") {
+    if (signal?.aborted || Date.now() - started >= timeoutMs) {
+      return { job: current, finished: false };
+    }
+    await sleep(Math.min(intervalMs, Math.max(0, started + timeoutMs - Date.now())), signal);
+    current = await getJob(client, current.jobname, current.jobid);
+    await onProgress?.(current, Date.now() - started);
+  }
+  return { job: current, finished: true };
+}
+
+/**
+ * Jobs matching `owner` and `prefix` (both may use * wildcards; z/OSMF
+ * defaults to the caller's own jobs), newest first.
+ */
+export async function listJobs(client, { owner, prefix, status, maxJobs = 100 } = {}) {
+  const response = await client.request(JOBS, {
+    query: {
+      owner: owner?.toUpperCase(),
+      prefix: prefix?.toUpperCase(),
+      status,
+      "max-jobs": maxJobs,
+      "exec-data": "Y",
+    },
+  });
+  return response.body || [];
+}
+
+export async function listSpoolFiles(client, jobname, jobid) {
+  const response = await client.request(`${jobPath(jobname, jobid)}/files`);
+  return (response.body || []).map(file => ({
+    id: file.id,
+    ddname: file.ddname,
+    stepname: file.stepname,
+    procstep: file.procstep,
+    class: file.class,
+    recfm: file.recfm,
+    lrecl: file.lrecl,
+    records: file["record-count"],
+    bytes: file["byte-count"],
+  }));
+}
+
+/**
+ * One page of a spool file: `count` records from record `start` (0-based).
+ * Returns the records, the total known so far and where the next page
+ * starts, or null at the end.
+ */
+export async function readSpoolFile(client, jobname, jobid, fileId, { start = 0, count = SPOOL_PAGE_DEFAULT } = {}) {
+  const size = Math.min(Math.max(1, count), SPOOL_PAGE_MAX);
+  const files = await listSpoolFiles(client, jobname, jobid);
+  const file = files.find(f => String(f.id) === String(fileId));
+  if (!file) {
+    throw toolError(`Job ${jobname}(${jobid}) has no spool file ${fileId}; files: ${files.map(f => `${f.id} ${f.ddname}`).join(", ") || "none"}`, {
+      category: "not_found",
+      backend: "z/OSMF",
+    });
+  }
+  const response = await client.request(`${jobPath(jobname, jobid)}/files/${encodeURIComponent(fileId)}/records`, {
+    headers: { "X-IBM-Record-Range": `${start},${size}` },
+  });
+  const records = String(response.body ?? "").replace(/\n$/, "");
+  const lines = records ? records.split("\n") : [];
+  const end = start + lines.length;
+  return {
+    file,
+    start,
+    returned: lines.length,
+    totalRecords: file.records ?? null,
+    nextStart: lines.length === size && (file.records === undefined || end < file.records) ? end : null,
+    records: lines.join("\n"),
+  };
+}
+
+// z/OSMF answers modify requests with a status of 0 on success
+function modifyResult(body, action) {
+  if (body && typeof body === "object" && body.status !== undefined && Number(body.status) !== 0) {
+    throw toolError(`z/OSMF could not ${action} job ${body.jobname}(${body.jobid}): ${body.message || `status ${body.status}`}`, {
+      category: "conflict",
+      backend: "z/OSMF",
+    });
+  }
+  return body;
+}
+
+// Synchronous (version 2.0) cancel; the job's output is kept
+export async function cancelJob(client, jobname, jobid) {
+  const response = await client.request(jobPath(jobname, jobid), {
+    method: "PUT",
+    body: { request: "cancel", version: "2.0" },
+  });
+  return modifyResult(response.body, "cancel");
+}
+
+// Cancel if still running and delete the job and its output
+export async function purgeJob(client, jobname, jobid) {
+  const response = await client.request(jobPath(jobname, jobid), {
+    method: "DELETE",
+    headers: { "X-IBM-Job-Modify-Version": "2.0" },
+  });
+  return modifyResult(response.body, "purge");
+}
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// Read-only mode must refuse every call that writes a file on the server.
+// Runs offline: the server is started over stdio with the local Key Protect emulator.
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ibmz-policy-test-'));
+const policyFile = path.join(dir, 'policy.json');
+fs.writeFileSync(policyFile, JSON.stringify({ readOnly: true }));
+
+const env = {
+  ...process.env,
+  KEY_PROTECT_BACKEND: 'local',
+  KEY_PROTECT_LOCAL_STORE: path.join(dir, 'keyprotect.json'),
+  IBMZ_AUDIT_LOG: 'off',
+};
+
+async function connect(extraEnv) {
+  const client = new Client({ name: 'test-access-policy', version: '1.0.0' });
+  await client.connect(new StdioClientTransport({
+    command: process.execPath,
+    args: [path.join(import.meta.dirname, 'index.js')],
+    env: { ...env, ...extraEnv },
+  }));
+  return client;
+}
+
+async function call(client, name, args) {
+  const result = await client.callTool({ name, arguments: args });
+  return JSON.parse(result.content[0].text);
+}
+
+// Set up a root key and an envelope without a policy
+const setup = await connect({});
+const keyId = (await call(setup, 'key_protect_create_key', { name: 'policy-test', type: 'root_key' })).key.id;
+const { envelope } = await call(setup, 'key_protect_encrypt_data', { key_id: keyId, plaintext: 'hello' });
+const { handle } = await call(setup, 'key_protect_unwrap_key', { key_id: keyId, ciphertext: envelope.wrappedDek, as_handle: true });
+await setup.close();
+
+const out = (name) => path.join(dir, name);
+const copybook = '01 REC.\n  05 NAME PIC X(4).';
+const writes = [
+  ['key_protect_encrypt_data', { key_id: keyId, plaintext: 'hello', output_path: out('envelope.json') }],
+  ['key_protect_decrypt_data', { envelope: JSON.stringify(envelope), output_path: out('plain.txt') }],
+  ['key_protect_write_secret', { handle, output_path: out('dek.bin') }],
+  ['key_protect_rewrap_keys', { items: [{ key_id: keyId, ciphertext: envelope.wrappedDek }], output_path: out('rewrap.json') }],
+  ['key_protect_rewrap_keys', { items: [{ key_id: keyId, ciphertext: envelope.wrappedDek }], checkpoint_path: out('rewrap.ckpt') }],
+  ['key_protect_compliance_report', { output_path: out('report.md') }],
+  ['cobol_encode_record', { copybook, data: { NAME: 'AB' }, output_path: out('record.bin') }],
+];
+
+const client = await connect({ IBMZ_POLICY_FILE: policyFile });
+let failed = 0;
+for (const [name, args] of writes) {
+  const result = await call(client, name, args);
+  const refused = result.error?.category === 'authorization';
+  console.log(`${refused ? '✅' : '❌'} ${name} ${Object.keys(args).filter(k => k.endsWith('_path')).join(', ')}: ${result.error?.message || 'allowed'}`);
+  failed += refused ? 0 : 1;
+}
+
+// The same tools still work when nothing is written
+const inline = await call(client, 'key_protect_encrypt_data', { key_id: keyId, plaintext: 'hello' });
+console.log(`${inline.envelope ? '✅' : '❌'} key_protect_encrypt_data inline: ${inline.message || inline.error?.message}`);
+failed += inline.envelope ? 0 : 1;
+await client.close();
+
+const written = writes.map(([, args]) => args.output_path || args.checkpoint_path).filter(file => fs.existsSync(file));
+console.log(`${written.length ? '❌' : '✅'} files written: ${written.join(', ') || 'none'}`);
+failed += written.length;
+
+fs.rmSync(dir, { recursive: true, force: true });
+console.log(`\nRead-only file output test: ${failed ? `FAILED (${failed})` : 'SUCCESS!'}`);
+process.exit(failed ? 1 : 0);
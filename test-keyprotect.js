@@ -11,7 +11,8 @@ const client = new IbmKeyProtectApiV2({
 });
 
 const instanceId = process.env.KEY_PROTECT_INSTANCE_ID;
-const rootKeyId = 'dcd74ed6-5e33-45db-a25c-38f668f2f664';
+// Key ID or alias of the root key (Key Protect accepts either)
+const rootKeyId = process.env.KEY_PROTECT_ROOT_KEY || 'dcd74ed6-5e33-45db-a25c-38f668f2f664';
 
 // Generate a random data encryption key (DEK) - 32 bytes for AES-256
 const dek = crypto.randomBytes(32);
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// With KEY_PROTECT_ALLOW_PLAINTEXT=false, an unwrapped DEK must not come back as plaintext
+// by writing it to a file and reading the file with other tools.
+// Runs offline: the server is started over stdio with the local Key Protect emulator.
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ibmz-secret-test-'));
+
+const client = new Client({ name: 'test-secret-handles', version: '1.0.0' });
+await client.connect(new StdioClientTransport({
+  command: process.execPath,
+  args: [path.join(import.meta.dirname, 'index.js')],
+  env: {
+    ...process.env,
+    KEY_PROTECT_BACKEND: 'local',
+    KEY_PROTECT_LOCAL_STORE: path.join(dir, 'keyprotect.json'),
+    KEY_PROTECT_ALLOW_PLAINTEXT: 'false',
+    IBMZ_AUDIT_LOG: 'off',
+  },
+}));
+
+async function call(name, args) {
+  const result = await client.callTool({ name, arguments: args });
+  return JSON.parse(result.content[0].text);
+}
+
+let failed = 0;
+function check(ok, label, detail) {
+  console.log(`${ok ? '✅' : '❌'} ${label}: ${detail}`);
+  failed += ok ? 0 : 1;
+}
+
+const keyId = (await call('key_protect_create_key', { name: 'secret-test', type: 'root_key' })).key.id;
+const { envelope } = await call('key_protect_encrypt_data', { key_id: keyId, plaintext: 'hello' });
+
+// 1. Unwrapping returns a handle, not the DEK
+const unwrapped = await call('key_protect_unwrap_key', { key_id: keyId, ciphertext: envelope.wrappedDek });
+check(unwrapped.handle && !unwrapped.plaintext, 'unwrap_key returns a handle', unwrapped.handle || unwrapped.error?.message);
+
+// 2. The DEK can still be written to a file for the application that uses it
+const dekFile = path.join(dir, 'dek.b64');
+const written = await call('key_protect_write_secret', { handle: unwrapped.handle, output_path: dekFile, encoding: 'base64' });
+check(fs.existsSync(dekFile), 'write_secret writes the DEK', written.message || written.error?.message);
+
+// 3. Other tools cannot read that file back
+for (const [name, args] of [
+  ['key_protect_encrypt_data', { key_id: keyId, file_path: dekFile }],
+  ['key_protect_decrypt_data', { file_path: dekFile, output_path: path.join(dir, 'out') }],
+  ['cobol_decode_record', { copybook: '01 REC.\n  05 DATA PIC X(44).', file_path: dekFile }],
+]) {
+  const result = await call(name, args);
+  check(result.error?.category === 'authorization', `${name} file_path refused`, result.error?.message || 'allowed');
+}
+
+// 4. Decrypted data only goes to a file
+const inline = await call('key_protect_decrypt_data', { envelope: JSON.stringify(envelope) });
+check(inline.error?.category === 'authorization' && !inline.plaintext, 'decrypt_data inline refused', inline.error?.message || 'allowed');
+const outFile = path.join(dir, 'hello.txt');
+const toFile = await call('key_protect_decrypt_data', { envelope: JSON.stringify(envelope), output_path: outFile });
+const decrypted = fs.existsSync(outFile) ? fs.readFileSync(outFile, 'utf8') : null;
+check(decrypted === 'hello', 'decrypt_data output_path works', toFile.message || toFile.error?.message);
+
+await client.close();
+fs.rmSync(dir, { recursive: true, force: true });
+console.log(`\nPlaintext key material test: ${failed ? `FAILED (${failed})` : 'SUCCESS!'}`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * Run the mock z/OS Connect server
+ *
+ * Usage:
+ *   node zos-connect-mock.js [--port 9080] [--host 127.0.0.1] [--fixtures dir] <spec.json|dir>...
+ *
+ * Then point the MCP server at it:
+ *   ZOS_CONNECT_URL=http://127.0.0.1:9080 node index.js
+ */
+
+import { parseArgs } from "util";
+import { createZosConnectMock, loadMockServices } from "./lib/zos-connect-mock.js";
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    port: { type: "string", default: process.env.ZOS_CONNECT_MOCK_PORT || "9080" },
+    host: { type: "string", default: "127.0.0.1" },
+    fixtures: { type: "string" },
+  },
+});
+
+const specPaths = positionals.length ? positionals : [new URL("./mocks", import.meta.url).pathname];
+const services = loadMockServices(specPaths, { fixturesDir: values.fixtures });
+const server = createZosConnectMock(services);
+
+server.listen(Number(values.port), values.host, () => {
+  console.error(`z/OS Connect mock listening on http://${values.host}:${values.port}`);
+  for (const service of services) {
+    console.error(`  - ${service.name}${Object.keys(service.fixtures).length ? " (with fixtures)" : ""}`);
+  }
+});
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => server.close(() => process.exit(0)));
+}